@@ -1,6 +1,6 @@
 /* ═══════════════════════════════════════════════════════════
-   JamSync PWA v3 — Multi-Platform Audio + YouTube Sync
-   Tab audio via WebRTC, YouTube embed, chat, reactions
+   JamSync PWA v3 — Multi-Platform Audio + Synced Media
+   Tab audio via WebRTC, YouTube / HTML5 media sync, chat, reactions
    ═══════════════════════════════════════════════════════════ */
 
 (() => {
@@ -14,20 +14,116 @@
     let ws = null;
     let myUserId = null;
     let myName = '';
-    let myRole = null;        // 'host' | 'listener'
+    let myRole = null;        // 'host' | 'cohost' | 'listener'
     let currentRoom = null;
-
-    // YouTube
-    let ytPlayer = null;
-    let ytReady = false;
+    let resumeToken = sessionStorage.getItem('jamsync.resumeToken');
+    let resumeRoomCode = sessionStorage.getItem('jamsync.resumeRoom');
+    let chatMuted = false;
+    let controlRevoked = false;
+    let controlPolicy = 'everyone'; // 'host' | 'everyone' | 'vote'
+    let voteTallies = {};           // action → { votes, needed }
+    let lastRoomInfo = null;        // latest roomInfo, for re-rendering the listener list
+
+    // Stable per-browser id — lets the host ban a browser, not just one session
+    const deviceId = localStorage.getItem('jamsync.deviceId') || (() => {
+        const id = (crypto.randomUUID ? crypto.randomUUID() : `${Date.now()}-${Math.random()}`);
+        localStorage.setItem('jamsync.deviceId', id);
+        return id;
+    })();
+
+    // Synced media (see MEDIA_PROVIDERS)
+    let activeProvider = null; // provider whose player is showing
+    let currentMedia = null;   // { provider, mediaId } loaded into it
     let isSyncing = false;
+    let rateResetTimer = null;
+
+    // Clock sync (NTP-style offset to the server's clock)
+    let clockOffset = 0;       // serverTime − Date.now(), in ms
+    let clockSamples = [];     // recent { rtt, offset } ping results
+
+    const CLOCK_SAMPLE_WINDOW = 8;
+    const CLOCK_PING_INTERVAL = 20000;
+    const HEARTBEAT_INTERVAL = 2000;   // host position broadcast while playing
+    const { DRIFT_TOLERANCE, planDriftCorrection } = window.JamSyncDrift; // drift.js
+
+    // Chat
+    let newestChatId = 0;      // highest chat id rendered so far
+    let oldestChatId = null;   // lowest chat id rendered — CHAT_HISTORY pages back from here
+    let chatHistoryPending = false;
+
+    // Queue
+    let queue = [];            // [{ id, provider, mediaId, title, addedBy, addedByName }]
+
+    // Server media library (GET /library)
+    let libraryTracks = [];    // [{ id, title, artist, album, duration, url, coverUrl, ... }]
+    let libraryUploading = false;
 
     // WebRTC (Tab Audio)
     let localStream = null;    // Host's captured audio stream
     let peerConnections = {};  // Host: userId → RTCPeerConnection
     let remotePC = null;       // Listener: single RTCPeerConnection to host
-
-    const RTC_CONFIG = {
+    let relayOnlyPeers = new Set(); // Host: listeners whose direct connection failed
+    let peerHealth = {};       // Host: userId → 'connecting' | 'connected' | 'reconnecting' | 'failed'
+    let peerRecovery = {};     // Host: userId → { attempts, timer } while getting a peer back
+    let relayEncoder = null;   // Host: { encoder, reader, config } while the server relays our audio
+    let relayPlayer = null;    // Listener: { ctx, gain, decoder, nextTime, frames, dropped, decodeErrors } while hearing the relay
+
+    // Local files (host): decoded with Web Audio into a stream that stands in for tab capture
+    let filePlayer = null;     // { ctx, dest, monitor, source, buffer, index, offset, startedAt, playing, loading, live }
+    let filePlaylist = [];     // [{ file, name }]
+    let fileSeeking = false;   // user is dragging the seek bar
+    const FILE_TRANSPORT_INTERVAL = 500;  // ms between seek bar / clock updates
+
+    // Session recording (host)
+    let recording = null;      // { ctx, dest, input, recorder, chunks, mimeType, roomCode, startedAt, events }
+    let recordingUrls = [];    // object URLs behind the last recording's download links
+    const RECORDING_TYPES = ['audio/webm;codecs=opus', 'audio/ogg;codecs=opus', 'audio/mp4'];
+    const RECORDING_CLOCK_INTERVAL = 1000;
+
+    // Server relay (large rooms): one Opus stream over the WebSocket instead of a peer each
+    const CAN_RELAY_SEND = 'AudioEncoder' in window && 'MediaStreamTrackProcessor' in window;
+    const CAN_RELAY_PLAY = 'AudioDecoder' in window;
+    const RELAY_JITTER_BUFFER = 0.25;       // seconds of audio queued ahead of playback
+    const RELAY_MAX_BUFFERED = 64 * 1024;   // bytes — past this our uplink is behind, drop frames
+
+    // Peer recovery (mesh)
+    const PEER_DISCONNECT_GRACE = 3000;  // ms to let 'disconnected' heal before stepping in
+    const PEER_ATTEMPT_TIMEOUT = 10000;  // ms an attempt gets before we try the next one
+    const PEER_RETRY_BASE = 1000;        // renegotiation backoff: 1s, 2s, 4s… capped below
+    const PEER_RETRY_MAX_DELAY = 30000;
+    const PEER_MAX_RETRIES = 6;
+
+    // Stream quality (host) — Opus settings applied to every listener's sender
+    const QUALITY_PRESETS = {
+        voice: { maxBitrate: 32000, stereo: false, dtx: true },
+        standard: { maxBitrate: 96000, stereo: false, dtx: false },
+        hifi: { maxBitrate: 256000, stereo: true, dtx: false }
+    };
+    let qualityPreset = QUALITY_PRESETS[localStorage.getItem('jamsync.quality')]
+        ? localStorage.getItem('jamsync.quality')
+        : 'standard';
+
+    // Voice chat — a mic mesh between members, separate from the tab-audio peers
+    let micStream = null;      // our mic while we're in voice
+    let voiceMode = localStorage.getItem('jamsync.voiceMode') === 'open' ? 'open' : 'ptt';
+    let voicePeers = {};       // userId → { pc, audio, analyser }
+    let voicePrefs = {};       // userId → { volume, muted } — our own mix
+    let voiceCtx = null;       // AudioContext for voice level meters
+    let musicDucked = false;
+    let lastVoiceActivity = 0;
+
+    const VOICE_ACTIVITY_INTERVAL = 100; // ms between level checks
+    const VOICE_SPEAKING_LEVEL = 0.02;   // RMS above which someone counts as talking
+    const VOICE_DUCK_RELEASE = 800;      // ms of quiet before the music comes back up
+    const VOICE_DUCK_VOLUME = 0.3;       // music level while someone talks
+    const VOICE_RETRY_DELAY = 2000;
+
+    // Audio stats panel
+    const STATS_INTERVAL = 2000;
+    let statsPrev = {};        // key → { bytes, timestamp } from the last getStats() pass
+
+    // Replaced by the server's /config (which may add TURN) once it loads
+    let rtcConfig = {
         iceServers: [
             { urls: 'stun:stun.l.google.com:19302' },
             { urls: 'stun:stun1.l.google.com:19302' }
@@ -57,28 +153,51 @@
     }
 
     // ─── WebSocket Connection ──────────────────────────────
+    const PROTOCOL_VERSIONS = [1]; // wire protocol versions we speak (see server/protocol.js)
+    // Sent by the app on its own, not by a tap — a rejection isn't worth a toast
+    const BACKGROUND_REQUESTS = ['SYNC_STATE', 'PING', 'SIGNAL', 'QUEUE_NEXT', 'CHAT_HISTORY'];
+    const RATE_LIMIT_NOTICE_INTERVAL = 5000;
     let messageQueue = [];
     let reconnectAttempts = 0;
+    let rateLimitNoticeUntil = 0;
 
     function connectWebSocket() {
         const protocol = location.protocol === 'https:' ? 'wss:' : 'ws:';
         const wsUrl = `${protocol}//${location.host}`;
         ws = new WebSocket(wsUrl);
+        ws.binaryType = 'arraybuffer';
 
         ws.addEventListener('open', () => {
             reconnectAttempts = 0;
+            ws.send(JSON.stringify({ type: 'HELLO', versions: PROTOCOL_VERSIONS }));
+            // Reclaim our seat before anything else goes out
+            // (roomCode lets the server route us to whichever instance owns the room)
+            if (resumeToken) {
+                ws.send(JSON.stringify({ type: 'RESUME', resumeToken, roomCode: resumeRoomCode, relayAudio: CAN_RELAY_PLAY }));
+            }
             while (messageQueue.length > 0) {
                 ws.send(JSON.stringify(messageQueue.shift()));
             }
+            // Fresh connection, possibly a new route — re-measure the clock
+            clockSamples = [];
+            for (let i = 0; i < 5; i++) setTimeout(pingClock, i * 300);
         });
 
         ws.addEventListener('message', (event) => {
+            // Binary frames are relayed host audio
+            if (event.data instanceof ArrayBuffer) {
+                handleRelayFrame(event.data);
+                return;
+            }
             let msg;
             try { msg = JSON.parse(event.data); } catch { return; }
             handleServerMessage(msg);
         });
 
-        ws.addEventListener('close', () => {
+        ws.addEventListener('close', (event) => {
+            // 1008: the server turned us away (too many connections or messages)
+            if (event.code === 1008 && reconnectAttempts === 0) showToast(event.reason || 'Disconnected by the server', true);
+            else if (currentRoom && reconnectAttempts === 0) showToast('Connection lost — reconnecting…', true);
             reconnectAttempts++;
             setTimeout(connectWebSocket, Math.min(1000 * reconnectAttempts, 10000));
         });
@@ -95,6 +214,151 @@
         }
     }
 
+    function saveResumeToken(token) {
+        resumeToken = token || null;
+        resumeRoomCode = resumeToken ? currentRoom : null;
+        if (resumeToken) {
+            sessionStorage.setItem('jamsync.resumeToken', resumeToken);
+            sessionStorage.setItem('jamsync.resumeRoom', resumeRoomCode);
+        } else {
+            sessionStorage.removeItem('jamsync.resumeToken');
+            sessionStorage.removeItem('jamsync.resumeRoom');
+        }
+    }
+
+    // ─── Clock Sync ────────────────────────────────────────
+    function serverNow() {
+        return Date.now() + clockOffset;
+    }
+
+    function pingClock() {
+        if (ws && ws.readyState === WebSocket.OPEN) {
+            ws.send(JSON.stringify({ type: 'PING', t0: Date.now() }));
+        }
+    }
+
+    // Keep the offset from the lowest-RTT sample — its one-way delays are the most symmetric
+    function handlePong(msg) {
+        const t3 = Date.now();
+        const rtt = t3 - msg.t0;
+        if (!(rtt >= 0)) return;
+
+        clockSamples.push({ rtt, offset: msg.serverTime - (msg.t0 + rtt / 2) });
+        if (clockSamples.length > CLOCK_SAMPLE_WINDOW) clockSamples.shift();
+
+        const best = clockSamples.reduce((a, b) => (b.rtt < a.rtt ? b : a));
+        clockOffset = best.offset;
+    }
+
+    // ─── Join Flow (password / knock) ──────────────────────
+    // React to an ERROR by its code; returns whether to toast its message.
+    // Rejections of messages the app sends by itself are only logged.
+    function handleErrorCode(msg) {
+        const background = BACKGROUND_REQUESTS.includes(msg.requestType);
+        switch (msg.code) {
+            case 'PASSWORD_REQUIRED':
+            case 'WRONG_PASSWORD':
+                $('joinPasswordInput').classList.remove('hidden');
+                $('joinPasswordInput').value = '';
+                $('joinPasswordInput').focus();
+                break;
+            case 'JOIN_DENIED':
+            case 'ROOM_CLOSED':
+                setJoinPending(false);
+                break;
+            case 'BANNED':
+            case 'DEVICE_ID_REQUIRED':
+                resetJoinForm();
+                $('codeInput').value = '';
+                break;
+            case 'ROOM_NOT_FOUND':
+                if (msg.requestType === 'JOIN_ROOM') {
+                    resetJoinForm();
+                    $('codeInput').select();
+                    break;
+                }
+                // The room went away under us — nothing to stay for
+                if (!currentRoom) return false;
+                cleanup();
+                showScreen('landingScreen');
+                showToast('This room no longer exists', true);
+                return false;
+            case 'NOT_HOST':
+                // Our role changed before we heard about it — put the UI back in line
+                applyRoleUI();
+                break;
+            case 'CHAT_MUTED':
+                chatMuted = true;
+                renderModeration();
+                break;
+            case 'CONTROLS_REVOKED':
+                controlRevoked = true;
+                renderModeration();
+                break;
+            case 'UNSUPPORTED_MEDIA':
+                $('urlInput').select();
+                break;
+            case 'USER_UNAVAILABLE':
+                if (lastRoomInfo) updateListenerList(lastRoomInfo);
+                break;
+            case 'RATE_LIMITED': {
+                const now = Date.now();
+                if (now < rateLimitNoticeUntil) return false;
+                rateLimitNoticeUntil = now + RATE_LIMIT_NOTICE_INTERVAL;
+                break;
+            }
+            case 'INVALID_PAYLOAD':
+                console.warn(`[WS] Server rejected ${msg.requestType || 'a message'}: ${msg.message}`);
+                break;
+            case 'UNSUPPORTED_VERSION':
+                if (confirm(`${msg.message}. Reload now?`)) location.reload();
+                return false;
+        }
+        return !background;
+    }
+
+    function setJoinPending(pending) {
+        $('joinPendingStatus').classList.toggle('hidden', !pending);
+        $('btnJoin').disabled = pending;
+    }
+
+    function resetJoinForm() {
+        setJoinPending(false);
+        $('joinPasswordInput').value = '';
+        $('joinPasswordInput').classList.add('hidden');
+    }
+
+    // Host: listeners waiting at the door
+    function renderPendingJoins(requests) {
+        const list = $('pendingList');
+        const prevCount = list.childElementCount;
+        list.innerHTML = '';
+        $('pendingSection').classList.toggle('hidden', requests.length === 0);
+
+        requests.forEach(req => {
+            const item = document.createElement('div');
+            item.className = 'listener-item pending';
+            item.innerHTML = `
+      <div class="listener-avatar">${(req.name || '?')[0].toUpperCase()}</div>
+      <span class="listener-name">${escapeHtml(req.name)}</span>
+    `;
+            const actions = document.createElement('div');
+            actions.className = 'queue-actions';
+            actions.appendChild(createQueueAction('✓', 'Let in', () => {
+                send({ type: 'APPROVE_JOIN', requestId: req.requestId });
+            }));
+            actions.appendChild(createQueueAction('✕', 'Deny', () => {
+                send({ type: 'DENY_JOIN', requestId: req.requestId });
+            }));
+            item.appendChild(actions);
+            list.appendChild(item);
+        });
+
+        if (requests.length > prevCount) {
+            showToast(`${requests[requests.length - 1].name} wants to join`);
+        }
+    }
+
     // ─── Server Message Handler ────────────────────────────
     function handleServerMessage(msg) {
         switch (msg.type) {
@@ -102,6 +366,7 @@
                 myUserId = msg.userId;
                 myRole = 'host';
                 currentRoom = msg.roomCode;
+                saveResumeToken(msg.resumeToken);
                 enterRoom(msg.roomInfo);
                 showToast(`Room created! Code: ${msg.roomCode}`);
                 break;
@@ -110,12 +375,44 @@
                 myUserId = msg.userId;
                 myRole = 'listener';
                 currentRoom = msg.roomCode;
+                saveResumeToken(msg.resumeToken);
+                resetJoinForm();
                 enterRoom(msg.roomInfo);
+                renderChatHistory(msg.chat);
                 showToast(`Joined room ${msg.roomCode}`);
                 break;
 
+            case 'ROOM_RESUMED':
+                handleRoomResumed(msg);
+                break;
+
+            case 'RESUME_FAILED':
+                saveResumeToken(null);
+                if (currentRoom) {
+                    showToast(msg.message, true);
+                    cleanup();
+                    showScreen('landingScreen');
+                }
+                break;
+
+            case 'WELCOME':
+                console.log(`[WS] Protocol v${msg.version}`);
+                break;
+
             case 'ERROR':
-                showToast(msg.message, true);
+                if (handleErrorCode(msg)) showToast(msg.message, true);
+                break;
+
+            case 'JOIN_PENDING':
+                setJoinPending(true);
+                break;
+
+            case 'PENDING_JOINS':
+                renderPendingJoins(msg.requests);
+                break;
+
+            case 'PONG':
+                handlePong(msg);
                 break;
 
             case 'USER_JOINED':
@@ -130,12 +427,76 @@
                 if (msg.roomInfo) updateListenerList(msg.roomInfo);
                 break;
 
+            case 'HOST_CHANGED':
+                // The old host's tab-audio connection is gone either way
+                if (remotePC) { remotePC.close(); remotePC = null; }
+                stopRelayPlayback();
+                addSystemMessage(`${msg.hostName} is now the host`);
+                applyRoomRoles(msg.roomInfo);
+                break;
+
+            case 'ROLE_CHANGED':
+                addSystemMessage(msg.role === 'cohost'
+                    ? `${msg.name} is now a co-host`
+                    : `${msg.name} is no longer a co-host`);
+                applyRoomRoles(msg.roomInfo);
+                break;
+
+            case 'MEMBER_UPDATED':
+                applyModeration(msg.roomInfo);
+                updateListenerList(msg.roomInfo);
+                break;
+
+            case 'CONTROL_POLICY':
+                setControlPolicy(msg.policy);
+                if (myRole !== 'host') {
+                    showToast(msg.policy === 'host' ? 'Only the host controls playback now'
+                        : msg.policy === 'vote' ? 'Playback controls are now vote-based'
+                            : 'Everyone can control playback now');
+                }
+                break;
+
+            case 'VOTE_UPDATE':
+                handleVoteUpdate(msg);
+                break;
+
+            case 'KICKED':
+                showToast(msg.message, true);
+                cleanup();
+                showScreen('landingScreen');
+                break;
+
+            case 'USER_AWAY':
+                addSystemMessage(`${msg.name} lost connection…`);
+                if (msg.roomInfo) updateListenerList(msg.roomInfo);
+                break;
+
+            case 'USER_BACK':
+                addSystemMessage(`${msg.name} is back`);
+                if (msg.roomInfo) updateListenerList(msg.roomInfo);
+                break;
+
             case 'ROOM_CLOSED':
                 showToast(msg.message, true);
                 cleanup();
                 showScreen('landingScreen');
                 break;
 
+            case 'SYSTEM_NOTICE':
+                addSystemMessage(`📢 ${msg.message}`);
+                showToast(msg.message);
+                break;
+
+            case 'ROOM_EXPIRING': {
+                const minutes = Math.max(1, Math.round((msg.closesAt - serverNow()) / 60000));
+                const warning = msg.reason === 'idle'
+                    ? `This room closes in ${minutes} min unless someone plays, chats or reacts`
+                    : `This room reaches its time limit in ${minutes} min`;
+                addSystemMessage(warning);
+                showToast(warning, true);
+                break;
+            }
+
             case 'LEFT_ROOM':
                 cleanup();
                 showScreen('landingScreen');
@@ -143,7 +504,12 @@
 
             // ─── YouTube Sync ────────────────────
             case 'PLAY_URL':
-                loadVideo(msg.videoId, msg.title);
+                loadMedia(msg, msg.title);
+                break;
+
+            case 'QUEUE_UPDATED':
+                queue = msg.queue || [];
+                renderQueue();
                 break;
 
             case 'SYNC_STATE':
@@ -156,11 +522,13 @@
 
             // ─── WebRTC Signaling ────────────────
             case 'SIGNAL':
-                handleSignal(msg);
+                if (msg.signal && msg.signal.channel === 'voice') handleVoiceSignal(msg);
+                else handleSignal(msg);
                 break;
 
             case 'INITIATE_PEER':
                 if (myRole === 'host' && localStream) {
+                    clearPeerRecovery(msg.targetUserId);
                     createOfferForListener(msg.targetUserId);
                 }
                 break;
@@ -169,24 +537,24 @@
                 if (myRole === 'host' && peerConnections[msg.userId]) {
                     peerConnections[msg.userId].close();
                     delete peerConnections[msg.userId];
+                    clearPeerRecovery(msg.userId);
+                    setPeerHealth(msg.userId, null);
                 }
                 break;
 
             case 'STREAM_STATUS':
-                if (myRole === 'listener') {
-                    if (msg.isStreaming) {
-                        $('streamingIndicator').classList.remove('hidden');
-                        $('streamLabel').textContent = 'Host is streaming tab audio';
-                    } else {
-                        $('streamingIndicator').classList.add('hidden');
-                    }
-                }
+                applyStreamStatus(msg);
                 if (msg.roomInfo) updateListenerList(msg.roomInfo);
                 break;
 
             // ─── Chat & Reactions ────────────────
             case 'CHAT':
-                addChatMessage(msg.name, msg.message, msg.userId === myUserId);
+                addChatMessage(msg);
+                recordEvent('chat', { name: msg.name, message: msg.message });
+                break;
+
+            case 'CHAT_HISTORY':
+                prependChatHistory(msg);
                 break;
 
             case 'REACTION':
@@ -201,40 +569,180 @@
         $('roomCodeText').textContent = roomInfo.roomCode;
         updateListenerCount(roomInfo.listenerCount);
         updateListenerList(roomInfo);
-
-        if (myRole === 'host') {
-            // Show share button on desktop (getDisplayMedia not supported on mobile)
-            const isDesktop = !(/Android|iPhone|iPad|iPod/i.test(navigator.userAgent));
-            if (isDesktop) {
-                $('shareSection').classList.remove('hidden');
-            }
-            $('urlInputSection').classList.remove('hidden');
-        } else {
-            $('shareSection').classList.add('hidden');
-            $('urlInputSection').classList.add('hidden');
-        }
+        queue = roomInfo.queue || [];
+        renderQueue();
+        applyRoleUI();
+        applyModeration(roomInfo);
+        setControlPolicy(roomInfo.controlPolicy || 'everyone');
 
         // If room already has streaming or video
-        if (roomInfo.isStreaming) {
-            $('streamingIndicator').classList.remove('hidden');
-            $('streamLabel').textContent = 'Host is streaming tab audio';
-        }
+        applyStreamStatus({
+            isStreaming: roomInfo.isStreaming,
+            mode: roomInfo.streamMode,
+            relayFormat: roomInfo.relayFormat
+        });
 
-        if (roomInfo.videoState && roomInfo.videoState.videoId) {
-            loadVideo(roomInfo.videoState.videoId, roomInfo.videoState.title);
+        if (roomInfo.videoState && roomInfo.videoState.mediaId) {
+            loadMedia(roomInfo.videoState, roomInfo.videoState.title);
             if (roomInfo.videoState.isPlaying && roomInfo.videoState.currentTime > 0) {
-                const elapsed = (Date.now() - roomInfo.videoState.timestamp) / 1000;
-                const seekTo = roomInfo.videoState.currentTime + elapsed;
+                const { currentTime, timestamp } = roomInfo.videoState;
                 setTimeout(() => {
-                    if (ytPlayer && ytReady) {
-                        ytPlayer.seekTo(seekTo, true);
-                        ytPlayer.playVideo();
+                    const player = readyPlayer();
+                    if (player) {
+                        // Computed at seek time against the server clock, so local skew drops out
+                        const seekTo = currentTime + (serverNow() - timestamp) / 1000;
+                        player.seek(seekTo);
+                        player.play();
                     }
                 }, 1500);
             }
         }
 
-        initYouTubePlayer();
+        youtubeProvider.init();
+    }
+
+    // ─── Roles ─────────────────────────────────────────────
+    function canManage() {
+        return myRole === 'host' || myRole === 'cohost';
+    }
+
+    // Host-only and co-host UI, swapped live when our role changes
+    function applyRoleUI() {
+        // Show share button on desktop (getDisplayMedia not supported on mobile)
+        const isDesktop = !(/Android|iPhone|iPad|iPod/i.test(navigator.userAgent));
+        $('shareSection').classList.toggle('hidden', myRole !== 'host' || !isDesktop);
+        $('fileSection').classList.toggle('hidden', myRole !== 'host');
+        $('recordSection').classList.toggle('hidden', myRole !== 'host');
+        $('urlInputSection').classList.toggle('hidden', !canManage());
+        $('controlPolicySection').classList.toggle('hidden', myRole !== 'host');
+        $('libraryUpload').classList.toggle('hidden', !canManage());
+        renderLibrary();
+        updateControlsEnabled();
+    }
+
+    function applyRoomRoles(roomInfo) {
+        const prevRole = myRole;
+        if (roomInfo.hostUserId === myUserId) {
+            myRole = 'host';
+        } else {
+            const me = (roomInfo.listeners || []).find(l => l.userId === myUserId);
+            if (me) myRole = me.role;
+        }
+
+        if (prevRole !== myRole) {
+            if (prevRole === 'host') {
+                stopBroadcast();
+                finishRecording(true);
+            }
+            if (prevRole === 'host') renderPendingJoins([]);
+            if (myRole === 'host') $('streamingIndicator').classList.add('hidden');
+            applyRoleUI();
+            showToast(myRole === 'host' ? 'You are now the host'
+                : myRole === 'cohost' ? 'You are now a co-host'
+                    : 'You are now a listener');
+        }
+
+        updateListenerCount(roomInfo.listenerCount);
+        updateListenerList(roomInfo);
+        renderQueue();
+    }
+
+    // Reflect host moderation of *us* in the UI (server enforces it regardless)
+    function applyModeration(roomInfo) {
+        const me = (roomInfo.listeners || []).find(l => l.userId === myUserId);
+        const muted = !!(me && me.chatMuted);
+        const revoked = !!(me && me.controlRevoked);
+
+        if (muted !== chatMuted) showToast(muted ? 'The host muted you in chat' : 'You can chat again', muted);
+        if (revoked !== controlRevoked) showToast(revoked ? 'The host revoked your controls' : 'Your controls are back', revoked);
+        chatMuted = muted;
+        controlRevoked = revoked;
+        renderModeration();
+    }
+
+    function renderModeration() {
+        $('chatInput').disabled = chatMuted;
+        $('chatInput').placeholder = chatMuted ? 'You are muted' : 'Type a message...';
+        $$('.reaction-btn').forEach(btn => { btn.disabled = chatMuted; });
+        // The server already took us out of voice
+        if (chatMuted) leaveVoice(false);
+        updateControlsEnabled();
+    }
+
+    // ─── Control Policy & Votes ────────────────────────────
+    function updateControlsEnabled() {
+        const restricted = myRole === 'listener' && (controlRevoked || controlPolicy === 'host');
+        $('btnToggle').disabled = restricted;
+        $('btnNext').disabled = restricted;
+        // PREV isn't votable
+        $('btnPrev').disabled = restricted || (myRole === 'listener' && controlPolicy === 'vote');
+    }
+
+    function setControlPolicy(policy) {
+        controlPolicy = policy;
+        $('controlPolicySelect').value = policy;
+        voteTallies = {};
+        renderVoteStatus();
+        updateControlsEnabled();
+    }
+
+    function handleVoteUpdate(msg) {
+        if (msg.passed) {
+            delete voteTallies[msg.action];
+            showToast(msg.action === 'NEXT' ? 'Vote passed — skipping' : 'Vote passed — play/pause');
+        } else if (msg.votes > 0) {
+            voteTallies[msg.action] = { votes: msg.votes, needed: msg.needed };
+        } else {
+            delete voteTallies[msg.action];
+        }
+        renderVoteStatus();
+    }
+
+    function renderVoteStatus() {
+        const labels = { NEXT: 'Skip', TOGGLE: 'Play/Pause' };
+        const parts = Object.keys(voteTallies).map(action => {
+            const { votes, needed } = voteTallies[action];
+            return `${labels[action]}: ${votes}/${needed} votes`;
+        });
+        $('voteStatus').textContent = parts.join(' · ');
+        $('voteStatus').classList.toggle('hidden', parts.length === 0);
+    }
+
+    // ─── Resume after reconnect / reload ───────────────────
+    function handleRoomResumed(msg) {
+        const alreadyInRoom = currentRoom === msg.roomCode;
+        myUserId = msg.userId;
+        myRole = msg.role;
+        currentRoom = msg.roomCode;
+        saveResumeToken(msg.resumeToken);
+
+        if (alreadyInRoom) {
+            updateListenerCount(msg.roomInfo.listenerCount);
+            updateListenerList(msg.roomInfo);
+            queue = msg.roomInfo.queue || [];
+            renderQueue();
+            applyStreamStatus({
+                isStreaming: msg.roomInfo.isStreaming,
+                mode: msg.roomInfo.streamMode,
+                relayFormat: msg.roomInfo.relayFormat
+            });
+            showToast('Reconnected');
+        } else {
+            enterRoom(msg.roomInfo);
+            showToast(`Rejoined room ${msg.roomCode}`);
+        }
+        renderChatHistory(msg.chat);
+
+        // Voice peers died with the old socket — rejoin with the mic we still hold
+        if (micStream) {
+            Object.keys(voicePeers).forEach(closeVoicePeer);
+            send({ type: 'VOICE_STATUS', enabled: true });
+        }
+
+        // Page was reloaded while sharing — the capture is gone, so say so
+        if (myRole === 'host' && msg.roomInfo.isStreaming && !localStream) {
+            send({ type: 'STREAM_STATUS', isStreaming: false });
+        }
     }
 
     // ═══════════════════════════════════════════════════════
@@ -265,8 +773,10 @@
             // Stop video tracks (we only need audio)
             displayStream.getVideoTracks().forEach(t => t.stop());
 
-            // Create audio-only stream
+            // Create audio-only stream (replacing local files if those were playing)
+            if (filePlayer) stopFileBroadcast();
             localStream = new MediaStream(audioTracks);
+            attachRecordingSource();
 
             // Listen for track ending (user stops sharing)
             audioTracks[0].addEventListener('ended', () => {
@@ -279,8 +789,8 @@
             $('streamingIndicator').classList.remove('hidden');
             $('streamLabel').textContent = 'Streaming tab audio';
 
-            // Tell server we're streaming
-            send({ type: 'STREAM_STATUS', isStreaming: true });
+            // Tell server we're streaming (and whether we could feed a server relay)
+            send({ type: 'STREAM_STATUS', isStreaming: true, relayFormat: getRelayFormat() });
 
             showToast('Streaming audio! Everyone can hear your music.');
 
@@ -295,191 +805,1509 @@
     }
 
     function stopTabAudioShare() {
+        endBroadcast();
+
+        // Update UI
+        $('btnShareAudio').classList.remove('streaming');
+        $('shareLabel').textContent = 'Share Tab Audio';
+
+        showToast('Stopped sharing audio');
+    }
+
+    // Teardown shared by tab capture and local files
+    function endBroadcast() {
         // Stop all tracks
         if (localStream) {
             localStream.getTracks().forEach(t => t.stop());
             localStream = null;
         }
 
-        // Close all peer connections
-        Object.values(peerConnections).forEach(pc => pc.close());
-        peerConnections = {};
+        attachRecordingSource();
 
-        // Update UI
-        $('btnShareAudio').classList.remove('streaming');
-        $('shareLabel').textContent = 'Share Tab Audio';
+        // Close all peer connections
+        closeAllPeers();
+        stopRelayEncoding();
         $('streamingIndicator').classList.add('hidden');
 
         // Tell server
         send({ type: 'STREAM_STATUS', isStreaming: false });
-
-        showToast('Stopped sharing audio');
     }
 
-    // ─── WebRTC: Host creates offer for listener ───────────
-    function createOfferForListener(targetUserId) {
-        if (!localStream) return;
-
-        const pc = new RTCPeerConnection(RTC_CONFIG);
-        peerConnections[targetUserId] = pc;
-
-        // Add audio tracks
-        localStream.getAudioTracks().forEach(track => {
-            pc.addTrack(track, localStream);
-        });
-
-        // ICE candidates
-        pc.onicecandidate = (event) => {
-            if (event.candidate) {
-                send({
-                    type: 'SIGNAL',
-                    targetUserId,
-                    signal: { type: 'candidate', candidate: event.candidate }
-                });
-            }
-        };
+    // Whichever source is live
+    function stopBroadcast() {
+        if (filePlayer) stopFileBroadcast();
+        else if (localStream) stopTabAudioShare();
+    }
 
-        pc.onconnectionstatechange = () => {
-            if (pc.connectionState === 'failed' || pc.connectionState === 'disconnected') {
-                pc.close();
-                delete peerConnections[targetUserId];
-            }
+    // ═══════════════════════════════════════════════════════
+    // LOCAL FILE BROADCAST (Web Audio → MediaStream)
+    // ═══════════════════════════════════════════════════════
+    // Each track is decoded in full and played from an AudioBufferSourceNode
+    // into one MediaStreamAudioDestinationNode. Its track stays the same across
+    // songs and seeks, so the peers and relay encoder never notice a change.
+
+    // Called from the picker's click so the AudioContext starts with a user gesture
+    function ensureFileContext() {
+        if (filePlayer) return;
+        const ctx = new AudioContext({ sampleRate: 48000 });
+        const monitor = ctx.createGain();  // what the host hears locally (ducked for voice)
+        monitor.connect(ctx.destination);
+        filePlayer = {
+            ctx, dest: ctx.createMediaStreamDestination(), monitor,
+            source: null, buffer: null, index: -1, offset: 0, startedAt: 0, playing: false, loading: 0,
+            live: false
         };
+        if (musicDucked) monitor.gain.value = VOICE_DUCK_VOLUME;
+    }
 
-        // Create and send offer
-        pc.createOffer()
-            .then(offer => pc.setLocalDescription(offer))
-            .then(() => {
-                send({
-                    type: 'SIGNAL',
-                    targetUserId,
-                    signal: { type: 'offer', sdp: pc.localDescription }
-                });
-            })
-            .catch(err => console.error('[WebRTC] Offer failed:', err));
+    function addLocalFiles(files) {
+        const added = Array.from(files).filter(f => f.type.startsWith('audio/') || /\.(mp3|m4a|aac|wav|ogg|oga|opus|flac|webm)$/i.test(f.name));
+        if (added.length === 0) {
+            showToast('No audio files selected', true);
+            if (filePlayer && !filePlayer.live) stopFileBroadcast();
+            return;
+        }
+        const first = filePlaylist.length;
+        filePlaylist.push(...added.map(file => ({ file, name: file.name.replace(/\.[^.]+$/, '') })));
+        renderFilePlaylist();
+        if (!filePlayer.live) startFileBroadcast(first);
+        else if (!filePlayer.playing && !filePlayer.buffer) playFileAt(first);
     }
 
-    // ─── WebRTC: Handle incoming signal ────────────────────
-    function handleSignal(msg) {
-        const { fromUserId, signal } = msg;
+    function startFileBroadcast(index) {
+        if (localStream) stopTabAudioShare();
+        filePlayer.live = true;
+        localStream = filePlayer.dest.stream;
+        attachRecordingSource();
 
-        if (myRole === 'host') {
-            // Host receives answer or ICE from listener
-            const pc = peerConnections[fromUserId];
-            if (!pc) return;
+        $('filePlayer').classList.remove('hidden');
+        $('btnPickFiles').textContent = '📁 Add Files';
+        $('streamingIndicator').classList.remove('hidden');
+        $('streamLabel').textContent = 'Streaming local files';
 
-            if (signal.type === 'answer') {
-                pc.setRemoteDescription(new RTCSessionDescription(signal.sdp))
-                    .catch(err => console.error('[WebRTC] Answer error:', err));
-            } else if (signal.type === 'candidate') {
-                pc.addIceCandidate(new RTCIceCandidate(signal.candidate))
-                    .catch(() => { });
-            }
+        send({ type: 'STREAM_STATUS', isStreaming: true, relayFormat: getRelayFormat() });
+        showToast('Streaming your files! Everyone can hear them.');
+        playFileAt(index);
+    }
 
-        } else if (myRole === 'listener') {
-            // Listener receives offer or ICE from host
-            if (signal.type === 'offer') {
-                // Create new peer connection for this offer
-                if (remotePC) remotePC.close();
-                remotePC = new RTCPeerConnection(RTC_CONFIG);
+    async function playFileAt(index) {
+        if (!filePlayer) return;
+        if (index < 0 || index >= filePlaylist.length) {
+            // End of the playlist — keep broadcasting silence until something else is picked
+            stopFileSource();
+            Object.assign(filePlayer, { buffer: null, index: -1, offset: 0, playing: false });
+            renderFilePlaylist();
+            updateFileTransport();
+            return;
+        }
 
-                remotePC.ontrack = (event) => {
-                    const remoteAudio = $('remoteAudio');
-                    remoteAudio.srcObject = event.streams[0];
-                    remoteAudio.play().catch(() => { });
-                    $('streamingIndicator').classList.remove('hidden');
-                    $('streamLabel').textContent = 'Listening to host\'s audio';
-                    showToast('Connected! You can hear the host\'s music.');
-                };
+        const player = filePlayer;
+        const loading = ++player.loading;   // a later pick wins over a slow decode
+        const entry = filePlaylist[index];
+        let buffer;
+        try {
+            buffer = await player.ctx.decodeAudioData(await entry.file.arrayBuffer());
+        } catch (err) {
+            console.warn('[Files] Could not decode', entry.name, err);
+            showToast(`Can't play "${entry.name}"`, true);
+            if (filePlayer === player && loading === player.loading && filePlaylist.includes(entry)) {
+                playFileAt(filePlaylist.indexOf(entry) + 1);
+            }
+            return;
+        }
+        // Superseded, stopped, or removed from the list while decoding
+        if (filePlayer !== player || loading !== player.loading || !filePlaylist.includes(entry)) return;
+
+        stopFileSource();
+        player.buffer = buffer;
+        player.index = filePlaylist.indexOf(entry);
+        startFileSource(0);
+        $('npTitle').textContent = entry.name;
+        recordEvent('track', { source: 'file', title: entry.name });
+        renderFilePlaylist();
+    }
 
-                remotePC.onicecandidate = (event) => {
-                    if (event.candidate) {
-                        send({
-                            type: 'SIGNAL',
-                            targetUserId: fromUserId,
-                            signal: { type: 'candidate', candidate: event.candidate }
-                        });
-                    }
-                };
+    function startFileSource(offset) {
+        const { ctx, dest, monitor, buffer } = filePlayer;
+        const source = ctx.createBufferSource();
+        source.buffer = buffer;
+        source.connect(dest);
+        source.connect(monitor);
+        source.onended = () => {
+            // Only a track that ran out advances — stopFileSource() clears .source first
+            if (filePlayer && filePlayer.source === source) {
+                filePlayer.source = null;
+                playFileAt(filePlayer.index + 1);
+            }
+        };
+        source.start(0, offset);
+        Object.assign(filePlayer, { source, offset, startedAt: ctx.currentTime, playing: true });
+        updateFileTransport();
+    }
 
-                remotePC.onconnectionstatechange = () => {
-                    if (remotePC.connectionState === 'failed' || remotePC.connectionState === 'disconnected') {
-                        $('streamingIndicator').classList.add('hidden');
-                    }
-                };
+    function stopFileSource() {
+        const source = filePlayer && filePlayer.source;
+        if (!source) return;
+        filePlayer.source = null;
+        try { source.stop(); } catch (e) { }
+    }
 
-                remotePC.setRemoteDescription(new RTCSessionDescription(signal.sdp))
-                    .then(() => remotePC.createAnswer())
-                    .then(answer => remotePC.setLocalDescription(answer))
-                    .then(() => {
-                        send({
-                            type: 'SIGNAL',
-                            targetUserId: fromUserId,
-                            signal: { type: 'answer', sdp: remotePC.localDescription }
-                        });
-                    })
-                    .catch(err => console.error('[WebRTC] Answer creation failed:', err));
+    function filePosition() {
+        if (!filePlayer || !filePlayer.buffer) return 0;
+        if (!filePlayer.playing) return filePlayer.offset;
+        const elapsed = filePlayer.ctx.currentTime - filePlayer.startedAt;
+        return Math.min(filePlayer.offset + elapsed, filePlayer.buffer.duration);
+    }
 
-            } else if (signal.type === 'candidate' && remotePC) {
-                remotePC.addIceCandidate(new RTCIceCandidate(signal.candidate))
-                    .catch(() => { });
-            }
+    function toggleFilePlayback() {
+        if (!filePlayer || !filePlayer.buffer) return;
+        if (filePlayer.playing) {
+            filePlayer.offset = filePosition();
+            stopFileSource();
+            filePlayer.playing = false;
+            updateFileTransport();
+        } else {
+            startFileSource(filePlayer.offset);
         }
+        recordEvent('sync', { source: 'file', action: filePlayer.playing ? 'play' : 'pause', isPlaying: filePlayer.playing, position: filePlayer.offset });
     }
 
-    // ═══════════════════════════════════════════════════════
-    // YOUTUBE IFRAME PLAYER
-    // ═══════════════════════════════════════════════════════
-
-    function initYouTubePlayer() {
-        if (ytPlayer) return;
-        if (!window.YT) {
-            const tag = document.createElement('script');
-            tag.src = 'https://www.youtube.com/iframe_api';
-            document.head.appendChild(tag);
-            window.onYouTubeIframeAPIReady = createPlayer;
+    function seekFile(seconds) {
+        if (!filePlayer || !filePlayer.buffer) return;
+        const offset = Math.max(0, Math.min(seconds, filePlayer.buffer.duration - 0.05));
+        recordEvent('sync', { source: 'file', action: 'seek', isPlaying: filePlayer.playing, position: offset });
+        if (filePlayer.playing) {
+            stopFileSource();
+            startFileSource(offset);
         } else {
-            createPlayer();
+            filePlayer.offset = offset;
+            updateFileTransport();
         }
     }
 
-    function createPlayer() {
-        ytPlayer = new YT.Player('ytPlayer', {
-            height: '100%',
-            width: '100%',
-            playerVars: {
-                autoplay: 0,
-                controls: 0,
-                rel: 0,
-                modestbranding: 1,
-                fs: 0,
-                playsinline: 1
-            },
-            events: {
-                onReady: () => { ytReady = true; },
-                onStateChange: (event) => handlePlayerStateChange(event.data),
-                onError: () => showToast('Could not play this video.', true)
+    function removeLocalFile(index) {
+        const wasCurrent = filePlayer && filePlayer.index === index;
+        filePlaylist.splice(index, 1);
+        if (filePlayer && filePlayer.index > index) filePlayer.index--;
+        if (wasCurrent) playFileAt(index);   // the next file slid into this slot
+        renderFilePlaylist();
+    }
+
+    function stopFileBroadcast() {
+        if (!filePlayer) return;
+        const wasLive = filePlayer.live;
+        stopFileSource();
+        filePlayer.ctx.close();
+        filePlayer = null;
+        filePlaylist = [];
+        fileSeeking = false;
+
+        if (wasLive) endBroadcast();
+        $('filePlayer').classList.add('hidden');
+        $('btnPickFiles').textContent = '📁 Play Local Files';
+        $('fileInput').value = '';
+        renderFilePlaylist();
+        if (wasLive) showToast('Stopped streaming files');
+    }
+
+    function updateFileTransport() {
+        if (!filePlayer) return;
+        const duration = filePlayer.buffer ? filePlayer.buffer.duration : 0;
+        const position = filePosition();
+        $('btnFileToggle').textContent = filePlayer.playing ? 'Pause' : 'Play';
+        $('fileTime').textContent = `${formatDuration(position)} / ${formatDuration(duration)}`;
+        if (!fileSeeking) {
+            $('fileSeek').max = duration;
+            $('fileSeek').value = position;
+        }
+    }
+
+    function renderFilePlaylist() {
+        const list = $('filePlaylist');
+        list.innerHTML = '';
+        filePlaylist.forEach((entry, i) => {
+            const item = document.createElement('div');
+            item.className = 'file-item' + (filePlayer && filePlayer.index === i ? ' current' : '');
+            item.innerHTML = `
+        <span class="file-name">${escapeHtml(entry.name)}</span>
+        <button class="file-remove" title="Remove">✕</button>
+      `;
+            item.addEventListener('click', () => playFileAt(i));
+            item.querySelector('.file-remove').addEventListener('click', (e) => {
+                e.stopPropagation();
+                removeLocalFile(i);
+            });
+            list.appendChild(item);
+        });
+    }
+
+    function formatDuration(seconds) {
+        const s = Math.floor(seconds || 0);
+        return `${Math.floor(s / 60)}:${String(s % 60).padStart(2, '0')}`;
+    }
+
+    // ═══════════════════════════════════════════════════════
+    // SESSION RECORDING (MediaRecorder + timeline)
+    // ═══════════════════════════════════════════════════════
+    // Records what the host broadcasts — through a small Web Audio mix so the
+    // recorder survives switching between tab audio, files and silence — plus a
+    // timeline of tracks, sync changes and chat. Synced media (YouTube, HTML5)
+    // only ends up in the file if the host is sharing the tab it plays in.
+
+    function startRecording() {
+        if (!('MediaRecorder' in window)) {
+            showToast('Recording is not supported in this browser', true);
+            return;
+        }
+        const mimeType = RECORDING_TYPES.find(t => MediaRecorder.isTypeSupported(t));
+        if (!mimeType) {
+            showToast('This browser can\'t record audio', true);
+            return;
+        }
+
+        clearRecordingDownloads();
+        const ctx = new AudioContext({ sampleRate: 48000 });
+        const dest = ctx.createMediaStreamDestination();
+        const recorder = new MediaRecorder(dest.stream, { mimeType, audioBitsPerSecond: 128000 });
+        const rec = {
+            ctx, dest, input: null, recorder, chunks: [], mimeType,
+            roomCode: currentRoom, startedAt: Date.now(), events: []
+        };
+        recorder.ondataavailable = (e) => {
+            if (e.data.size > 0) rec.chunks.push(e.data);
+        };
+        recording = rec;
+        recorder.start(1000);
+
+        attachRecordingSource();
+        // Note what's already playing so the first track has a start
+        if (filePlayer && filePlayer.live && filePlayer.index >= 0) {
+            recordEvent('track', { source: 'file', title: filePlaylist[filePlayer.index].name });
+        } else if (currentMedia) {
+            recordEvent('track', { source: currentMedia.provider, mediaId: currentMedia.mediaId, title: $('npTitle').textContent });
+        }
+
+        $('btnRecord').classList.add('recording');
+        $('btnRecord').textContent = '⏹ Stop Recording';
+        $('recordTime').textContent = '0:00';
+        $('recordTime').classList.remove('hidden');
+        showToast(localStream ? 'Recording session'
+            : 'Recording the timeline — share tab audio or play files to capture sound');
+    }
+
+    // Resolves with the files to save once the recorder has flushed its last chunk
+    function stopRecording() {
+        if (!recording) return Promise.resolve(null);
+        recordEvent('end');
+        const rec = recording;
+        recording = null;
+
+        $('btnRecord').classList.remove('recording');
+        $('btnRecord').textContent = '⏺ Record Session';
+        $('recordTime').classList.add('hidden');
+
+        return new Promise(resolve => {
+            rec.recorder.onstop = () => {
+                rec.ctx.close();
+                resolve(buildRecordingFiles(rec, Date.now()));
+            };
+            rec.recorder.stop();
+        });
+    }
+
+    // On a normal stop the host gets download links; when the room is going
+    // away under us (leaving, losing host) the files download straight away.
+    async function finishRecording(download = false) {
+        const files = await stopRecording();
+        if (!files) return;
+        if (download) saveFiles(files);
+        else showRecordingDownloads(files);
+    }
+
+    // Follow localStream as the host switches between tab capture, files and nothing
+    function attachRecordingSource() {
+        if (!recording) return;
+        if (recording.input) {
+            recording.input.disconnect();
+            recording.input = null;
+        }
+        if (localStream) {
+            recording.input = recording.ctx.createMediaStreamSource(localStream);
+            recording.input.connect(recording.dest);
+        }
+        recordEvent('audio', { source: !localStream ? null : filePlayer && filePlayer.live ? 'files' : 'tab' });
+    }
+
+    function recordEvent(type, details = {}) {
+        if (!recording) return;
+        recording.events.push({ t: (Date.now() - recording.startedAt) / 1000, type, ...details });
+    }
+
+    function buildRecordingFiles(rec, endedAt) {
+        const duration = (endedAt - rec.startedAt) / 1000;
+        const stamp = new Date(rec.startedAt).toISOString().slice(0, 19).replace(/[:T]/g, '-');
+        const base = `jamsync-${rec.roomCode || 'session'}-${stamp}`;
+        const ext = rec.mimeType.startsWith('audio/mp4') ? 'm4a'
+            : rec.mimeType.startsWith('audio/ogg') ? 'ogg' : 'webm';
+        const audioName = `${base}.${ext}`;
+        const tracks = sessionTracks(rec.events, duration);
+
+        const log = {
+            room: rec.roomCode,
+            startedAt: new Date(rec.startedAt).toISOString(),
+            duration,
+            audio: audioName,
+            tracks,
+            events: rec.events
+        };
+
+        return [
+            { label: 'Audio', name: audioName, blob: new Blob(rec.chunks, { type: rec.mimeType }) },
+            { label: 'Session log (JSON)', name: `${base}.json`, blob: new Blob([JSON.stringify(log, null, 2)], { type: 'application/json' }) },
+            { label: 'Cue sheet', name: `${base}.cue`, blob: new Blob([buildCueSheet(rec.roomCode, audioName, tracks)], { type: 'text/plain' }) }
+        ];
+    }
+
+    // Each 'track' event runs until the next one, or the end of the recording
+    function sessionTracks(events, duration) {
+        const starts = events.filter(e => e.type === 'track');
+        return starts.map((e, i) => ({
+            title: e.title,
+            source: e.source,
+            mediaId: e.mediaId,
+            start: e.t,
+            end: i + 1 < starts.length ? starts[i + 1].t : duration
+        }));
+    }
+
+    function buildCueSheet(roomCode, audioName, tracks) {
+        const quote = (text) => String(text || '').replace(/"/g, '\'');
+        // CUE tracks must cover the file from 0:00
+        const entries = tracks.length > 0 && tracks[0].start < 1 ? tracks
+            : [{ title: 'Session start', start: 0 }, ...tracks];
+
+        const lines = [`TITLE "JamSync session ${quote(roomCode)}"`, `FILE "${quote(audioName)}" WAVE`];
+        entries.forEach((track, i) => {
+            lines.push(`  TRACK ${String(i + 1).padStart(2, '0')} AUDIO`);
+            lines.push(`    TITLE "${quote(track.title)}"`);
+            lines.push(`    INDEX 01 ${cueTime(i === 0 ? 0 : track.start)}`);
+        });
+        return lines.join('\r\n') + '\r\n';
+    }
+
+    // mm:ss:ff — CUE sheets count 75 frames per second
+    function cueTime(seconds) {
+        const frames = Math.round(seconds * 75);
+        const pad = (n) => String(n).padStart(2, '0');
+        return `${pad(Math.floor(frames / 4500))}:${pad(Math.floor(frames / 75) % 60)}:${pad(frames % 75)}`;
+    }
+
+    function showRecordingDownloads(files) {
+        clearRecordingDownloads();
+        const box = $('recordDownloads');
+        files.forEach(({ label, name, blob }) => {
+            const url = URL.createObjectURL(blob);
+            recordingUrls.push(url);
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = name;
+            link.textContent = `⬇ ${label}`;
+            box.appendChild(link);
+        });
+        box.classList.remove('hidden');
+    }
+
+    function clearRecordingDownloads() {
+        recordingUrls.forEach(url => URL.revokeObjectURL(url));
+        recordingUrls = [];
+        $('recordDownloads').innerHTML = '';
+        $('recordDownloads').classList.add('hidden');
+    }
+
+    function saveFiles(files) {
+        files.forEach(({ name, blob }) => {
+            const url = URL.createObjectURL(blob);
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = name;
+            link.click();
+            setTimeout(() => URL.revokeObjectURL(url), 60000);
+        });
+    }
+
+    function updateRecordingClock() {
+        if (recording) $('recordTime').textContent = formatDuration((Date.now() - recording.startedAt) / 1000);
+    }
+
+    // ─── Stream mode (mesh / relay) ────────────────────────
+    // STREAM_STATUS says whether the host is streaming and how: 'mesh' (a WebRTC
+    // peer per listener) or 'relay' (one Opus stream the server fans out).
+    function applyStreamStatus({ isStreaming, mode, relayFormat }) {
+        if (myRole === 'host') {
+            if (isStreaming && mode === 'relay') startRelayEncoding();
+            return;
+        }
+
+        if (!isStreaming) {
+            $('streamingIndicator').classList.add('hidden');
+            $('streamingIndicator').classList.remove('reconnecting', 'lost');
+            stopRelayPlayback();
+            return;
+        }
+
+        $('streamingIndicator').classList.remove('hidden');
+        if (mode === 'relay' && CAN_RELAY_PLAY && relayFormat) {
+            if (!relayPlayer) startRelayPlayback(relayFormat);
+        } else if (!remotePC && !relayPlayer) {
+            // Mesh — the host's offer arrives via INITIATE_PEER / SIGNAL
+            $('streamLabel').textContent = 'Host is streaming tab audio';
+        }
+    }
+
+    // ─── Relay: host side ──────────────────────────────────
+    function getRelayFormat() {
+        if (!CAN_RELAY_SEND || !localStream) return null;
+        const settings = localStream.getAudioTracks()[0].getSettings();
+        return {
+            sampleRate: settings.sampleRate || 48000,
+            numberOfChannels: Math.min(settings.channelCount || 2, 2)
+        };
+    }
+
+    function startRelayEncoding() {
+        if (relayEncoder || !localStream || !CAN_RELAY_SEND) return;
+
+        // Relay listeners leave their peers; the server re-initiates any that can't decode
+        closeAllPeers();
+
+        const track = localStream.getAudioTracks()[0];
+        const reader = new MediaStreamTrackProcessor({ track }).readable.getReader();
+        const encoder = new AudioEncoder({
+            output: sendRelayFrame,
+            error: (err) => console.error('[Relay] Encode error:', err)
+        });
+        relayEncoder = { encoder, reader, config: null };
+
+        (async () => {
+            for (;;) {
+                const { value: audioData, done } = await reader.read();
+                if (done) break;
+                // Configure from the first frame so the format always matches the capture
+                if (encoder.state === 'unconfigured') {
+                    relayEncoder.config = {
+                        codec: 'opus',
+                        sampleRate: audioData.sampleRate,
+                        numberOfChannels: audioData.numberOfChannels
+                    };
+                    encoder.configure({ ...relayEncoder.config, bitrate: QUALITY_PRESETS[qualityPreset].maxBitrate });
+                }
+                if (encoder.state === 'configured') encoder.encode(audioData);
+                audioData.close();
+            }
+        })().catch(err => console.error('[Relay] Capture stopped:', err));
+
+        showToast('Room is large — relaying audio through the server');
+    }
+
+    // Frame layout: 8-byte chunk timestamp (µs, float64) followed by one Opus packet
+    function sendRelayFrame(chunk) {
+        if (!ws || ws.readyState !== WebSocket.OPEN) return;
+        if (ws.bufferedAmount > RELAY_MAX_BUFFERED) return;
+        const frame = new ArrayBuffer(8 + chunk.byteLength);
+        new DataView(frame).setFloat64(0, chunk.timestamp);
+        chunk.copyTo(new Uint8Array(frame, 8));
+        ws.send(frame);
+    }
+
+    function stopRelayEncoding() {
+        if (!relayEncoder) return;
+        relayEncoder.reader.cancel().catch(() => { });
+        if (relayEncoder.encoder.state !== 'closed') relayEncoder.encoder.close();
+        relayEncoder = null;
+    }
+
+    // ─── Relay: listener side ──────────────────────────────
+    function startRelayPlayback(format) {
+        stopRelayPlayback();
+        if (remotePC) { remotePC.close(); remotePC = null; }
+
+        const ctx = new AudioContext();
+        const gain = ctx.createGain();
+        gain.gain.value = musicDucked ? VOICE_DUCK_VOLUME : 1;
+        gain.connect(ctx.destination);
+        // frames/dropped/decodeErrors are running counts for the stats panel
+        const player = { ctx, gain, nextTime: 0, decoder: null, frames: 0, dropped: 0, decodeErrors: 0 };
+        player.decoder = new AudioDecoder({
+            output: (audioData) => scheduleRelayAudio(player, audioData),
+            error: (err) => {
+                player.decodeErrors++;
+                console.error('[Relay] Decode error:', err);
+            }
+        });
+        player.decoder.configure({
+            codec: 'opus',
+            sampleRate: format.sampleRate,
+            numberOfChannels: format.numberOfChannels
+        });
+        relayPlayer = player;
+
+        // Autoplay policy may hold the context until the next user gesture
+        if (ctx.state === 'suspended') {
+            showToast('Tap anywhere to start the audio');
+            document.addEventListener('click', () => ctx.resume(), { once: true });
+        }
+        $('streamingIndicator').classList.remove('reconnecting', 'lost');
+        $('streamLabel').textContent = 'Listening to host\'s audio (relay)';
+    }
+
+    function handleRelayFrame(data) {
+        if (!relayPlayer || relayPlayer.decoder.state !== 'configured') return;
+        if (data.byteLength <= 8) return;
+        relayPlayer.frames++;
+        // Decoder can't keep up — drop rather than fall further behind
+        if (relayPlayer.decoder.decodeQueueSize > 20) {
+            relayPlayer.dropped++;
+            return;
+        }
+        try {
+            relayPlayer.decoder.decode(new EncodedAudioChunk({
+                type: 'key',
+                timestamp: new DataView(data).getFloat64(0),
+                data: new Uint8Array(data, 8)
+            }));
+        } catch (err) {
+            relayPlayer.decodeErrors++;
+            console.error('[Relay] Decode error:', err);
+        }
+    }
+
+    // Play decoded chunks back-to-back, restarting the jitter buffer after a gap
+    function scheduleRelayAudio(player, audioData) {
+        const { ctx } = player;
+        const buffer = ctx.createBuffer(audioData.numberOfChannels, audioData.numberOfFrames, audioData.sampleRate);
+        for (let ch = 0; ch < audioData.numberOfChannels; ch++) {
+            audioData.copyTo(buffer.getChannelData(ch), { planeIndex: ch, format: 'f32-planar' });
+        }
+        audioData.close();
+
+        const source = ctx.createBufferSource();
+        source.buffer = buffer;
+        source.connect(player.gain);
+        if (player.nextTime < ctx.currentTime) player.nextTime = ctx.currentTime + RELAY_JITTER_BUFFER;
+        source.start(player.nextTime);
+        player.nextTime += buffer.duration;
+    }
+
+    function stopRelayPlayback() {
+        if (!relayPlayer) return;
+        if (relayPlayer.decoder.state !== 'closed') relayPlayer.decoder.close();
+        relayPlayer.ctx.close().catch(() => { });
+        relayPlayer = null;
+    }
+
+    // ─── WebRTC: ICE config ────────────────────────────────
+    function loadRtcConfig() {
+        fetch('/config')
+            .then(res => res.json())
+            .then(config => {
+                rtcConfig = { iceServers: config.iceServers };
+                // TURN credentials are short-lived — refresh at half their lifetime
+                setTimeout(loadRtcConfig, Math.max(60, config.ttl / 2) * 1000);
+            })
+            .catch(() => setTimeout(loadRtcConfig, 30000));
+    }
+
+    function hasRelayServer() {
+        return rtcConfig.iceServers.some(server =>
+            [].concat(server.urls).some(url => /^turns?:/.test(url)));
+    }
+
+    function peerConfig(relayOnly) {
+        return relayOnly ? { ...rtcConfig, iceTransportPolicy: 'relay' } : rtcConfig;
+    }
+
+    // ─── WebRTC: Host creates offer for listener ───────────
+    function createOfferForListener(targetUserId) {
+        if (!localStream) return;
+
+        // Renegotiating (e.g. after a reconnect) — drop the stale connection
+        if (peerConnections[targetUserId]) peerConnections[targetUserId].close();
+
+        const relay = relayOnlyPeers.has(targetUserId);
+        const pc = new RTCPeerConnection(peerConfig(relay));
+        peerConnections[targetUserId] = pc;
+        setPeerHealth(targetUserId, peerRecovery[targetUserId] ? 'reconnecting' : 'connecting');
+
+        // Add audio tracks
+        localStream.getAudioTracks().forEach(track => {
+            pc.addTrack(track, localStream);
+        });
+
+        // ICE candidates
+        pc.onicecandidate = (event) => {
+            if (event.candidate) {
+                send({
+                    type: 'SIGNAL',
+                    targetUserId,
+                    signal: { type: 'candidate', candidate: event.candidate }
+                });
+            }
+        };
+
+        pc.onconnectionstatechange = () => {
+            if (peerConnections[targetUserId] !== pc) return; // superseded
+            if (pc.connectionState === 'connected') {
+                clearPeerRecovery(targetUserId);
+                setPeerHealth(targetUserId, 'connected');
+            } else if (pc.connectionState === 'disconnected') {
+                // Often a blip that heals by itself — only step in if it doesn't
+                setPeerHealth(targetUserId, 'reconnecting');
+                setTimeout(() => {
+                    if (peerConnections[targetUserId] === pc && pc.connectionState === 'disconnected') {
+                        startPeerRecovery(targetUserId);
+                    }
+                }, PEER_DISCONNECT_GRACE);
+            } else if (pc.connectionState === 'failed') {
+                startPeerRecovery(targetUserId);
+            }
+        };
+
+        sendOffer(pc, targetUserId);
+    }
+
+    // `update` — renegotiating an existing connection (ICE restart, quality change)
+    // rather than starting a new one
+    function sendOffer(pc, targetUserId, { iceRestart = false, update = false } = {}) {
+        pc.createOffer({ iceRestart })
+            .then(offer => pc.setLocalDescription({ type: offer.type, sdp: applyOpusPreset(offer.sdp, true) }))
+            .then(() => applySenderBitrate(pc))
+            .then(() => {
+                send({
+                    type: 'SIGNAL',
+                    targetUserId,
+                    signal: {
+                        type: 'offer',
+                        sdp: pc.localDescription,
+                        relay: relayOnlyPeers.has(targetUserId),
+                        update: update || iceRestart
+                    }
+                });
+            })
+            .catch(err => console.error('[WebRTC] Offer failed:', err));
+    }
+
+    // ─── WebRTC: Host-side peer recovery ───────────────────
+    // First try an ICE restart on the existing connection (new network path, same
+    // session). If that doesn't get it back, renegotiate from scratch with
+    // exponential backoff. A direct path that failed outright goes to TURN.
+    function startPeerRecovery(userId) {
+        if (peerRecovery[userId] || !localStream) return;
+        peerRecovery[userId] = { attempts: 0, timer: null };
+        nextRecoveryAttempt(userId);
+    }
+
+    function nextRecoveryAttempt(userId) {
+        const recovery = peerRecovery[userId];
+        if (!recovery || !localStream) return;
+        recovery.attempts++;
+
+        if (recovery.attempts > PEER_MAX_RETRIES) {
+            console.log(`[WebRTC] Giving up on ${userId} after ${PEER_MAX_RETRIES} attempts`);
+            if (peerConnections[userId]) peerConnections[userId].close();
+            delete peerConnections[userId];
+            clearPeerRecovery(userId);
+            setPeerHealth(userId, 'failed');
+            send({ type: 'SIGNAL', targetUserId: userId, signal: { type: 'peer-failed' } });
+            return;
+        }
+
+        setPeerHealth(userId, 'reconnecting');
+        const delay = recovery.attempts === 1
+            ? 0
+            : Math.min(PEER_RETRY_BASE * 2 ** (recovery.attempts - 2), PEER_RETRY_MAX_DELAY);
+
+        recovery.timer = setTimeout(() => {
+            // Not connected by the deadline → next attempt
+            recovery.timer = setTimeout(() => nextRecoveryAttempt(userId), PEER_ATTEMPT_TIMEOUT);
+
+            const pc = peerConnections[userId];
+            const directFailed = pc && pc.connectionState === 'failed' &&
+                !relayOnlyPeers.has(userId) && hasRelayServer();
+
+            if (directFailed) {
+                // Direct path blocked (symmetric NAT, corporate firewall) — go through TURN
+                console.log(`[WebRTC] Direct connection to ${userId} failed, retrying via relay`);
+                relayOnlyPeers.add(userId);
+                createOfferForListener(userId);
+            } else if (recovery.attempts === 1 && pc) {
+                console.log(`[WebRTC] ICE restart for ${userId}`);
+                sendOffer(pc, userId, { iceRestart: true });
+            } else {
+                console.log(`[WebRTC] Renegotiating with ${userId} (attempt ${recovery.attempts})`);
+                createOfferForListener(userId);
+            }
+        }, delay);
+    }
+
+    function clearPeerRecovery(userId) {
+        const recovery = peerRecovery[userId];
+        if (!recovery) return;
+        clearTimeout(recovery.timer);
+        delete peerRecovery[userId];
+    }
+
+    // Host's per-listener connection health, shown in the listener list
+    function setPeerHealth(userId, state) {
+        if (state) peerHealth[userId] = state;
+        else delete peerHealth[userId];
+        if (lastRoomInfo) updateListenerList(lastRoomInfo);
+    }
+
+    function closeAllPeers() {
+        Object.values(peerConnections).forEach(pc => pc.close());
+        peerConnections = {};
+        Object.keys(peerRecovery).forEach(clearPeerRecovery);
+        peerHealth = {};
+        if (lastRoomInfo) updateListenerList(lastRoomInfo);
+    }
+
+    // ─── WebRTC: Handle incoming signal ────────────────────
+    function handleSignal(msg) {
+        const { fromUserId, signal } = msg;
+
+        if (myRole === 'host') {
+            // Listener noticed the drop first, or wants another go after we gave up
+            if (signal.type === 'restart-request') {
+                if (!localStream || peerRecovery[fromUserId]) return;
+                if (peerConnections[fromUserId]) startPeerRecovery(fromUserId);
+                else createOfferForListener(fromUserId);
+                return;
+            }
+
+            // Host receives answer or ICE from listener
+            const pc = peerConnections[fromUserId];
+            if (!pc) return;
+
+            if (signal.type === 'answer') {
+                // Opus takes stereo / bitrate hints from the *receiver's* SDP, so set them there too
+                const sdp = applyOpusPreset(signal.sdp.sdp, false);
+                pc.setRemoteDescription(new RTCSessionDescription({ type: 'answer', sdp }))
+                    .catch(err => console.error('[WebRTC] Answer error:', err));
+            } else if (signal.type === 'candidate') {
+                pc.addIceCandidate(new RTCIceCandidate(signal.candidate))
+                    .catch(() => { });
+            }
+
+        } else {
+            // Listener receives offer or ICE from host
+            if (signal.type === 'offer' && signal.update && remotePC) {
+                // ICE restart or quality change — same connection, new description
+                answerOffer(remotePC, fromUserId, signal.sdp);
+
+            } else if (signal.type === 'offer') {
+                // Create new peer connection for this offer
+                if (remotePC) remotePC.close();
+                const pc = new RTCPeerConnection(peerConfig(!!signal.relay));
+                remotePC = pc;
+
+                pc.ontrack = (event) => {
+                    const remoteAudio = $('remoteAudio');
+                    remoteAudio.srcObject = event.streams[0];
+                    remoteAudio.play().catch(() => { });
+                    setAudioReconnecting(false);
+                    showToast('Connected! You can hear the host\'s music.');
+                };
+
+                pc.onicecandidate = (event) => {
+                    if (event.candidate) {
+                        send({
+                            type: 'SIGNAL',
+                            targetUserId: fromUserId,
+                            signal: { type: 'candidate', candidate: event.candidate }
+                        });
+                    }
+                };
+
+                pc.onconnectionstatechange = () => {
+                    if (remotePC !== pc) return;
+                    if (pc.connectionState === 'connected') {
+                        setAudioReconnecting(false);
+                    } else if (pc.connectionState === 'disconnected') {
+                        setAudioReconnecting(true);
+                    } else if (pc.connectionState === 'failed') {
+                        // The host usually notices too, but make sure it knows
+                        setAudioReconnecting(true);
+                        send({ type: 'SIGNAL', targetUserId: fromUserId, signal: { type: 'restart-request' } });
+                    }
+                };
+
+                answerOffer(pc, fromUserId, signal.sdp);
+
+            } else if (signal.type === 'peer-failed') {
+                if (remotePC) { remotePC.close(); remotePC = null; }
+                $('streamingIndicator').classList.remove('reconnecting');
+                $('streamingIndicator').classList.add('lost');
+                $('streamLabel').textContent = 'Audio connection lost — tap to retry';
+
+            } else if (signal.type === 'candidate' && remotePC) {
+                remotePC.addIceCandidate(new RTCIceCandidate(signal.candidate))
+                    .catch(() => { });
+            }
+        }
+    }
+
+    function answerOffer(pc, hostUserId, sdp) {
+        pc.setRemoteDescription(new RTCSessionDescription(sdp))
+            .then(() => pc.createAnswer())
+            .then(answer => pc.setLocalDescription(answer))
+            .then(() => {
+                send({
+                    type: 'SIGNAL',
+                    targetUserId: hostUserId,
+                    signal: { type: 'answer', sdp: pc.localDescription }
+                });
+            })
+            .catch(err => console.error('[WebRTC] Answer creation failed:', err));
+    }
+
+    // ─── Stream quality (host) ─────────────────────────────
+    // Rewrite the Opus fmtp line for the current preset. `local` is our own offer
+    // (what we send: sprop-stereo, DTX); otherwise the listener's answer (what it
+    // asks for: stereo, max bitrate), which is what the encoder actually honours.
+    function applyOpusPreset(sdp, local) {
+        const preset = QUALITY_PRESETS[qualityPreset];
+        const match = sdp.match(/a=rtpmap:(\d+) opus\/48000[^\r\n]*/i);
+        if (!match) return sdp;
+        const payloadType = match[1];
+        const fmtpPattern = new RegExp(`a=fmtp:${payloadType} ([^\r\n]*)`);
+
+        const overrides = local
+            ? { 'sprop-stereo': preset.stereo ? 1 : 0, usedtx: preset.dtx ? 1 : 0 }
+            : { stereo: preset.stereo ? 1 : 0, maxaveragebitrate: preset.maxBitrate };
+
+        if (!fmtpPattern.test(sdp)) {
+            const params = Object.entries(overrides).map(([k, v]) => `${k}=${v}`).join(';');
+            return sdp.replace(match[0], `${match[0]}\r\na=fmtp:${payloadType} ${params}`);
+        }
+        return sdp.replace(fmtpPattern, (line, paramString) => {
+            const params = {};
+            paramString.split(';').filter(Boolean).forEach(pair => {
+                const [key, value] = pair.split('=');
+                params[key.trim()] = value;
+            });
+            Object.assign(params, overrides);
+            return `a=fmtp:${payloadType} ${Object.entries(params).map(([k, v]) => `${k}=${v}`).join(';')}`;
+        });
+    }
+
+    function applySenderBitrate(pc) {
+        const sender = pc.getSenders().find(s => s.track && s.track.kind === 'audio');
+        if (!sender) return Promise.resolve();
+        const params = sender.getParameters();
+        if (!params.encodings || params.encodings.length === 0) return Promise.resolve();
+        params.encodings[0].maxBitrate = QUALITY_PRESETS[qualityPreset].maxBitrate;
+        return sender.setParameters(params).catch(err => console.warn('[WebRTC] setParameters failed:', err));
+    }
+
+    function setQualityPreset(preset) {
+        if (!QUALITY_PRESETS[preset] || preset === qualityPreset) return;
+        const { stereo, dtx } = QUALITY_PRESETS[qualityPreset];
+        qualityPreset = preset;
+        localStorage.setItem('jamsync.quality', preset);
+        $('qualitySelect').value = preset;
+
+        // Bitrate applies live; stereo and DTX live in the SDP and need a renegotiation
+        const needsRenegotiation = stereo !== QUALITY_PRESETS[preset].stereo || dtx !== QUALITY_PRESETS[preset].dtx;
+        Object.entries(peerConnections).forEach(([userId, pc]) => {
+            if (needsRenegotiation && pc.signalingState === 'stable') sendOffer(pc, userId, { update: true });
+            else applySenderBitrate(pc);
+        });
+        if (relayEncoder && relayEncoder.encoder.state === 'configured') {
+            relayEncoder.encoder.configure({ ...relayEncoder.config, bitrate: QUALITY_PRESETS[preset].maxBitrate });
+        }
+    }
+
+    // ─── Audio stats ───────────────────────────────────────
+    // Host: one row per listener peer. Listener: the incoming stream — a peer
+    // connection's RTP stats, or the relay decoder's own counts.
+    async function updateStatsPanel() {
+        const sources = [];
+        if (myRole === 'host') {
+            Object.entries(peerConnections).forEach(([userId, pc]) => {
+                const member = lastRoomInfo && lastRoomInfo.listeners.find(l => l.userId === userId);
+                sources.push({ key: userId, name: member ? member.name : userId, pc });
+            });
+        } else if (remotePC) {
+            sources.push({ key: 'host', name: lastRoomInfo ? lastRoomInfo.hostName : 'Host', pc: remotePC });
+        }
+
+        const relay = relayPlayer && myRole !== 'host' ? summarizeRelay(relayPlayer) : null;
+        const empty = sources.length === 0 && !relay;
+        $('statsPanel').classList.toggle('hidden', empty);
+        if (empty || !$('statsPanel').open) return;
+
+        const rows = await Promise.all(sources.map(async ({ key, name, pc }) => {
+            try {
+                return { name, ...summarizeStats(key, await pc.getStats()) };
+            } catch {
+                return { name };
+            }
+        }));
+        renderStats(rows, relay);
+    }
+
+    // Buffer is how much decoded audio is scheduled ahead of the playhead
+    function summarizeRelay(player) {
+        return {
+            name: lastRoomInfo ? lastRoomInfo.hostName : 'Host',
+            frames: player.frames,
+            dropped: player.dropped,
+            buffer: Math.max(0, player.nextTime - player.ctx.currentTime) * 1000,
+            decodeErrors: player.decodeErrors
+        };
+    }
+
+    function summarizeStats(key, report) {
+        const result = { bitrate: null, rtt: null, loss: null, jitter: null };
+        let bytes = null;
+        let timestamp = null;
+
+        report.forEach(stat => {
+            if (stat.kind !== undefined && stat.kind !== 'audio') return;
+            if (stat.type === 'outbound-rtp') {
+                bytes = stat.bytesSent;
+                timestamp = stat.timestamp;
+            } else if (stat.type === 'inbound-rtp') {
+                bytes = stat.bytesReceived;
+                timestamp = stat.timestamp;
+                const total = stat.packetsReceived + stat.packetsLost;
+                if (total > 0) result.loss = (stat.packetsLost / total) * 100;
+                if (stat.jitter !== undefined) result.jitter = stat.jitter * 1000;
+            } else if (stat.type === 'remote-inbound-rtp') {
+                // The listener's receiver reports, as seen from the host
+                if (stat.roundTripTime !== undefined) result.rtt = stat.roundTripTime * 1000;
+                if (stat.fractionLost !== undefined) result.loss = stat.fractionLost * 100;
+                if (stat.jitter !== undefined) result.jitter = stat.jitter * 1000;
+            } else if (stat.type === 'candidate-pair' && stat.nominated && stat.state === 'succeeded') {
+                if (result.rtt === null && stat.currentRoundTripTime !== undefined) {
+                    result.rtt = stat.currentRoundTripTime * 1000;
+                }
+            }
+        });
+
+        const prev = statsPrev[key];
+        if (bytes !== null && prev && timestamp > prev.timestamp && bytes >= prev.bytes) {
+            result.bitrate = ((bytes - prev.bytes) * 8) / (timestamp - prev.timestamp); // kbit/s (timestamps in ms)
+        }
+        if (bytes !== null) statsPrev[key] = { bytes, timestamp };
+        return result;
+    }
+
+    function renderStats(rows, relay) {
+        const fmt = (value, digits, unit) => (value === null || value === undefined ? '—' : `${value.toFixed(digits)} ${unit}`);
+        $('statsTable').innerHTML = `
+      ${rows.length ? `<div class="stats-row stats-head"><span>${myRole === 'host' ? 'Listener' : 'From'}</span><span>Bitrate</span><span>RTT</span><span>Loss</span><span>Jitter</span></div>` : ''}
+      ${rows.map(row => `
+      <div class="stats-row">
+        <span>${escapeHtml(row.name)}</span>
+        <span>${fmt(row.bitrate, 0, 'kbps')}</span>
+        <span>${fmt(row.rtt, 0, 'ms')}</span>
+        <span>${fmt(row.loss, 1, '%')}</span>
+        <span>${fmt(row.jitter, 1, 'ms')}</span>
+      </div>`).join('')}
+      ${relay ? `
+      <div class="stats-row stats-head"><span>Relay from</span><span>Frames</span><span>Dropped</span><span>Buffer</span><span>Errors</span></div>
+      <div class="stats-row">
+        <span>${escapeHtml(relay.name)}</span>
+        <span>${relay.frames}</span>
+        <span>${relay.dropped}</span>
+        <span>${fmt(relay.buffer, 0, 'ms')}</span>
+        <span>${relay.decodeErrors}</span>
+      </div>` : ''}
+    `;
+    }
+
+    // Listener: keep the indicator up while the host works on getting us back
+    function setAudioReconnecting(reconnecting) {
+        const indicator = $('streamingIndicator');
+        indicator.classList.remove('hidden', 'lost');
+        indicator.classList.toggle('reconnecting', reconnecting);
+        $('streamLabel').textContent = reconnecting ? 'Reconnecting audio…' : 'Listening to host\'s audio';
+    }
+
+    // ═══════════════════════════════════════════════════════
+    // VOICE CHAT (mic mesh over SIGNAL { channel: 'voice' })
+    // ═══════════════════════════════════════════════════════
+
+    async function joinVoice() {
+        if (micStream || !currentRoom) return;
+        if (chatMuted) { showToast('The host has muted you', true); return; }
+        try {
+            micStream = await navigator.mediaDevices.getUserMedia({
+                audio: { echoCancellation: true, noiseSuppression: true, autoGainControl: true }
+            });
+        } catch (err) {
+            showToast('Microphone access was denied', true);
+            return;
+        }
+        // Created inside the click, so autoplay policy lets it run
+        if (!voiceCtx) voiceCtx = new AudioContext();
+        setTalking(voiceMode === 'open');
+        send({ type: 'VOICE_STATUS', enabled: true });
+        renderVoiceUI();
+    }
+
+    function leaveVoice(notify = true) {
+        if (!micStream) return;
+        micStream.getTracks().forEach(t => t.stop());
+        micStream = null;
+        Object.keys(voicePeers).forEach(closeVoicePeer);
+        setMusicDucked(false);
+        if (notify) send({ type: 'VOICE_STATUS', enabled: false });
+        renderVoiceUI();
+    }
+
+    // Push-to-talk just gates the mic track; the peers stay up
+    function setTalking(talking) {
+        if (!micStream) return;
+        micStream.getAudioTracks().forEach(t => { t.enabled = talking; });
+        $('btnTalk').classList.toggle('active', talking);
+    }
+
+    function setVoiceMode(mode) {
+        voiceMode = mode === 'open' ? 'open' : 'ptt';
+        localStorage.setItem('jamsync.voiceMode', voiceMode);
+        setTalking(voiceMode === 'open');
+        renderVoiceUI();
+    }
+
+    function renderVoiceUI() {
+        $('btnVoice').classList.toggle('active', !!micStream);
+        $('btnVoice').textContent = micStream ? 'Leave voice' : '🎙️ Join voice';
+        $('voiceModeSelect').value = voiceMode;
+        $('voiceModeSelect').classList.toggle('hidden', !micStream);
+        $('btnTalk').classList.toggle('hidden', !micStream || voiceMode !== 'ptt');
+    }
+
+    // One voice peer per other member in voice. The lower userId makes the
+    // offer, so two members never offer to each other at the same time.
+    function reconcileVoicePeers() {
+        const members = new Set(micStream && lastRoomInfo ? lastRoomInfo.voiceMembers || [] : []);
+        if (!members.has(myUserId)) members.clear(); // not in (yet, or any more)
+
+        Object.keys(voicePeers).forEach(userId => {
+            if (!members.has(userId)) closeVoicePeer(userId);
+        });
+        members.forEach(userId => {
+            if (userId === myUserId || voicePeers[userId]) return;
+            if (myUserId < userId) createVoicePeer(userId, true);
+        });
+    }
+
+    function createVoicePeer(userId, initiator) {
+        const pc = new RTCPeerConnection(rtcConfig);
+        const peer = { pc, audio: null, analyser: null };
+        voicePeers[userId] = peer;
+        micStream.getAudioTracks().forEach(track => pc.addTrack(track, micStream));
+
+        pc.onicecandidate = (event) => {
+            if (event.candidate) sendVoiceSignal(userId, { type: 'candidate', candidate: event.candidate });
+        };
+        pc.ontrack = (event) => attachVoiceAudio(userId, event.streams[0]);
+        pc.onconnectionstatechange = () => {
+            if (voicePeers[userId] !== peer || pc.connectionState !== 'failed') return;
+            // Start over — whoever offers will rebuild it
+            closeVoicePeer(userId);
+            setTimeout(reconcileVoicePeers, VOICE_RETRY_DELAY);
+        };
+
+        if (initiator) {
+            pc.createOffer()
+                .then(offer => pc.setLocalDescription(offer))
+                .then(() => sendVoiceSignal(userId, { type: 'offer', sdp: pc.localDescription }))
+                .catch(err => console.error('[Voice] Offer failed:', err));
+        }
+        return peer;
+    }
+
+    function sendVoiceSignal(targetUserId, signal) {
+        send({ type: 'SIGNAL', targetUserId, signal: { ...signal, channel: 'voice' } });
+    }
+
+    function handleVoiceSignal({ fromUserId, signal }) {
+        if (!micStream) return;
+
+        if (signal.type === 'offer') {
+            if (voicePeers[fromUserId]) closeVoicePeer(fromUserId);
+            const { pc } = createVoicePeer(fromUserId, false);
+            pc.setRemoteDescription(new RTCSessionDescription(signal.sdp))
+                .then(() => pc.createAnswer())
+                .then(answer => pc.setLocalDescription(answer))
+                .then(() => sendVoiceSignal(fromUserId, { type: 'answer', sdp: pc.localDescription }))
+                .catch(err => console.error('[Voice] Answer failed:', err));
+        } else if (signal.type === 'answer' && voicePeers[fromUserId]) {
+            voicePeers[fromUserId].pc.setRemoteDescription(new RTCSessionDescription(signal.sdp))
+                .catch(err => console.error('[Voice] Answer error:', err));
+        } else if (signal.type === 'candidate' && voicePeers[fromUserId]) {
+            voicePeers[fromUserId].pc.addIceCandidate(new RTCIceCandidate(signal.candidate))
+                .catch(() => { });
+        }
+    }
+
+    function attachVoiceAudio(userId, stream) {
+        const peer = voicePeers[userId];
+        if (!peer || peer.audio) return;
+
+        const audio = new Audio();
+        audio.srcObject = stream;
+        audio.play().catch(() => { });
+        peer.audio = audio;
+
+        // Level meter only — playback stays on the <audio> element
+        const analyser = voiceCtx.createAnalyser();
+        analyser.fftSize = 512;
+        voiceCtx.createMediaStreamSource(stream).connect(analyser);
+        peer.analyser = analyser;
+
+        applyVoicePrefs(userId);
+    }
+
+    function closeVoicePeer(userId) {
+        const peer = voicePeers[userId];
+        if (!peer) return;
+        peer.pc.close();
+        if (peer.audio) peer.audio.srcObject = null;
+        delete voicePeers[userId];
+    }
+
+    function applyVoicePrefs(userId) {
+        const peer = voicePeers[userId];
+        if (!peer || !peer.audio) return;
+        const prefs = voicePrefs[userId] || { volume: 1, muted: false };
+        peer.audio.volume = prefs.volume;
+        peer.audio.muted = prefs.muted;
+    }
+
+    // ─── Ducking: music dips while anyone we can hear is talking ───
+    function updateVoiceActivity() {
+        let speaking = false;
+        Object.entries(voicePeers).forEach(([userId, peer]) => {
+            if (!peer.analyser || (voicePrefs[userId] && voicePrefs[userId].muted)) return;
+            if (voiceLevel(peer.analyser) > VOICE_SPEAKING_LEVEL) speaking = true;
+        });
+        if (speaking) lastVoiceActivity = Date.now();
+        setMusicDucked(Date.now() - lastVoiceActivity < VOICE_DUCK_RELEASE);
+    }
+
+    function voiceLevel(analyser) {
+        const samples = new Float32Array(analyser.fftSize);
+        analyser.getFloatTimeDomainData(samples);
+        let sum = 0;
+        for (const v of samples) sum += v * v;
+        return Math.sqrt(sum / samples.length);
+    }
+
+    function setMusicDucked(ducked) {
+        if (ducked === musicDucked) return;
+        musicDucked = ducked;
+        const level = ducked ? VOICE_DUCK_VOLUME : 1;
+        $('remoteAudio').volume = level;
+        if (relayPlayer) relayPlayer.gain.gain.setTargetAtTime(level, relayPlayer.ctx.currentTime, 0.1);
+        if (activeProvider) activeProvider.setVolume(level);
+        if (filePlayer) filePlayer.monitor.gain.setTargetAtTime(level, filePlayer.ctx.currentTime, 0.1);
+    }
+
+    // Per-person volume / mute, shown next to members who are in voice
+    function createVoiceControls(userId) {
+        const prefs = voicePrefs[userId] || { volume: 1, muted: false };
+        const controls = document.createElement('div');
+        controls.className = 'voice-controls';
+        controls.innerHTML = `
+      <input type="range" min="0" max="1" step="0.05" value="${prefs.volume}" title="Voice volume">
+      <button class="voice-mute${prefs.muted ? ' muted' : ''}" title="${prefs.muted ? 'Unmute' : 'Mute'}">${prefs.muted ? '🔇' : '🔊'}</button>
+    `;
+        // Keep clicks here from opening the host's member menu
+        controls.addEventListener('click', (e) => e.stopPropagation());
+
+        controls.querySelector('input').addEventListener('input', (e) => {
+            voicePrefs[userId] = { ...(voicePrefs[userId] || prefs), volume: Number(e.target.value) };
+            applyVoicePrefs(userId);
+        });
+        controls.querySelector('button').addEventListener('click', (e) => {
+            const muted = !(voicePrefs[userId] || prefs).muted;
+            voicePrefs[userId] = { ...(voicePrefs[userId] || prefs), muted };
+            e.currentTarget.classList.toggle('muted', muted);
+            e.currentTarget.textContent = muted ? '🔇' : '🔊';
+            e.currentTarget.title = muted ? 'Unmute' : 'Mute';
+            applyVoicePrefs(userId);
+        });
+        return controls;
+    }
+
+    // ═══════════════════════════════════════════════════════
+    // MEDIA PROVIDERS (synced playback)
+    // ═══════════════════════════════════════════════════════
+    // Every synced source is driven through the same surface, so sync, drift
+    // correction and the queue don't care where the media comes from:
+    //   parseUrl(url) → mediaId | null    label(mediaId) → name to show until the real title loads
+    //   init()   load(mediaId)   stop()   isReady()   play()   pause()   seek(seconds)
+    //   getTime()   getDuration()   getState() → 'idle' | 'buffering' | 'playing' | 'paused' | 'ended'
+    //   getRate()   setRate(rate)   getRates() → offered rates, or null for any   setVolume(0–1)   getTitle()
+    // Providers report their own state changes through handlePlayerStateChange().
+
+    const youtubeProvider = (() => {
+        const STATES = { '-1': 'idle', 0: 'ended', 1: 'playing', 2: 'paused', 3: 'buffering', 5: 'idle' };
+        let player = null;
+        let ready = false;
+
+        function init() {
+            if (player) return;
+            if (!window.YT) {
+                const tag = document.createElement('script');
+                tag.src = 'https://www.youtube.com/iframe_api';
+                document.head.appendChild(tag);
+                window.onYouTubeIframeAPIReady = createPlayer;
+            } else {
+                createPlayer();
+            }
+        }
+
+        function createPlayer() {
+            player = new YT.Player('ytPlayer', {
+                height: '100%',
+                width: '100%',
+                playerVars: {
+                    autoplay: 0,
+                    controls: 0,
+                    rel: 0,
+                    modestbranding: 1,
+                    fs: 0,
+                    playsinline: 1
+                },
+                events: {
+                    onReady: () => { ready = true; },
+                    onStateChange: (event) => handlePlayerStateChange(youtubeProvider, STATES[event.data] || 'idle'),
+                    onError: () => showToast('Could not play this video.', true)
+                }
+            });
+        }
+
+        return {
+            element: 'ytPlayer',
+            init,
+            parseUrl(url) {
+                const patterns = [
+                    /(?:youtube\.com\/watch\?v=|youtube\.com\/embed\/|youtu\.be\/|youtube\.com\/shorts\/)([a-zA-Z0-9_-]{11})/,
+                    /^([a-zA-Z0-9_-]{11})$/
+                ];
+                for (const pattern of patterns) {
+                    const match = url.match(pattern);
+                    if (match) return match[1];
+                }
+                return null;
+            },
+            label: (videoId) => `YouTube · ${videoId}`,
+            load(videoId) {
+                init();
+                if (ready) {
+                    player.loadVideoById(videoId);
+                    return;
+                }
+                const checkReady = setInterval(() => {
+                    if (ready) {
+                        clearInterval(checkReady);
+                        player.loadVideoById(videoId);
+                    }
+                }, 500);
+                setTimeout(() => clearInterval(checkReady), 10000);
+            },
+            stop: () => { if (ready) player.stopVideo(); },
+            isReady: () => ready,
+            play: () => player.playVideo(),
+            pause: () => player.pauseVideo(),
+            seek: (seconds) => player.seekTo(seconds, true),
+            getTime: () => player.getCurrentTime(),
+            getDuration: () => player.getDuration(),
+            getState: () => STATES[player.getPlayerState()] || 'idle',
+            getRate: () => player.getPlaybackRate(),
+            setRate: (rate) => player.setPlaybackRate(rate),
+            getRates: () => (player.getAvailablePlaybackRates ? player.getAvailablePlaybackRates() : [1]),
+            setVolume: (level) => { if (ready) player.setVolume(level * 100); },
+            getTitle: () => (ready && player.getVideoData().title) || null
+        };
+    })();
+
+    // Direct audio/video URLs in a <video> element. HLS plays natively where the
+    // browser supports it (Safari, iOS) and through hls.js everywhere else —
+    // loaded on first use from our own server (/vendor), which the service worker precaches.
+    const html5Provider = (() => {
+        const MEDIA_EXTENSIONS = /\.(mp3|m4a|aac|ogg|oga|opus|wav|flac|mp4|m4v|webm|mov|m3u8)$/i;
+        const HLS_JS_URL = '/vendor/hls.min.js';
+        const el = $('mediaPlayer');
+        let initialized = false;
+        let currentUrl = null;
+        let hls = null;
+        let hlsLoading = null;
+
+        function init() {
+            if (initialized) return;
+            initialized = true;
+            el.addEventListener('playing', () => handlePlayerStateChange(html5Provider, 'playing'));
+            el.addEventListener('pause', () => {
+                // 'pause' also fires on the way to 'ended'
+                if (!el.ended) handlePlayerStateChange(html5Provider, 'paused');
+            });
+            el.addEventListener('ended', () => handlePlayerStateChange(html5Provider, 'ended'));
+            el.addEventListener('waiting', () => handlePlayerStateChange(html5Provider, 'buffering'));
+            el.addEventListener('error', () => {
+                if (currentUrl) showToast('Could not play this media.', true);
+            });
+        }
+
+        function isHls(url) {
+            return /\.m3u8$/i.test(new URL(url).pathname);
+        }
+
+        function loadHlsJs() {
+            if (!hlsLoading) {
+                hlsLoading = new Promise((resolve, reject) => {
+                    const tag = document.createElement('script');
+                    tag.src = HLS_JS_URL;
+                    tag.onload = resolve;
+                    tag.onerror = () => {
+                        hlsLoading = null;
+                        reject(new Error('hls.js failed to load'));
+                    };
+                    document.head.appendChild(tag);
+                });
+            }
+            return hlsLoading;
+        }
+
+        function detach() {
+            if (hls) {
+                hls.destroy();
+                hls = null;
+            }
+            el.removeAttribute('src');
+            el.load();
+        }
+
+        return {
+            element: 'mediaPlayer',
+            init,
+            parseUrl(url) {
+                try {
+                    const parsed = new URL(url);
+                    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') return null;
+                    return MEDIA_EXTENSIONS.test(parsed.pathname) ? parsed.href : null;
+                } catch (e) {
+                    return null;
+                }
+            },
+            label(url) {
+                const file = decodeURIComponent(new URL(url).pathname.split('/').pop() || '');
+                return file.replace(/\.[^.]+$/, '') || new URL(url).hostname;
+            },
+            load(url) {
+                init();
+                detach();
+                currentUrl = url;
+
+                if (isHls(url) && !el.canPlayType('application/vnd.apple.mpegurl')) {
+                    loadHlsJs().then(() => {
+                        if (currentUrl !== url) return;   // something else was loaded meanwhile
+                        if (!window.Hls || !Hls.isSupported()) {
+                            showToast('This browser can\'t play HLS streams', true);
+                            return;
+                        }
+                        hls = new Hls();
+                        hls.on(Hls.Events.ERROR, (_, data) => {
+                            if (data.fatal) showToast('Could not play this stream.', true);
+                        });
+                        hls.loadSource(url);
+                        hls.attachMedia(el);
+                        el.play().catch(() => { });
+                    }).catch(() => showToast('Could not load the HLS player', true));
+                    return;
+                }
+
+                el.src = url;
+                el.play().catch(() => { });
+            },
+            stop() {
+                currentUrl = null;
+                detach();
+            },
+            isReady: () => !!currentUrl,
+            play: () => el.play().catch(() => { }),
+            pause: () => el.pause(),
+            seek: (seconds) => { el.currentTime = seconds; },
+            getTime: () => el.currentTime,
+            getDuration: () => el.duration || 0,
+            getState() {
+                if (!currentUrl) return 'idle';
+                if (el.ended) return 'ended';
+                if (el.paused) return 'paused';
+                return el.readyState < 3 ? 'buffering' : 'playing';
+            },
+            getRate: () => el.playbackRate,
+            setRate: (rate) => { el.playbackRate = rate; },
+            getRates: () => null,
+            setVolume: (level) => { el.volume = level; },
+            getTitle() {
+                return currentUrl ? this.label(currentUrl) : null;
             }
+        };
+    })();
+
+    // Tried in order when someone pastes a URL
+    const MEDIA_PROVIDERS = { youtube: youtubeProvider, html5: html5Provider };
+
+    function parseMediaUrl(url) {
+        if (!url) return null;
+        for (const [provider, impl] of Object.entries(MEDIA_PROVIDERS)) {
+            const mediaId = impl.parseUrl(url);
+            if (mediaId) return { provider, mediaId };
+        }
+        return null;
+    }
+
+    function isSameMedia(a, b) {
+        return !!a && !!b && a.provider === b.provider && a.mediaId === b.mediaId;
+    }
+
+    // The active provider, if it can take commands right now
+    function readyPlayer() {
+        return activeProvider && activeProvider.isReady() ? activeProvider : null;
+    }
+
+    // Only the active provider's player is visible
+    function showPlayer(provider) {
+        Object.values(MEDIA_PROVIDERS).forEach(impl => {
+            $(impl.element).style.display = impl === provider ? 'block' : 'none';
         });
     }
 
-    function handlePlayerStateChange(state) {
-        if (isSyncing) return;
+    function handlePlayerStateChange(provider, state) {
+        if (provider !== activeProvider || isSyncing) return;
         if (myRole === 'host') {
-            const currentTime = ytPlayer ? ytPlayer.getCurrentTime() : 0;
-            if (state === 1) {
+            const currentTime = provider.isReady() ? provider.getTime() : 0;
+            if (state === 'playing') {
                 updatePlayPauseUI(true);
-                send({ type: 'SYNC_STATE', action: 'play', isPlaying: true, currentTime });
-            } else if (state === 2) {
+                sendSyncState('play', true, currentTime);
+            } else if (state === 'paused') {
                 updatePlayPauseUI(false);
-                send({ type: 'SYNC_STATE', action: 'pause', isPlaying: false, currentTime });
-            } else if (state === 0) {
+                sendSyncState('pause', false, currentTime);
+            } else if (state === 'ended') {
                 updatePlayPauseUI(false);
-                send({ type: 'SYNC_STATE', action: 'pause', isPlaying: false, currentTime: 0 });
+                sendSyncState('pause', false, 0);
+                // Auto-advance to the next queued track
+                if (queue.length > 0) send({ type: 'QUEUE_NEXT', ended: currentMedia });
             }
         } else {
-            if (state === 1) updatePlayPauseUI(true);
-            else if (state === 2 || state === 0) updatePlayPauseUI(false);
+            if (state === 'playing') updatePlayPauseUI(true);
+            else if (state === 'paused' || state === 'ended') updatePlayPauseUI(false);
         }
     }
 
@@ -488,75 +2316,319 @@
         $('iconPause').style.display = isPlaying ? '' : 'none';
     }
 
-    function extractVideoId(url) {
-        if (!url) return null;
-        const patterns = [
-            /(?:youtube\.com\/watch\?v=|youtube\.com\/embed\/|youtu\.be\/|youtube\.com\/shorts\/)([a-zA-Z0-9_-]{11})/,
-            /^([a-zA-Z0-9_-]{11})$/
-        ];
-        for (const pattern of patterns) {
-            const match = url.match(pattern);
-            if (match) return match[1];
+    function loadMedia(media, title) {
+        const provider = media && MEDIA_PROVIDERS[media.provider];
+        if (!provider || !media.mediaId) return;
+
+        // Same media again while it's still going (e.g. the host filling in its
+        // title) — don't restart it. A repeat after it ended loads afresh.
+        const player = readyPlayer();
+        if (player === provider && isSameMedia(currentMedia, media) &&
+            !['ended', 'idle'].includes(player.getState())) {
+            if (title) $('npTitle').textContent = title;
+            return;
         }
-        return null;
-    }
 
-    function loadVideo(videoId, title) {
-        if (!videoId) return;
+        resetPlaybackRate();
+        const previous = activeProvider;
+        activeProvider = provider;
+        if (previous && previous !== provider) previous.stop();
+        currentMedia = { provider: media.provider, mediaId: media.mediaId };
+
         $('playerPlaceholder').style.display = 'none';
-        $('ytPlayer').style.display = 'block';
-        $('npTitle').textContent = title || 'Now Playing';
+        showPlayer(provider);
+        provider.load(media.mediaId);
+        if (musicDucked) provider.setVolume(VOICE_DUCK_VOLUME);
 
-        if (ytPlayer && ytReady) {
-            ytPlayer.loadVideoById(videoId);
-        } else {
-            const checkReady = setInterval(() => {
-                if (ytPlayer && ytReady) {
-                    clearInterval(checkReady);
-                    ytPlayer.loadVideoById(videoId);
-                }
-            }, 500);
-            setTimeout(() => clearInterval(checkReady), 10000);
+        const shownTitle = title || provider.label(media.mediaId);
+        $('npTitle').textContent = shownTitle;
+        recordEvent('track', { source: media.provider, mediaId: media.mediaId, title: shownTitle });
+    }
+
+    // Host: position stamped with our estimate of server time at capture
+    function sendSyncState(action, isPlaying, currentTime) {
+        send({ type: 'SYNC_STATE', action, isPlaying, currentTime, capturedAt: serverNow() });
+        if (action !== 'heartbeat') {
+            recordEvent('sync', { source: currentMedia && currentMedia.provider, action, isPlaying, position: currentTime });
+        }
+    }
+
+    // Where the host's playhead is now, projected forward from the stamped position
+    function expectedPosition(msg) {
+        if (!msg.isPlaying || !msg.serverTime) return msg.currentTime;
+        return msg.currentTime + (serverNow() - msg.serverTime) / 1000;
+    }
+
+    function resetPlaybackRate() {
+        clearTimeout(rateResetTimer);
+        rateResetTimer = null;
+        const player = readyPlayer();
+        if (player && player.getRate() !== 1) player.setRate(1);
+    }
+
+    // Small drift is absorbed by briefly changing the rate; large drift seeks (drift.js)
+    function correctDrift(player, target) {
+        const plan = planDriftCorrection(player.getTime() - target, player.getRates());
+        if (!plan || plan.seek) {
+            resetPlaybackRate();
+            if (plan) player.seek(target);
+            return;
         }
+
+        player.setRate(plan.rate);
+        clearTimeout(rateResetTimer);
+        rateResetTimer = setTimeout(resetPlaybackRate, plan.seconds * 1000);
     }
 
     function handleSyncState(msg) {
-        if (!ytPlayer || !ytReady) return;
+        const player = readyPlayer();
+        if (!player) return;
+
+        if (msg.action === 'heartbeat') {
+            // Only nudge while actually playing — buffering/paused players catch up on 'play'
+            if (msg.isPlaying && player.getState() === 'playing') correctDrift(player, expectedPosition(msg));
+            return;
+        }
+
         isSyncing = true;
         if (msg.action === 'play') {
-            const timeDiff = Math.abs(ytPlayer.getCurrentTime() - msg.currentTime);
-            if (timeDiff > 2) ytPlayer.seekTo(msg.currentTime, true);
-            ytPlayer.playVideo();
+            correctDrift(player, expectedPosition(msg));
+            player.play();
             updatePlayPauseUI(true);
         } else if (msg.action === 'pause') {
-            ytPlayer.pauseVideo();
+            resetPlaybackRate();
+            player.pause();
+            if (Math.abs(player.getTime() - msg.currentTime) > DRIFT_TOLERANCE) {
+                player.seek(msg.currentTime);
+            }
             updatePlayPauseUI(false);
         } else if (msg.action === 'seek') {
-            ytPlayer.seekTo(msg.currentTime, true);
-            if (msg.isPlaying) ytPlayer.playVideo();
+            resetPlaybackRate();
+            player.seek(expectedPosition(msg));
+            if (msg.isPlaying) player.play();
         }
         setTimeout(() => { isSyncing = false; }, 500);
     }
 
     function handleControlFromListener(msg) {
-        showToast(`${msg.fromName} pressed ${msg.action}`);
-        if (ytPlayer && ytReady) {
-            if (msg.action === 'TOGGLE') {
-                const state = ytPlayer.getPlayerState();
-                if (state === 1) ytPlayer.pauseVideo();
-                else ytPlayer.playVideo();
+        if (msg.fromUserId === 'vote') showToast(`The room voted: ${msg.action}`);
+        else showToast(`${msg.fromName} pressed ${msg.action}`);
+        if (msg.action === 'TOGGLE') hostToggle();
+        else if (msg.action === 'PREV') hostPrev();
+        else if (msg.action === 'NEXT') hostNext();
+    }
+
+    // ─── Host Playback Actions ─────────────────────────────
+    function hostToggle() {
+        const player = readyPlayer();
+        if (!player) return;
+        if (player.getState() === 'playing') player.pause();
+        else player.play();
+    }
+
+    function hostPrev() {
+        const player = readyPlayer();
+        if (!player) return;
+        player.seek(0);
+        sendSyncState('seek', true, 0);
+    }
+
+    function hostNext() {
+        const player = readyPlayer();
+        if (queue.length > 0) {
+            send({ type: 'QUEUE_NEXT' });
+        } else if (player && Number.isFinite(player.getDuration())) {
+            player.seek(player.getDuration());
+        }
+    }
+
+    // ─── Queue ─────────────────────────────────────────────
+    function renderQueue() {
+        const list = $('queueList');
+        list.innerHTML = '';
+        $('btnQueueSkip').classList.toggle('hidden', !canManage() || queue.length === 0);
+
+        if (queue.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'empty-state';
+            empty.textContent = 'Queue is empty — add a YouTube or media URL above';
+            list.appendChild(empty);
+            return;
+        }
+
+        queue.forEach((item, index) => {
+            list.appendChild(createQueueItem(item, index));
+        });
+    }
+
+    function createQueueItem(item, index) {
+        const el = document.createElement('div');
+        el.className = 'queue-item';
+        el.innerHTML = `
+      <span class="queue-pos">${index + 1}</span>
+      <div class="queue-meta">
+        <span class="queue-title">${escapeHtml(item.title)}</span>
+        <span class="queue-by">added by ${escapeHtml(item.addedByName)}</span>
+      </div>
+    `;
+
+        const actions = document.createElement('div');
+        actions.className = 'queue-actions';
+
+        if (canManage()) {
+            if (index > 0) {
+                actions.appendChild(createQueueAction('↑', 'Move up', () => {
+                    send({ type: 'QUEUE_MOVE', itemId: item.id, toIndex: index - 1 });
+                }));
+            }
+            if (index < queue.length - 1) {
+                actions.appendChild(createQueueAction('↓', 'Move down', () => {
+                    send({ type: 'QUEUE_MOVE', itemId: item.id, toIndex: index + 1 });
+                }));
+            }
+        }
+        if (canManage() || item.addedBy === myUserId) {
+            actions.appendChild(createQueueAction('✕', 'Remove', () => {
+                send({ type: 'QUEUE_REMOVE', itemId: item.id });
+            }));
+        }
+
+        el.appendChild(actions);
+        return el;
+    }
+
+    function createQueueAction(label, title, onClick) {
+        const btn = document.createElement('button');
+        btn.className = 'queue-action';
+        btn.title = title;
+        btn.textContent = label;
+        btn.addEventListener('click', onClick);
+        return btn;
+    }
+
+    // ─── Library ───────────────────────────────────────────
+    // Tracks uploaded to this server. They play through the HTML5 provider,
+    // so they sync exactly like any other direct media URL.
+    async function loadLibrary() {
+        try {
+            const res = await fetch('/library');
+            if (!res.ok) throw new Error(`HTTP ${res.status}`);
+            libraryTracks = (await res.json()).tracks || [];
+        } catch (err) {
+            console.warn('[Library] Could not load:', err.message);
+        }
+        renderLibrary();
+    }
+
+    function libraryMedia(track) {
+        return { provider: 'html5', mediaId: new URL(track.url, location.origin).href };
+    }
+
+    function libraryTitle(track) {
+        return track.artist ? `${track.artist} — ${track.title}` : track.title;
+    }
+
+    function renderLibrary() {
+        const list = $('libraryList');
+        list.innerHTML = '';
+
+        if (libraryTracks.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'empty-state';
+            empty.textContent = canManage() ? 'The library is empty — upload some tracks above' : 'The library is empty';
+            list.appendChild(empty);
+            return;
+        }
+
+        libraryTracks.forEach(track => {
+            const el = document.createElement('div');
+            el.className = 'queue-item';
+            const details = [track.album, track.duration ? formatDuration(track.duration) : null].filter(Boolean).join(' · ');
+            const cover = track.coverUrl
+                ? `<img class="library-cover" src="${escapeHtml(track.coverUrl)}" alt="" loading="lazy">`
+                : '<span class="library-cover">🎵</span>';
+            el.innerHTML = `
+      ${cover}
+      <div class="queue-meta">
+        <span class="queue-title">${escapeHtml(libraryTitle(track))}</span>
+        <span class="queue-by">${escapeHtml(details)}</span>
+      </div>
+    `;
+
+            const actions = document.createElement('div');
+            actions.className = 'queue-actions';
+            if (canManage()) {
+                actions.appendChild(createQueueAction('▶', 'Play now', () => {
+                    const media = libraryMedia(track);
+                    loadMedia(media, libraryTitle(track));
+                    send({ type: 'PLAY_URL', ...media, title: libraryTitle(track) });
+                }));
+            }
+            actions.appendChild(createQueueAction('+', 'Add to queue', () => {
+                send({ type: 'QUEUE_ADD', ...libraryMedia(track), title: libraryTitle(track) });
+                showToast('Added to queue');
+            }));
+            el.appendChild(actions);
+            list.appendChild(el);
+        });
+    }
+
+    // Raw file body; the server checks our session token is a host's or co-host's
+    async function uploadToLibrary(files) {
+        if (libraryUploading || files.length === 0) return;
+        libraryUploading = true;
+        let uploaded = 0;
+
+        for (const [i, file] of files.entries()) {
+            $('libraryStatus').textContent = `Uploading ${i + 1}/${files.length}…`;
+            try {
+                const res = await fetch('/library', {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': file.type || 'application/octet-stream',
+                        'X-Resume-Token': resumeToken || '',
+                        'X-Room-Code': currentRoom || '',
+                        'X-Filename': encodeURIComponent(file.name)
+                    },
+                    body: file
+                });
+                const body = await res.json().catch(() => ({}));
+                if (!res.ok) throw new Error(body.error || `Upload failed (${res.status})`);
+                uploaded++;
+            } catch (err) {
+                showToast(`${file.name}: ${err.message}`, true);
             }
         }
+
+        libraryUploading = false;
+        $('libraryStatus').textContent = '';
+        if (uploaded > 0) showToast(`Uploaded ${uploaded} track${uploaded === 1 ? '' : 's'}`);
+        loadLibrary();
     }
 
     // ─── Listener List ─────────────────────────────────────
     function updateListenerList(roomInfo) {
+        lastRoomInfo = roomInfo;
         const list = $('listenerList');
         list.innerHTML = '';
-        list.appendChild(createListenerItem(roomInfo.hostName, 'HOST'));
+        const inVoice = new Set(roomInfo.voiceMembers || []);
+        const hostItem = createListenerItem(roomInfo.hostName, 'HOST', roomInfo.hostAway);
+        if (inVoice.has(roomInfo.hostUserId) && roomInfo.hostUserId !== myUserId) {
+            hostItem.appendChild(createVoiceControls(roomInfo.hostUserId));
+        }
+        list.appendChild(hostItem);
         if (roomInfo.listeners && roomInfo.listeners.length > 0) {
             roomInfo.listeners.forEach(l => {
-                list.appendChild(createListenerItem(l.name, 'LISTENER'));
+                let label = l.role === 'cohost' ? 'CO-HOST' : 'LISTENER';
+                if (l.chatMuted) label += ' · MUTED';
+                if (l.controlRevoked) label += ' · NO CTRL';
+                const item = createListenerItem(l.name, label, l.away, peerHealth[l.userId]);
+                if (myRole === 'host') {
+                    item.classList.add('actionable');
+                    item.addEventListener('click', (e) => openMemberMenu(l, e));
+                }
+                if (inVoice.has(l.userId) && l.userId !== myUserId) item.appendChild(createVoiceControls(l.userId));
+                list.appendChild(item);
             });
         }
         if (!roomInfo.listeners || roomInfo.listeners.length === 0) {
@@ -565,36 +2637,205 @@
             empty.textContent = 'Share the room code to invite listeners!';
             list.appendChild(empty);
         }
+        reconcileVoicePeers();
     }
 
-    function createListenerItem(name, role) {
+    // `health` — host only: state of our audio peer to this listener
+    function createListenerItem(name, role, away, health) {
         const item = document.createElement('div');
-        item.className = 'listener-item';
+        item.className = `listener-item${away ? ' away' : ''}`;
         item.innerHTML = `
       <div class="listener-avatar">${(name || '?')[0].toUpperCase()}</div>
       <span class="listener-name">${escapeHtml(name)}</span>
-      <span class="listener-role${role === 'HOST' ? ' host' : ''}">${role}</span>
+      ${health ? `<span class="peer-health ${health}" title="Audio: ${health}"></span>` : ''}
+      <span class="listener-role${role === 'HOST' ? ' host' : role === 'CO-HOST' ? ' cohost' : ''}">${away ? 'AWAY' : role}</span>
     `;
         return item;
     }
 
+    // ─── Member Menu (Host) ────────────────────────────────
+    function getMemberActions(member) {
+        const actions = [];
+        if (!member.away) {
+            actions.push({
+                label: 'Make host',
+                run: () => {
+                    if (confirm(`Hand the room over to ${member.name}?`)) {
+                        send({ type: 'TRANSFER_HOST', targetUserId: member.userId });
+                    }
+                }
+            });
+        }
+        if (member.role === 'cohost') {
+            actions.push({
+                label: 'Remove co-host',
+                run: () => send({ type: 'PROMOTE', targetUserId: member.userId, role: 'listener' })
+            });
+        } else {
+            actions.push({
+                label: 'Make co-host',
+                run: () => send({ type: 'PROMOTE', targetUserId: member.userId, role: 'cohost' })
+            });
+        }
+        actions.push({
+            label: member.chatMuted ? 'Unmute chat' : 'Mute chat',
+            run: () => send({ type: 'MUTE_CHAT', targetUserId: member.userId, muted: !member.chatMuted })
+        });
+        actions.push({
+            label: member.controlRevoked ? 'Restore controls' : 'Revoke controls',
+            run: () => send({ type: 'REVOKE_CONTROL', targetUserId: member.userId, revoked: !member.controlRevoked })
+        });
+        actions.push({
+            label: 'Kick',
+            danger: true,
+            run: () => {
+                if (confirm(`Remove ${member.name} from the room?`)) {
+                    send({ type: 'KICK', targetUserId: member.userId });
+                }
+            }
+        });
+        actions.push({
+            label: 'Ban',
+            danger: true,
+            run: () => {
+                if (confirm(`Ban ${member.name}? They won't be able to rejoin this room.`)) {
+                    send({ type: 'BAN', targetUserId: member.userId });
+                }
+            }
+        });
+        return actions;
+    }
+
+    function openMemberMenu(member, event) {
+        event.stopPropagation();
+        closeMemberMenu();
+
+        const menu = document.createElement('div');
+        menu.id = 'memberMenu';
+        menu.className = 'member-menu';
+        getMemberActions(member).forEach(action => {
+            const btn = document.createElement('button');
+            btn.className = `member-menu-item${action.danger ? ' danger' : ''}`;
+            btn.textContent = action.label;
+            btn.addEventListener('click', () => {
+                closeMemberMenu();
+                action.run();
+            });
+            menu.appendChild(btn);
+        });
+
+        document.body.appendChild(menu);
+        const x = Math.min(event.clientX, window.innerWidth - menu.offsetWidth - 8);
+        const y = Math.min(event.clientY, window.innerHeight - menu.offsetHeight - 8);
+        menu.style.left = `${x}px`;
+        menu.style.top = `${y}px`;
+    }
+
+    function closeMemberMenu() {
+        const menu = $('memberMenu');
+        if (menu) menu.remove();
+    }
+
     function updateListenerCount(count) {
         $('listenerCount').textContent = `${count} listening`;
     }
 
     // ─── Chat ──────────────────────────────────────────────
-    function addChatMessage(name, text, isSelf) {
+    // `entry` is { id, userId, name, message, timestamp } as kept by the server
+    function addChatMessage(entry, { before = null } = {}) {
         const container = $('chatMessages');
         const bubble = document.createElement('div');
-        bubble.className = `chat-bubble${isSelf ? ' self' : ''}`;
+        bubble.className = `chat-bubble${entry.userId === myUserId ? ' self' : ''}`;
+        bubble.dataset.chatId = entry.id;
         bubble.innerHTML = `
-      <div class="chat-name">${escapeHtml(name)}</div>
-      <div class="chat-text">${escapeHtml(text)}</div>
+      <div class="chat-name">${escapeHtml(entry.name)}<span class="chat-time">${formatChatTime(entry.timestamp)}</span></div>
+      <div class="chat-text">${escapeHtml(entry.message)}</div>
     `;
-        container.appendChild(bubble);
+
+        if (before) {
+            container.insertBefore(bubble, before);
+        } else {
+            container.appendChild(bubble);
+            container.scrollTop = container.scrollHeight;
+        }
+
+        newestChatId = Math.max(newestChatId, entry.id);
+        if (oldestChatId === null || entry.id < oldestChatId) oldestChatId = entry.id;
+    }
+
+    // Server timestamps → local wall clock
+    function formatChatTime(timestamp) {
+        if (!timestamp) return '';
+        return new Date(timestamp - clockOffset).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    }
+
+    // Latest page from ROOM_JOINED / ROOM_RESUMED. Anything we haven't shown yet
+    // is rendered, followed by a divider so live messages stand apart.
+    function renderChatHistory(page) {
+        if (!page) return;
+        const unseen = page.messages.filter(entry => entry.id > newestChatId);
+        if (unseen.length === 0) return;
+
+        const firstLoad = oldestChatId === null;
+        const container = $('chatMessages');
+        container.querySelectorAll('.chat-divider').forEach(el => el.remove());
+
+        // On resume the divider marks where we left off; on join, where history ends
+        if (!firstLoad) appendChatDivider();
+        unseen.forEach(entry => addChatMessage(entry));
+        if (firstLoad) {
+            appendChatDivider();
+            setChatHasMore(page.hasMore);
+        }
+    }
+
+    function appendChatDivider() {
+        const container = $('chatMessages');
+        const divider = document.createElement('div');
+        divider.className = 'chat-divider';
+        divider.textContent = 'New messages';
+        container.appendChild(divider);
         container.scrollTop = container.scrollHeight;
     }
 
+    function setChatHasMore(hasMore) {
+        const container = $('chatMessages');
+        let btn = $('btnChatEarlier');
+        if (!btn) {
+            btn = document.createElement('button');
+            btn.id = 'btnChatEarlier';
+            btn.className = 'chat-earlier';
+            btn.textContent = 'Load earlier messages';
+            btn.addEventListener('click', requestChatHistory);
+        }
+        // Re-attach after cleanup() wipes the chat
+        if (!container.contains(btn)) container.prepend(btn);
+        btn.classList.toggle('hidden', !hasMore);
+        btn.disabled = false;
+    }
+
+    function requestChatHistory() {
+        if (chatHistoryPending || oldestChatId === null) return;
+        chatHistoryPending = true;
+        $('btnChatEarlier').disabled = true;
+        send({ type: 'CHAT_HISTORY', before: oldestChatId });
+    }
+
+    // Older page — insert above what's shown without jumping the scroll position
+    function prependChatHistory(page) {
+        chatHistoryPending = false;
+        const container = $('chatMessages');
+        const anchor = container.querySelector('.chat-bubble');
+        const heightBefore = container.scrollHeight;
+
+        page.messages
+            .filter(entry => oldestChatId === null || entry.id < oldestChatId)
+            .forEach(entry => addChatMessage(entry, { before: anchor }));
+
+        container.scrollTop += container.scrollHeight - heightBefore;
+        setChatHasMore(page.hasMore);
+    }
+
     function addSystemMessage(text) {
         const container = $('chatMessages');
         const msg = document.createElement('div');
@@ -617,31 +2858,59 @@
 
     // ─── Cleanup ───────────────────────────────────────────
     function cleanup() {
-        // Stop tab audio
+        lastRoomInfo = null;
+
+        // Save any recording, then stop tab audio / local files
+        finishRecording(true);
+        clearRecordingDownloads();
+        if (filePlayer) stopFileBroadcast();
         if (localStream) {
             localStream.getTracks().forEach(t => t.stop());
             localStream = null;
         }
-        Object.values(peerConnections).forEach(pc => pc.close());
-        peerConnections = {};
+        closeAllPeers();
+        relayOnlyPeers.clear();
+        statsPrev = {};
+        $('statsPanel').classList.add('hidden');
         if (remotePC) { remotePC.close(); remotePC = null; }
-
-        // Stop YouTube
-        if (ytPlayer && ytReady) {
-            try { ytPlayer.stopVideo(); } catch (e) { }
+        stopRelayEncoding();
+        stopRelayPlayback();
+        leaveVoice(false);
+        voicePrefs = {};
+
+        // Stop synced media
+        if (activeProvider) {
+            resetPlaybackRate();
+            try { activeProvider.stop(); } catch (e) { }
+            activeProvider = null;
         }
 
         currentRoom = null;
         myRole = null;
+        saveResumeToken(null);
+        chatMuted = false;
+        controlRevoked = false;
+        applyModeration({});
+        setControlPolicy('everyone');
+        currentMedia = null;
+        queue = [];
+        renderQueue();
 
         // Reset UI
         $('chatMessages').innerHTML = '<div class="system-msg">Welcome to the room! Say hi 👋</div>';
+        newestChatId = 0;
+        oldestChatId = null;
+        chatHistoryPending = false;
         $('npTitle').textContent = 'No song playing';
         $('playerPlaceholder').style.display = '';
-        $('ytPlayer').style.display = 'none';
+        showPlayer(null);
         $('streamingIndicator').classList.add('hidden');
         $('shareSection').classList.add('hidden');
+        $('fileSection').classList.add('hidden');
+        $('recordSection').classList.add('hidden');
         $('urlInputSection').classList.add('hidden');
+        closeMemberMenu();
+        renderPendingJoins([]);
         $('btnShareAudio').classList.remove('streaming');
         $('shareLabel').textContent = 'Share Tab Audio';
         updatePlayPauseUI(false);
@@ -659,7 +2928,13 @@
     // Landing
     $('btnCreate').addEventListener('click', () => {
         myName = $('nameInput').value.trim() || 'Anonymous';
-        send({ type: 'CREATE_ROOM', name: myName });
+        send({
+            type: 'CREATE_ROOM',
+            name: myName,
+            deviceId,
+            password: $('createPasswordInput').value,
+            knock: $('createKnockInput').checked
+        });
     });
 
     $('btnJoinToggle').addEventListener('click', () => {
@@ -672,13 +2947,32 @@
         myName = $('nameInput').value.trim() || 'Anonymous';
         const code = $('codeInput').value.trim().toUpperCase();
         if (!code) { showToast('Enter a room code', true); return; }
-        send({ type: 'JOIN_ROOM', roomCode: code, name: myName });
+        const password = $('joinPasswordInput').value;
+        send({
+            type: 'JOIN_ROOM',
+            roomCode: code,
+            name: myName,
+            deviceId,
+            password: password || undefined,
+            relayAudio: CAN_RELAY_PLAY
+        });
     });
 
     $('codeInput').addEventListener('keydown', (e) => {
         if (e.key === 'Enter') $('btnJoin').click();
     });
 
+    $('codeInput').addEventListener('input', resetJoinForm);
+
+    $('joinPasswordInput').addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') $('btnJoin').click();
+    });
+
+    $('btnCancelJoin').addEventListener('click', () => {
+        send({ type: 'CANCEL_JOIN' });
+        setJoinPending(false);
+    });
+
     // Room — Leave
     $('btnLeave').addEventListener('click', () => {
         if (confirm('Leave this room?')) send({ type: 'LEAVE_ROOM' });
@@ -701,29 +2995,70 @@
         }
     });
 
-    // Room — YouTube URL (Host)
+    // Room — Local Files (Host)
+    $('btnPickFiles').addEventListener('click', () => {
+        ensureFileContext();
+        $('fileInput').click();
+    });
+
+    $('fileInput').addEventListener('change', (e) => {
+        if (!filePlayer) return;
+        addLocalFiles(e.target.files);
+        e.target.value = '';
+    });
+
+    // Picker closed without choosing anything — drop the unused context
+    $('fileInput').addEventListener('cancel', () => {
+        if (filePlayer && !filePlayer.live) stopFileBroadcast();
+    });
+
+    $('btnFileToggle').addEventListener('click', toggleFilePlayback);
+    $('btnFileNext').addEventListener('click', () => {
+        if (filePlayer) playFileAt(filePlayer.index + 1);
+    });
+    $('btnFileStop').addEventListener('click', stopFileBroadcast);
+
+    $('fileSeek').addEventListener('input', () => {
+        fileSeeking = true;
+        if (filePlayer) $('fileTime').textContent = `${formatDuration($('fileSeek').value)} / ${formatDuration(filePlayer.buffer ? filePlayer.buffer.duration : 0)}`;
+    });
+    $('fileSeek').addEventListener('change', () => {
+        fileSeeking = false;
+        seekFile(Number($('fileSeek').value));
+    });
+
+    // Room — Record Session (Host)
+    $('btnRecord').addEventListener('click', () => {
+        if (recording) finishRecording();
+        else startRecording();
+    });
+
+    // Room — Media URL (Host)
     function playUrl() {
         const url = $('urlInput').value.trim();
-        if (!url) { showToast('Paste a YouTube URL', true); return; }
-        const videoId = extractVideoId(url);
-        if (!videoId) { showToast('Invalid YouTube URL', true); return; }
+        if (!url) { showToast('Paste a YouTube or media URL', true); return; }
+        const media = parseMediaUrl(url);
+        if (!media) { showToast('Unsupported URL — use YouTube or a direct audio/video/HLS link', true); return; }
 
-        loadVideo(videoId, 'Loading...');
-        send({ type: 'PLAY_URL', videoId, title: 'Now Playing' });
+        const provider = MEDIA_PROVIDERS[media.provider];
+        const label = provider.label(media.mediaId);
+        loadMedia(media, label);
+        send({ type: 'PLAY_URL', ...media, title: label });
 
+        // Providers like YouTube only know the real title once it has loaded
         setTimeout(() => {
-            if (ytPlayer && ytReady) {
-                try {
-                    const data = ytPlayer.getVideoData();
-                    const title = data.title || 'Now Playing';
+            if (!isSameMedia(currentMedia, media)) return;
+            try {
+                const title = provider.getTitle();
+                if (title && title !== label) {
                     $('npTitle').textContent = title;
-                    send({ type: 'PLAY_URL', videoId, title });
-                } catch (e) { }
-            }
+                    send({ type: 'PLAY_URL', ...media, title });
+                }
+            } catch (e) { }
         }, 3000);
 
         $('urlInput').value = '';
-        showToast('Loading video...');
+        showToast('Loading...');
     }
 
     $('btnPlayUrl').addEventListener('click', playUrl);
@@ -731,33 +3066,83 @@
         if (e.key === 'Enter') playUrl();
     });
 
+    // Room — Library
+    $('btnLibraryUpload').addEventListener('click', () => $('libraryFileInput').click());
+    $('libraryFileInput').addEventListener('change', (e) => {
+        uploadToLibrary(Array.from(e.target.files));
+        e.target.value = '';
+    });
+
+    // Room — Queue
+    function addToQueue() {
+        const url = $('queueInput').value.trim();
+        if (!url) { showToast('Paste a YouTube or media URL', true); return; }
+        const media = parseMediaUrl(url);
+        if (!media) { showToast('Unsupported URL — use YouTube or a direct audio/video/HLS link', true); return; }
+
+        send({ type: 'QUEUE_ADD', ...media, title: MEDIA_PROVIDERS[media.provider].label(media.mediaId) });
+        $('queueInput').value = '';
+        showToast('Added to queue');
+    }
+
+    $('btnQueueAdd').addEventListener('click', addToQueue);
+    $('queueInput').addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') addToQueue();
+    });
+
+    $('btnQueueSkip').addEventListener('click', () => {
+        if (canManage()) send({ type: 'QUEUE_NEXT' });
+    });
+
     // Room — Playback Controls
     $('btnToggle').addEventListener('click', () => {
-        if (myRole === 'host' && ytPlayer && ytReady) {
-            const state = ytPlayer.getPlayerState();
-            if (state === 1) ytPlayer.pauseVideo();
-            else ytPlayer.playVideo();
-        } else if (myRole === 'listener') {
-            send({ type: 'CONTROL', action: 'TOGGLE' });
-        }
+        if (myRole === 'host') hostToggle();
+        else if (myRole) send({ type: 'CONTROL', action: 'TOGGLE' });
     });
 
     $('btnPrev').addEventListener('click', () => {
-        if (myRole === 'host' && ytPlayer && ytReady) {
-            ytPlayer.seekTo(0, true);
-            send({ type: 'SYNC_STATE', action: 'seek', isPlaying: true, currentTime: 0 });
-        } else if (myRole === 'listener') {
-            send({ type: 'CONTROL', action: 'PREV' });
-        }
+        if (myRole === 'host') hostPrev();
+        else if (myRole) send({ type: 'CONTROL', action: 'PREV' });
     });
 
     $('btnNext').addEventListener('click', () => {
-        if (myRole === 'host' && ytPlayer && ytReady) {
-            const duration = ytPlayer.getDuration();
-            ytPlayer.seekTo(duration, true);
-        } else if (myRole === 'listener') {
-            send({ type: 'CONTROL', action: 'NEXT' });
-        }
+        if (myRole === 'host') hostNext();
+        else if (myRole) send({ type: 'CONTROL', action: 'NEXT' });
+    });
+
+    $('controlPolicySelect').addEventListener('change', (e) => {
+        if (myRole === 'host') send({ type: 'SET_CONTROL_POLICY', policy: e.target.value });
+    });
+
+    // Room — Stream quality (host)
+    $('qualitySelect').value = qualityPreset;
+    $('qualitySelect').addEventListener('change', (e) => setQualityPreset(e.target.value));
+
+    // Room — Voice chat
+    $('btnVoice').addEventListener('click', () => (micStream ? leaveVoice() : joinVoice()));
+    $('voiceModeSelect').addEventListener('change', (e) => setVoiceMode(e.target.value));
+    $('btnTalk').addEventListener('pointerdown', () => setTalking(true));
+    ['pointerup', 'pointerleave', 'pointercancel'].forEach(type => {
+        $('btnTalk').addEventListener(type, () => { if (voiceMode === 'ptt') setTalking(false); });
+    });
+
+    // Hold Space to talk, unless typing somewhere
+    const isTyping = (e) => ['INPUT', 'TEXTAREA', 'SELECT'].includes(e.target.tagName);
+    document.addEventListener('keydown', (e) => {
+        if (e.code !== 'Space' || e.repeat || !micStream || voiceMode !== 'ptt' || isTyping(e)) return;
+        e.preventDefault();
+        setTalking(true);
+    });
+    document.addEventListener('keyup', (e) => {
+        if (e.code !== 'Space' || !micStream || voiceMode !== 'ptt') return;
+        setTalking(false);
+    });
+
+    // Room — Audio lost: ask the host for a fresh connection
+    $('streamingIndicator').addEventListener('click', () => {
+        if (!$('streamingIndicator').classList.contains('lost') || !lastRoomInfo) return;
+        send({ type: 'SIGNAL', targetUserId: lastRoomInfo.hostUserId, signal: { type: 'restart-request' } });
+        setAudioReconnecting(true);
     });
 
     // Room — Chat
@@ -781,6 +3166,8 @@
         });
     });
 
+    document.addEventListener('click', closeMemberMenu);
+
     // Room — Tabs
     $$('.tab-btn').forEach(btn => {
         btn.addEventListener('click', () => {
@@ -789,6 +3176,7 @@
             btn.classList.add('active');
             $$('.tab-panel').forEach(p => p.classList.remove('active'));
             $(`panel${tab.charAt(0).toUpperCase() + tab.slice(1)}`).classList.add('active');
+            if (tab === 'library') loadLibrary();
         });
     });
 
@@ -800,5 +3188,19 @@
     }
 
     // ─── Initialize ────────────────────────────────────────
+    loadRtcConfig();
     connectWebSocket();
+    setInterval(pingClock, CLOCK_PING_INTERVAL);
+    setInterval(updateStatsPanel, STATS_INTERVAL);
+    setInterval(updateVoiceActivity, VOICE_ACTIVITY_INTERVAL);
+    setInterval(updateFileTransport, FILE_TRANSPORT_INTERVAL);
+    setInterval(updateRecordingClock, RECORDING_CLOCK_INTERVAL);
+
+    // Host heartbeat — lets listeners correct drift continuously, not just on play/pause
+    setInterval(() => {
+        const player = readyPlayer();
+        if (myRole === 'host' && player && player.getState() === 'playing') {
+            sendSyncState('heartbeat', true, player.getTime());
+        }
+    }, HEARTBEAT_INTERVAL);
 })();
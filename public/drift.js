@@ -0,0 +1,44 @@
+/* ═══════════════════════════════════════════════════════════
+   JamSync — drift correction
+   How a listener's player closes the gap to the host's playhead. A plain
+   script for the page (window.JamSyncDrift) and a CommonJS module for tests.
+   ═══════════════════════════════════════════════════════════ */
+
+(() => {
+    'use strict';
+
+    const DRIFT_TOLERANCE = 0.1;        // seconds — close enough, leave it alone
+    const DRIFT_SEEK_THRESHOLD = 1;     // seconds — beyond this, seek instead of nudging the rate
+    const DRIFT_CORRECTION_TIME = 4;    // seconds — a nudge aims to close the drift over about this long
+    const MAX_RATE_NUDGE = 0.1;         // furthest a free rate strays from 1 — bigger changes are audible
+    // Players with fixed rate steps (YouTube: 0.25 apart) can only nudge hard,
+    // so each nudge is short and they put up with more drift before seeking
+    const STEPPED_SEEK_THRESHOLD = 3;   // seconds
+    const STEPPED_NUDGE_TIME = 2;       // seconds — at most one heartbeat
+
+    // `drift` > 0 means we're ahead of the host; `offeredRates` is the player's
+    // getRates() — null when it takes any rate.
+    // → null (in tolerance, play at 1), { seek: true }, or { rate, seconds } to
+    // play at `rate` for `seconds` and then go back to 1
+    function planDriftCorrection(drift, offeredRates) {
+        const absDrift = Math.abs(drift);
+        if (absDrift <= DRIFT_TOLERANCE) return null;
+
+        if (!offeredRates) {
+            if (absDrift > DRIFT_SEEK_THRESHOLD) return { seek: true };
+            const nudge = Math.min(absDrift / DRIFT_CORRECTION_TIME, MAX_RATE_NUDGE);
+            const rate = drift > 0 ? 1 - nudge : 1 + nudge;
+            return { rate, seconds: absDrift / nudge };
+        }
+
+        // The offered rate on the right side of 1 that's nearest to it
+        const candidates = offeredRates.filter(r => (drift > 0 ? r < 1 : r > 1));
+        if (absDrift > STEPPED_SEEK_THRESHOLD || candidates.length === 0) return { seek: true };
+        const rate = candidates.reduce((a, b) => (Math.abs(b - 1) < Math.abs(a - 1) ? b : a));
+        return { rate, seconds: Math.min(absDrift / Math.abs(rate - 1), STEPPED_NUDGE_TIME) };
+    }
+
+    const api = { DRIFT_TOLERANCE, planDriftCorrection };
+    if (typeof module === 'object' && module.exports) module.exports = api;
+    else window.JamSyncDrift = api;
+})();
@@ -1,9 +1,11 @@
-const CACHE_NAME = 'jamsync-v3';
+const CACHE_NAME = 'jamsync-v5';
 const ASSETS = [
     '/',
     '/app.css',
     '/app.js',
+    '/drift.js',
     '/manifest.json',
+    '/vendor/hls.min.js',
     '/icons/icon-192.png',
     '/icons/icon-512.png'
 ];
@@ -26,7 +28,8 @@ self.addEventListener('activate', (e) => {
 
 self.addEventListener('fetch', (e) => {
     // Don't cache WebSocket or API requests
-    if (e.request.url.includes('/ws') || e.request.url.includes('/health')) return;
+    if (e.request.url.includes('/ws') || e.request.url.includes('/health') || e.request.url.includes('/config') ||
+        e.request.url.includes('/library')) return;
 
     e.respondWith(
         fetch(e.request).catch(() => caches.match(e.request))
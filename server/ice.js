@@ -0,0 +1,67 @@
+const crypto = require('crypto');
+const { log } = require('./logger');
+
+// ─── ICE Server Config ──────────────────────────────────
+// Builds the `iceServers` list browsers use for tab-audio WebRTC.
+// TURN takes either static credentials or a shared secret, in which case
+// short-lived credentials are minted per request using the TURN REST API
+// scheme coturn understands (`use-auth-secret`):
+//   username   = <expiry, unix seconds>:<label>
+//   credential = base64(HMAC-SHA1(secret, username))
+
+const DEFAULT_STUN_URLS = ['stun:stun.l.google.com:19302', 'stun:stun1.l.google.com:19302'];
+
+function splitList(value) {
+    return (value || '').split(',').map(s => s.trim()).filter(Boolean);
+}
+
+function createTurnCredentials(secret, ttlSeconds, label = 'jamsync', now = Date.now()) {
+    const username = `${Math.floor(now / 1000) + ttlSeconds}:${label}`;
+    const credential = crypto.createHmac('sha1', secret).update(username).digest('base64');
+    return { username, credential };
+}
+
+function createIceConfig({
+    stunUrls = DEFAULT_STUN_URLS,
+    turnUrls = [],
+    turnSecret = null,
+    turnUsername = null,
+    turnCredential = null,
+    ttlSeconds = 3600
+} = {}) {
+    // Browsers reject TURN entries without credentials, so don't hand one out
+    const hasTurnAuth = !!(turnSecret || (turnUsername && turnCredential));
+    if (turnUrls.length > 0 && !hasTurnAuth) {
+        log.warn('TURN_URLS set without TURN_SECRET or TURN_USERNAME/TURN_CREDENTIAL — ignoring TURN', { component: 'ice' });
+    }
+
+    return {
+        getConfig: () => {
+            const iceServers = [];
+            if (stunUrls.length > 0) iceServers.push({ urls: stunUrls });
+
+            if (turnUrls.length > 0 && turnSecret) {
+                iceServers.push({ urls: turnUrls, ...createTurnCredentials(turnSecret, ttlSeconds) });
+            } else if (turnUrls.length > 0 && hasTurnAuth) {
+                iceServers.push({ urls: turnUrls, username: turnUsername, credential: turnCredential });
+            }
+
+            return { iceServers, ttl: ttlSeconds };
+        }
+    };
+}
+
+// STUN_URLS, TURN_URLS (comma-separated), TURN_SECRET or TURN_USERNAME + TURN_CREDENTIAL,
+// TURN_TTL_SECONDS (default 3600)
+function createIceConfigFromEnv(env = process.env) {
+    return createIceConfig({
+        stunUrls: env.STUN_URLS !== undefined ? splitList(env.STUN_URLS) : DEFAULT_STUN_URLS,
+        turnUrls: splitList(env.TURN_URLS),
+        turnSecret: env.TURN_SECRET || null,
+        turnUsername: env.TURN_USERNAME || null,
+        turnCredential: env.TURN_CREDENTIAL || null,
+        ttlSeconds: Number(env.TURN_TTL_SECONDS) || 3600
+    });
+}
+
+module.exports = { createIceConfig, createIceConfigFromEnv, createTurnCredentials };
@@ -2,96 +2,1345 @@ const express = require('express');
 const http = require('http');
 const { WebSocketServer } = require('ws');
 const path = require('path');
+const crypto = require('crypto');
+const { promisify } = require('util');
 const { v4: uuidv4 } = require('uuid');
+const { createStoreFromEnv } = require('./store');
+const { createPubSubFromEnv } = require('./pubsub');
+const { createIceConfigFromEnv } = require('./ice');
+const { parseMedia, withMedia, isSameMedia } = require('./media');
+const {
+    PROTOCOL_VERSIONS, CONTROL_ACTIONS, CONTROL_POLICIES,
+    negotiateVersion, validateClientMessage, validateServerMessage
+} = require('./protocol');
+const { createLibraryFromEnv } = require('./library');
+const { createLimitsFromEnv } = require('./limits');
+const { systemClock, createHeartbeat, createRoomReaper, lifecycleConfigFromEnv } = require('./lifecycle');
+const { createMetrics } = require('./metrics');
+const { createLoggerFromEnv } = require('./logger');
+const { createTracerFromEnv } = require('./trace');
 
-// ─── Config ──────────────────────────────────────────────
-const PORT = process.env.PORT || 8080;
-const app = express();
-const server = http.createServer(app);
-const wss = new WebSocketServer({ server });
+const scrypt = promisify(crypto.scrypt);
 
-// Serve static PWA files
-app.use(express.static(path.join(__dirname, '..', 'public')));
+// ─── Server Factory ─────────────────────────────────────
+// Everything a server holds lives in here, so tests can run one per case on
+// an ephemeral port. Options (all optional):
+//   port                   — 0 picks a free one (default PORT, then 8080)
+//   env                    — where the settings below are read from (default process.env)
+//   store, pubsub, library — default to what `env` selects
+//   clock                  — lifecycle's systemClock shape; also stamps times and runs away timers
+//   log                    — a logger from logger.js
+// Nothing is served until listen().
+function createServer({
+    port,
+    env = process.env,
+    log = createLoggerFromEnv(env),
+    store = createStoreFromEnv(env, { logger: log }),
+    pubsub = createPubSubFromEnv(env),
+    library = createLibraryFromEnv(env),
+    clock = systemClock
+} = {}) {
+    // ─── Config ──────────────────────────────────────────────
+    const PORT = port !== undefined ? port : (env.PORT || 8080);
+    const RESUME_GRACE_MS = Number(env.RESUME_GRACE_MS) || 30000;
+    const INSTANCE_ID = env.INSTANCE_ID || uuidv4().slice(0, 8);
+    const ROOM_CLAIM_TTL_MS = 60000;
+    const SESSION_LOOKUP_TIMEOUT_MS = 5000;
+    // Present listeners at which a stream switches from mesh to server relay (0 = never)
+    const RELAY_THRESHOLD = env.RELAY_THRESHOLD !== undefined ? Number(env.RELAY_THRESHOLD) : 5;
+    // Also check outgoing messages against the protocol schema and warn on mismatches
+    const PROTOCOL_DEBUG = !!env.PROTOCOL_DEBUG;
+    // Bearer tokens: ADMIN_TOKEN enables /admin; METRICS_TOKEN (optional) guards /metrics
+    const ADMIN_TOKEN = env.ADMIN_TOKEN || null;
+    const METRICS_TOKEN = env.METRICS_TOKEN || null;
+    const limits = createLimitsFromEnv(env, { now: clock.now, logger: log });
+    const lifecycle = lifecycleConfigFromEnv(env);
+    const app = express();
+    const server = http.createServer(app);
+    const wss = new WebSocketServer({ server, maxPayload: limits.maxPayloadBytes });
+    const iceConfig = createIceConfigFromEnv(env);
+    const tracer = createTracerFromEnv(env);
 
-// Health check
-app.get('/health', (_, res) => res.json({ status: 'ok' }));
+    // Serve static PWA files
+    app.use(express.static(path.join(__dirname, '..', 'public')));
 
-// ─── Data Structures ────────────────────────────────────
-const rooms = new Map();       // roomCode → Room
-const clientRooms = new Map(); // ws → { roomCode, userId, name, role }
+    // Client libraries come from npm at the versions pinned in package.json — no CDN
+    app.get('/vendor/hls.min.js', (_, res) => res.sendFile(require.resolve('hls.js/dist/hls.min.js'), { maxAge: '1d' }));
 
-function generateCode() {
-    const chars = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
-    let code = '';
-    for (let i = 0; i < 6; i++) code += chars[Math.floor(Math.random() * chars.length)];
-    return code;
-}
+    // Health check
+    app.get('/health', (_, res) => res.json({ status: 'ok' }));
+
+    // WebRTC ICE servers — TURN credentials are minted per request, so never cache
+    app.get('/config', (_, res) => {
+        res.set('Cache-Control', 'no-store');
+        res.json(iceConfig.getConfig());
+    });
+
+    // ─── Media Library ──────────────────────────────────────
+    // Anyone can browse and stream; hosts and co-hosts upload, proving it with
+    // their room session's resume token (checked by the room's owning instance,
+    // named by X-Room-Code). Tracks play through the HTML5 provider.
+    function publicTrack(track) {
+        return {
+            id: track.id,
+            title: track.title,
+            artist: track.artist,
+            album: track.album,
+            duration: track.duration,
+            mimeType: track.mimeType,
+            size: track.size,
+            url: `/library/${track.file}`,
+            coverUrl: track.cover ? `/library/${track.id}/cover` : null,
+            uploadedBy: track.uploadedBy,
+            uploadedAt: track.uploadedAt
+        };
+    }
+
+    // Uploaded bytes are served from our origin — never let a browser sniff them into HTML
+    app.use('/library', (_, res, next) => {
+        res.set('X-Content-Type-Options', 'nosniff');
+        next();
+    });
+
+    app.get('/library', (_, res) => {
+        res.set('Cache-Control', 'no-store');
+        res.json({ tracks: library.list().map(publicTrack) });
+    });
+
+    // Raw request body (no multipart): the file's bytes, named by X-Filename
+    app.post('/library', async (req, res) => {
+        let info;
+        try {
+            info = await lookupSession(req.get('X-Resume-Token'), req.get('X-Room-Code'));
+        } catch (err) {
+            log.error('Session lookup failed', { component: 'library', err });
+            res.status(503).json({ error: 'Could not reach the room, try again' });
+            return;
+        }
+        if (!info || !canManage(info)) {
+            res.status(403).json({ error: 'Only hosts and co-hosts can upload' });
+            return;
+        }
+
+        let filename = '';
+        try { filename = decodeURIComponent(req.get('X-Filename') || ''); } catch { }
+
+        try {
+            const track = await library.add(req, { filename, uploadedBy: info.name });
+            logFor(null, info).info('Track uploaded', { component: 'library', trackId: track.id, title: track.title });
+            res.status(201).json({ track: publicTrack(track) });
+        } catch (err) {
+            if (!err.status) logFor(null, info).error('Upload failed', { component: 'library', err });
+            // Don't wait for the rest of an oversized body
+            if (err.status === 413) res.set('Connection', 'close');
+            res.status(err.status || 500).json({ error: err.status ? err.message : 'Upload failed' });
+        }
+    });
+
+    app.get('/library/:id/cover', (req, res) => {
+        const track = library.get(req.params.id);
+        if (!track || !track.cover) {
+            res.sendStatus(404);
+            return;
+        }
+        res.type(track.cover.mimeType);
+        res.sendFile(library.coverPath(track), { maxAge: '1d' });
+    });
+
+    // `<id>.<ext>` — express's sendFile answers Range requests with 206s, so
+    // players can seek and resume without downloading the whole track
+    app.get('/library/:file', (req, res) => {
+        const track = library.get(req.params.file.split('.')[0]);
+        if (!track || track.file !== req.params.file) {
+            res.sendStatus(404);
+            return;
+        }
+        res.type(track.mimeType);
+        res.sendFile(library.audioPath(track), { maxAge: '1d' });
+    });
+
+    // ─── Metrics ────────────────────────────────────────────
+    // Everything is per instance — scrape each one
+    const metrics = createMetrics();
+    const messagesReceived = metrics.counter('jamsync_messages_total',
+        'Client messages received, by type ("invalid" for ones that failed validation)', 'type');
+    const errorsSent = metrics.counter('jamsync_errors_total', 'ERROR replies sent, by code', 'code');
+    const joinFailures = metrics.counter('jamsync_join_failures_total', 'Rejected JOIN_ROOM requests, by error code', 'code');
+    const signalsForwarded = metrics.counter('jamsync_signals_total', 'WebRTC signaling messages forwarded, by kind', 'kind');
+    const signalBytes = metrics.counter('jamsync_signal_bytes_total', 'Bytes of WebRTC signaling payload forwarded');
+
+    metrics.gauge('jamsync_connections', 'Open WebSocket connections', () => wss.clients.size);
+    metrics.gauge('jamsync_rooms', 'Open rooms', () => rooms.size);
+    metrics.gauge('jamsync_room_members', 'Room members, by whether they are connected', () => {
+        const counts = { present: 0, away: 0 };
+        for (const room of rooms.values()) {
+            counts[room.hostWs ? 'present' : 'away']++;
+            for (const [, listener] of room.listeners) counts[listener.ws ? 'present' : 'away']++;
+        }
+        return counts;
+    }, 'state');
+    metrics.gauge('jamsync_streaming_rooms', 'Rooms streaming host audio, by delivery mode', () => {
+        const counts = { mesh: 0, relay: 0 };
+        for (const room of rooms.values()) {
+            if (room.isStreaming) counts[room.streamMode]++;
+        }
+        return counts;
+    }, 'mode');
+    metrics.gauge('process_resident_memory_bytes', 'Resident memory size in bytes', () => process.memoryUsage().rss);
+    metrics.gauge('process_uptime_seconds', 'Seconds since the process started', () => Math.round(process.uptime()));
+
+    // 401 unless the request carries `Authorization: Bearer <token>`
+    function requireBearer(token) {
+        const expected = Buffer.from(`Bearer ${token}`);
+        return (req, res, next) => {
+            const given = Buffer.from(req.get('Authorization') || '');
+            if (given.length === expected.length && crypto.timingSafeEqual(given, expected)) {
+                next();
+                return;
+            }
+            res.set('WWW-Authenticate', 'Bearer');
+            res.status(401).json({ error: 'Missing or wrong token' });
+        };
+    }
+
+    app.get('/metrics', ...(METRICS_TOKEN ? [requireBearer(METRICS_TOKEN)] : []), (_, res) => {
+        res.set('Cache-Control', 'no-store');
+        res.type('text/plain; version=0.0.4');
+        res.send(metrics.render());
+    });
+
+    // ─── Admin API ──────────────────────────────────────────
+    // Only exists when ADMIN_TOKEN is set. Like the metrics, it sees the rooms
+    // owned by this instance.
+    app.use('/admin', ADMIN_TOKEN ? requireBearer(ADMIN_TOKEN) : (_, res) => res.sendStatus(404));
+    app.use('/admin', express.json({ limit: '16kb' }));
+
+    function roomSummary(room) {
+        const listeners = Array.from(room.listeners.values());
+        return {
+            roomCode: room.code,
+            hostName: room.hostName,
+            hostAway: !room.hostWs,
+            memberCount: listeners.length + 1,
+            presentCount: listeners.filter(l => l.ws).length + (room.hostWs ? 1 : 0),
+            isStreaming: room.isStreaming,
+            streamMode: room.streamMode,
+            nowPlaying: room.videoState && {
+                provider: room.videoState.provider,
+                mediaId: room.videoState.mediaId,
+                title: room.videoState.title,
+                isPlaying: room.videoState.isPlaying
+            },
+            queueLength: room.queue.length,
+            hasPassword: !!room.passwordHash,
+            knock: room.knock,
+            createdAt: room.createdAt,
+            lastActiveAt: room.lastActiveAt
+        };
+    }
+
+    function adminRoom(req, res) {
+        const room = rooms.get(req.params.code.toUpperCase());
+        if (!room) res.status(404).json({ error: 'Room not found' });
+        return room;
+    }
+
+    app.get('/admin/rooms', (_, res) => {
+        res.json({ rooms: Array.from(rooms.values()).map(roomSummary) });
+    });
+
+    app.get('/admin/rooms/:code', (req, res) => {
+        const room = adminRoom(req, res);
+        if (!room) return;
+        res.json({
+            room: {
+                ...getRoomInfo(room),
+                ...roomSummary(room),
+                pendingJoins: room.pendingJoins.size,
+                chatMessages: room.chat.length,
+                bannedDevices: room.bannedDevices.size
+            }
+        });
+    });
+
+    // Body (optional): { message } shown to the members
+    app.delete('/admin/rooms/:code', (req, res) => {
+        const room = adminRoom(req, res);
+        if (!room) return;
+        const message = typeof req.body.message === 'string' && req.body.message.trim()
+            ? req.body.message.slice(0, 500) : 'The room was closed by an administrator';
+        evictRoom(room, message);
+        log.info('Room closed by admin', { component: 'admin', roomCode: room.code });
+        res.sendStatus(204);
+    });
+
+    // Protocol traces — start one on a live room, then download it (even after the
+    // room has closed) to replay with replay.js
+    app.get('/admin/traces', (_, res) => {
+        res.json({ traces: tracer.list() });
+    });
+
+    app.post('/admin/rooms/:code/trace', (req, res) => {
+        const room = adminRoom(req, res);
+        if (!room) return;
+        const trace = tracer.start(room.code);
+        log.info('Trace started', { component: 'admin', roomCode: room.code });
+        res.status(201).json({ trace });
+    });
+
+    app.delete('/admin/rooms/:code/trace', (req, res) => {
+        const trace = tracer.stop(req.params.code.toUpperCase());
+        if (!trace) {
+            res.status(404).json({ error: 'No trace for this room' });
+            return;
+        }
+        log.info('Trace stopped', { component: 'admin', roomCode: trace.roomCode, events: trace.events });
+        res.json({ trace });
+    });
+
+    app.get('/admin/rooms/:code/trace', (req, res) => {
+        const trace = tracer.get(req.params.code.toUpperCase());
+        if (!trace) {
+            res.status(404).json({ error: 'No trace for this room' });
+            return;
+        }
+        res.set('Content-Disposition', `attachment; filename="jamsync-trace-${trace.roomCode}.json"`);
+        res.json({ version: 1, instanceId: INSTANCE_ID, ...trace });
+    });
+
+    // Body: { message, roomCode? } — every room unless roomCode is given
+    app.post('/admin/notice', (req, res) => {
+        const { message, roomCode } = req.body;
+        if (typeof message !== 'string' || !message.trim()) {
+            res.status(400).json({ error: 'message is required' });
+            return;
+        }
+        let targets = Array.from(rooms.values());
+        if (roomCode !== undefined) {
+            const room = rooms.get(String(roomCode).toUpperCase());
+            if (!room) {
+                res.status(404).json({ error: 'Room not found' });
+                return;
+            }
+            targets = [room];
+        }
+
+        for (const room of targets) broadcast(room, { type: 'SYSTEM_NOTICE', message: message.slice(0, 500) });
+        log.info('Notice sent', { component: 'admin', roomCode: roomCode && targets[0].code, rooms: targets.length });
+        res.json({ rooms: targets.length });
+    });
+
+    // ─── Data Structures ────────────────────────────────────
+    const rooms = new Map();       // roomCode → Room
+    const clientRooms = new Map(); // ws → { roomCode, userId, name, role, deviceId, resumeToken } — role: 'host' | 'cohost' | 'listener'
+    const sessions = new Map();    // resumeToken → same info object (survives socket drops)
+    const pendingSockets = new Map(); // ws → { roomCode, requestId } while waiting for host approval
+    const localSockets = new Map();   // clientId → ws connected to this instance
+    const remoteSockets = new Map();  // `${instanceId}:${clientId}` → proxy for a socket on another instance
+
+    const MAX_QUEUE_LENGTH = 100;
+    const CHAT_HISTORY_LIMIT = 200; // messages kept per room
+    const CHAT_PAGE_SIZE = 50;      // messages per ROOM_JOINED / CHAT_HISTORY page
+    const MAX_CAPTURE_SKEW_MS = 5000; // oldest host-supplied SYNC_STATE timestamp we'll trust
+    const MAX_RELAY_FRAME_BYTES = 4096;        // one encoded Opus packet plus header
+    const RELAY_MAX_BUFFERED_BYTES = 256 * 1024; // drop frames for listeners this far behind
+
+    const VOTE_ACTIONS = ['TOGGLE', 'NEXT'];
+    const VOTE_SENDER = 'vote'; // CONTROL's fromUserId when a vote passed — never a real userId
+
+    function generateCode() {
+        const chars = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+        let code = '';
+        for (let i = 0; i < 6; i++) code += chars[Math.floor(Math.random() * chars.length)];
+        return code;
+    }
+
+    // ─── Multi-instance Routing ─────────────────────────────
+    // Each room is owned by the instance that created it (a claim on `room:<code>`
+    // in the pub/sub registry, which also keeps codes unique across instances).
+    // A socket that joins a room owned elsewhere has its messages forwarded to the
+    // owner over `instance:<id>`; the owner handles them through a proxy socket and
+    // publishes replies back. Handlers never need to know which kind they have.
+    const roomKey = (code) => `room:${code}`;
+    const instanceChannel = (id) => `instance:${id}`;
+
+    async function claimRoomCode() {
+        for (let attempt = 0; attempt < 10; attempt++) {
+            const code = generateCode();
+            if (rooms.has(code)) continue;
+            if (await pubsub.claim(roomKey(code), INSTANCE_ID, ROOM_CLAIM_TTL_MS)) return code;
+        }
+        return null;
+    }
+
+    // Instance that owns `code`, or null when it's ours or unknown (handle locally)
+    async function findRemoteOwner(code) {
+        if (!code || rooms.has(code)) return null;
+        const owner = await pubsub.lookup(roomKey(code));
+        return owner && owner !== INSTANCE_ID ? owner : null;
+    }
+
+    // Fire-and-forget: a lost envelope is logged, never an unhandled rejection
+    function publishTo(instanceId, envelope) {
+        pubsub.publish(instanceChannel(instanceId), envelope)
+            .catch(err => log.error('Publish failed', { component: 'pubsub', instanceId, kind: envelope.kind, err }));
+    }
+
+    function createRemoteSocket(origin, clientId) {
+        const key = `${origin}:${clientId}`;
+        const proxy = {
+            clientId,
+            origin,
+            readyState: 1,
+            remote: true,
+            chain: Promise.resolve(),
+            send: (data) => {
+                if (Buffer.isBuffer(data)) {
+                    publishTo(origin, { kind: 'deliver', clientId, binary: true, data: data.toString('base64') });
+                } else {
+                    publishTo(origin, { kind: 'deliver', clientId, data });
+                }
+            },
+            terminate: () => {
+                remoteSockets.delete(key);
+                proxy.readyState = 3;
+                publishTo(origin, { kind: 'terminate', clientId });
+            }
+        };
+        remoteSockets.set(key, proxy);
+        return proxy;
+    }
+
+    async function routeMessage(ws, clientId, msg) {
+        if (msg.type === 'CREATE_ROOM') {
+            unbindSocket(ws, clientId);
+        } else if (msg.type === 'JOIN_ROOM' || msg.type === 'RESUME') {
+            let owner;
+            try {
+                owner = await findRemoteOwner((msg.roomCode || '').toUpperCase());
+            } catch (err) {
+                logFor(ws).error('Room owner lookup failed', { component: 'pubsub', err });
+                sendError(ws, 'SERVER_BUSY', 'Could not reach the room, try again', msg.type);
+                return;
+            }
+            if (ws.routeTo !== owner) unbindSocket(ws, clientId);
+            ws.routeTo = owner;
+        }
+
+        if (ws.routeTo) {
+            await pubsub.publish(instanceChannel(ws.routeTo), {
+                kind: 'client-msg',
+                origin: INSTANCE_ID,
+                clientId,
+                data: msg
+            });
+        } else {
+            await handleMessage(ws, msg);
+        }
+    }
+
+    // Binary frames are relay audio — they follow the socket's route like any message
+    function routeAudioFrame(ws, clientId, frame) {
+        if (ws.routeTo) {
+            publishTo(ws.routeTo, {
+                kind: 'client-audio',
+                origin: INSTANCE_ID,
+                clientId,
+                data: frame.toString('base64')
+            });
+        } else {
+            handleAudioFrame(ws, frame);
+        }
+    }
+
+    function routeClose(ws, clientId) {
+        if (ws.routeTo) {
+            unbindSocket(ws, clientId);
+        } else {
+            traceMessage(ws, 'close', null);
+            cancelPendingJoin(ws);
+            handleDisconnect(ws);
+        }
+    }
+
+    // Tell the previous owner this socket is gone from its rooms
+    function unbindSocket(ws, clientId) {
+        if (!ws.routeTo) return;
+        publishTo(ws.routeTo, { kind: 'client-close', origin: INSTANCE_ID, clientId });
+        ws.routeTo = null;
+        ws.relaySource = false;
+    }
+
+    function handleInstanceMessage(envelope) {
+        switch (envelope.kind) {
+            // Owner side: a forwarded client message / disconnect
+            case 'client-msg': {
+                const key = `${envelope.origin}:${envelope.clientId}`;
+                const proxy = remoteSockets.get(key) || createRemoteSocket(envelope.origin, envelope.clientId);
+                proxy.chain = proxy.chain
+                    .then(() => handleMessage(proxy, envelope.data))
+                    .catch(err => logFor(proxy).error('Message handler failed', { component: 'ws', type: envelope.data.type, err }));
+                break;
+            }
+            case 'client-audio': {
+                const proxy = remoteSockets.get(`${envelope.origin}:${envelope.clientId}`);
+                if (proxy) handleAudioFrame(proxy, Buffer.from(envelope.data, 'base64'));
+                break;
+            }
+            case 'client-close': {
+                const key = `${envelope.origin}:${envelope.clientId}`;
+                const proxy = remoteSockets.get(key);
+                if (!proxy) return;
+                remoteSockets.delete(key);
+                proxy.readyState = 3;
+                proxy.chain = proxy.chain.then(() => {
+                    traceMessage(proxy, 'close', null);
+                    cancelPendingJoin(proxy);
+                    handleDisconnect(proxy);
+                });
+                break;
+            }
+
+            // Origin side: a reply for one of our sockets
+            case 'deliver': {
+                const ws = localSockets.get(envelope.clientId);
+                if (ws && ws.readyState === 1) ws.send(envelope.binary ? Buffer.from(envelope.data, 'base64') : envelope.data);
+                break;
+            }
+            case 'terminate': {
+                const ws = localSockets.get(envelope.clientId);
+                if (ws) ws.terminate();
+                break;
+            }
+            case 'relay-source': {
+                const ws = localSockets.get(envelope.clientId);
+                if (ws) ws.relaySource = envelope.allowed;
+                break;
+            }
+
+            // A session lookup (see lookupSession) and its answer
+            case 'session-lookup': {
+                const info = sessions.get(envelope.resumeToken);
+                publishTo(envelope.origin, {
+                    kind: 'session-info',
+                    requestId: envelope.requestId,
+                    session: info ? { roomCode: info.roomCode, userId: info.userId, name: info.name, role: info.role } : null
+                });
+                break;
+            }
+            case 'session-info': {
+                const finish = sessionLookups.get(envelope.requestId);
+                if (finish) finish(envelope.session);
+                break;
+            }
+        }
+    }
+
+    // Sessions live on the room's owner; HTTP requests (uploads) can land on any
+    // instance, so they ask the owner. Resolves { roomCode, userId, name, role } or null.
+    const sessionLookups = new Map(); // requestId → resolve
+    async function lookupSession(resumeToken, roomCode) {
+        if (!resumeToken) return null;
+        if (sessions.has(resumeToken)) return sessions.get(resumeToken);
+        const owner = await findRemoteOwner(String(roomCode || '').toUpperCase());
+        if (!owner) return null;
+        const requestId = uuidv4();
+        return new Promise((resolve) => {
+            const timer = clock.setTimeout(() => finish(null), SESSION_LOOKUP_TIMEOUT_MS);
+            function finish(session) {
+                clock.clearTimeout(timer);
+                sessionLookups.delete(requestId);
+                resolve(session);
+            }
+            sessionLookups.set(requestId, finish);
+            publishTo(owner, { kind: 'session-lookup', origin: INSTANCE_ID, requestId, resumeToken });
+        });
+    }
+
+    // Keep ownership leases alive so a crashed instance's codes eventually free up
+    function refreshRoomClaims() {
+        for (const code of rooms.keys()) {
+            pubsub.claim(roomKey(code), INSTANCE_ID, ROOM_CLAIM_TTL_MS)
+                .catch(err => log.error('Room claim refresh failed', { component: 'pubsub', roomCode: code, err }));
+        }
+    }
+
+    function getRoomInfo(room) {
+        return {
+            roomCode: room.code,
+            hostUserId: room.hostUserId,
+            hostName: room.hostName,
+            listenerCount: room.listeners.size,
+            hostAway: !room.hostWs,
+            listeners: Array.from(room.listeners.values()).map(l => ({
+                userId: l.userId,
+                name: l.name,
+                role: l.role,
+                away: !l.ws,
+                chatMuted: l.chatMuted,
+                controlRevoked: l.controlRevoked
+            })),
+            videoState: room.videoState || null,
+            isStreaming: room.isStreaming || false,
+            streamMode: room.streamMode || null,
+            relayFormat: room.relayFormat || null,
+            voiceMembers: Array.from(room.voiceMembers),
+            queue: room.queue || [],
+            controlPolicy: room.controlPolicy,
+            hasPassword: !!room.passwordHash,
+            knock: room.knock
+        };
+    }
+
+    // Up to CHAT_PAGE_SIZE messages older than `beforeId`, oldest first
+    function getChatPage(room, beforeId = Infinity) {
+        const older = room.chat.filter(entry => entry.id < beforeId);
+        return {
+            messages: older.slice(-CHAT_PAGE_SIZE),
+            hasMore: older.length > CHAT_PAGE_SIZE
+        };
+    }
+
+    // ─── Room Passwords ─────────────────────────────────────
+    // scrypt runs on the libuv pool, so a join doesn't stall every other socket
+    async function hashPassword(password) {
+        const salt = crypto.randomBytes(16).toString('hex');
+        const hash = (await scrypt(password, salt, 32)).toString('hex');
+        return { salt, hash };
+    }
+
+    async function verifyPassword(password, stored) {
+        const hash = await scrypt(String(password), stored.salt, 32);
+        return crypto.timingSafeEqual(hash, Buffer.from(stored.hash, 'hex'));
+    }
+
+    // ─── Persistence ────────────────────────────────────────
+    // Mutations mark a room dirty; all dirty rooms are written once per tick.
+    const dirtyRooms = new Set();
+
+    function saveRoom(room) {
+        if (dirtyRooms.size === 0) setImmediate(flushRooms);
+        dirtyRooms.add(room.code);
+    }
+
+    function flushRooms() {
+        for (const code of dirtyRooms) {
+            const room = rooms.get(code);
+            if (room) store.saveRoom(serializeRoom(room));
+        }
+        dirtyRooms.clear();
+    }
+
+    // Sockets, votes, pending knocks and live streams don't outlive the process
+    function serializeRoom(room) {
+        const roomSessions = [];
+        for (const [, info] of sessions) {
+            if (info.roomCode !== room.code) continue;
+            const { roomCode, userId, name, role, deviceId, resumeToken } = info;
+            roomSessions.push({ roomCode, userId, name, role, deviceId, resumeToken });
+        }
+
+        return {
+            code: room.code,
+            hostUserId: room.hostUserId,
+            hostName: room.hostName,
+            hostJoinedAt: room.hostJoinedAt,
+            createdAt: room.createdAt,
+            listeners: Array.from(room.listeners.values()).map(({ ws, ...listener }) => listener),
+            videoState: room.videoState,
+            queue: room.queue,
+            bannedDevices: Array.from(room.bannedDevices),
+            controlPolicy: room.controlPolicy,
+            passwordHash: room.passwordHash,
+            knock: room.knock,
+            chat: room.chat,
+            chatSeq: room.chatSeq,
+            sessions: roomSessions
+        };
+    }
+
+    // Bring stored rooms back with every member "away": they RESUME with their
+    // existing tokens, and anyone who doesn't within the grace period is dropped.
+    function restoreRooms() {
+        for (const record of store.loadRooms()) {
+            const room = {
+                code: record.code,
+                hostWs: null,
+                hostUserId: record.hostUserId,
+                hostName: record.hostName,
+                hostJoinedAt: record.hostJoinedAt,
+                createdAt: record.createdAt || clock.now(),
+                lastActiveAt: clock.now(), // give members the resume grace before idling out
+                listeners: new Map(record.listeners.map(l => [l.userId, { ...l, ws: null }])),
+                videoState: record.videoState ? withMedia(record.videoState) : null,
+                isStreaming: false,
+                streamMode: null,
+                relayFormat: null,
+                voiceMembers: new Set(),
+                queue: (record.queue || []).map(withMedia).filter(Boolean),
+                bannedDevices: new Set(record.bannedDevices),
+                controlPolicy: record.controlPolicy || 'everyone',
+                votes: { TOGGLE: new Set(), NEXT: new Set() },
+                passwordHash: record.passwordHash,
+                knock: record.knock,
+                pendingJoins: new Map(),
+                chat: record.chat || [],
+                chatSeq: record.chatSeq || 0
+            };
+            rooms.set(room.code, room);
+            pubsub.claim(roomKey(room.code), INSTANCE_ID, ROOM_CLAIM_TTL_MS)
+                .catch(err => log.error('Room claim failed', { component: 'pubsub', roomCode: room.code, err }));
+
+            for (const saved of record.sessions) {
+                const info = { ...saved, awayTimer: null };
+                sessions.set(info.resumeToken, info);
+                startAwayTimer(info);
+            }
+        }
+        if (rooms.size > 0) log.info('Restored rooms', { component: 'store', rooms: rooms.size });
+    }
+
+    // ─── Logging & Tracing ──────────────────────────────────
+    // Entries about a connection carry its clientId and, once it's in a room, the
+    // room code and userId. `info` stands in for a socket that's already gone.
+    function logFor(ws, info = ws && clientRooms.get(ws)) {
+        return log.child({
+            clientId: ws ? ws.clientId : undefined,
+            roomCode: info ? info.roomCode : undefined,
+            userId: info ? info.userId : undefined
+        });
+    }
+
+    // The room a socket's traffic belongs to: its current one, the one it's
+    // knocking on, or the last one it asked about (so a failed JOIN_ROOM's ERROR
+    // lands in that room's trace, and a leaver's LEFT_ROOM in their old one's)
+    function traceRoomOf(ws) {
+        const info = clientRooms.get(ws) || pendingSockets.get(ws);
+        return info ? info.roomCode : ws.traceRoomCode;
+    }
+
+    function traceMessage(ws, dir, msg) {
+        const code = traceRoomOf(ws);
+        if (!tracer.isTracing(code)) return;
+        const info = clientRooms.get(ws);
+        tracer.record(code, dir, { clientId: ws.clientId, userId: info ? info.userId : undefined }, msg);
+    }
+
+    // Incoming messages are filed under the room they're about, before handling
+    function traceIncoming(ws, msg) {
+        if (msg.type === 'JOIN_ROOM') {
+            ws.traceRoomCode = (msg.roomCode || '').toUpperCase();
+        } else if (msg.type === 'RESUME') {
+            const info = sessions.get(msg.resumeToken);
+            if (info) ws.traceRoomCode = info.roomCode;
+        } else if (msg.type === 'CREATE_ROOM') {
+            return; // no room yet — recorded once it has a code
+        }
+        traceMessage(ws, 'in', msg);
+    }
+
+    function sendTo(ws, data) {
+        if (PROTOCOL_DEBUG) {
+            const { error } = validateServerMessage(data);
+            if (error) logFor(ws).warn('Outgoing message breaks the schema', { component: 'protocol', type: data.type, error });
+        }
+        if (ws && ws.readyState === 1) {
+            traceMessage(ws, 'out', data);
+            ws.send(JSON.stringify(data));
+        }
+    }
+
+    // ERROR with a code from protocol.js; `requestType` is the message it answers
+    function sendError(ws, code, message, requestType) {
+        errorsSent.inc(code);
+        if (requestType === 'JOIN_ROOM') joinFailures.inc(code);
+        sendTo(ws, { type: 'ERROR', code, message, requestType });
+    }
+
+    // `deviceId` is a per-browser id the client keeps in localStorage; bans key on it
+    function createSession(roomCode, userId, name, role, deviceId) {
+        const info = { roomCode, userId, name, role, deviceId, resumeToken: uuidv4(), awayTimer: null };
+        sessions.set(info.resumeToken, info);
+        return info;
+    }
+
+    function findSession(roomCode, userId) {
+        for (const [, info] of sessions) {
+            if (info.roomCode === roomCode && info.userId === userId) return info;
+        }
+        return null;
+    }
+
+    // Host and co-hosts may manage playback and the queue
+    function canManage(info) {
+        return info.role === 'host' || info.role === 'cohost';
+    }
+
+    // Sender's session and room, provided they're in one and hold `role`
+    // ('host', or 'manager' for host/co-host). Otherwise null, after telling them why.
+    function requireMember(ws, msg, role = null) {
+        const info = clientRooms.get(ws);
+        const room = info && rooms.get(info.roomCode);
+        if (!room) {
+            sendError(ws, 'ROOM_NOT_FOUND', 'You are not in a room', msg.type);
+            return null;
+        }
+        if (role === 'host' && info.role !== 'host') {
+            sendError(ws, 'NOT_HOST', 'Only the host can do that', msg.type);
+            return null;
+        }
+        if (role === 'manager' && !canManage(info)) {
+            sendError(ws, 'NOT_HOST', 'Only the host or a co-host can do that', msg.type);
+            return null;
+        }
+        return { info, room };
+    }
+
+    function setRole(room, info, role) {
+        info.role = role;
+        const listener = room.listeners.get(info.userId);
+        if (listener) listener.role = role;
+        saveRoom(room);
+        // Co-hosts don't vote: a promotion takes back their votes, and either
+        // way the majority needed has changed
+        dropVotes(room, info.userId);
+    }
+
+    // Move `newInfo` (currently a listener) into the host slot. The previous host,
+    // if still in the room, drops to a regular listener.
+    function transferHost(room, newInfo) {
+        const next = room.listeners.get(newInfo.userId);
+        if (!next) return;
+
+        const prevHostUserId = room.hostUserId;
+        const prevInfo = findSession(room.code, prevHostUserId);
+
+        room.listeners.delete(newInfo.userId);
+        if (prevInfo) {
+            prevInfo.role = 'listener';
+            room.listeners.set(prevInfo.userId, {
+                ws: room.hostWs,
+                userId: prevInfo.userId,
+                name: prevInfo.name,
+                role: 'listener',
+                joinedAt: room.hostJoinedAt,
+                chatMuted: false,
+                controlRevoked: false
+            });
+        }
+
+        room.hostWs = next.ws;
+        room.hostUserId = next.userId;
+        room.hostName = next.name;
+        room.hostJoinedAt = next.joinedAt;
+        newInfo.role = 'host';
+        dropVotes(room, newInfo.userId);
+
+        // The tab-audio stream belonged to the old host
+        if (room.isStreaming) {
+            room.isStreaming = false;
+            room.streamMode = null;
+            room.relayFormat = null;
+            broadcast(room, {
+                type: 'STREAM_STATUS',
+                isStreaming: false,
+                roomInfo: getRoomInfo(room)
+            });
+        }
+
+        broadcast(room, {
+            type: 'HOST_CHANGED',
+            hostUserId: room.hostUserId,
+            hostName: room.hostName,
+            previousHostUserId: prevHostUserId,
+            roomInfo: getRoomInfo(room)
+        });
+        if (room.pendingJoins.size > 0) sendPendingJoins(room);
+        saveRoom(room);
+        log.info('Host changed', { component: 'room', roomCode: room.code, userId: room.hostUserId, name: room.hostName });
+    }
+
+    // Listener a host moderation action may target (never the host themselves)
+    function getModerationTarget(room, targetUserId) {
+        const listener = room.listeners.get(targetUserId);
+        const targetInfo = listener && findSession(room.code, targetUserId);
+        return targetInfo ? { listener, targetInfo } : null;
+    }
+
+    // Take a member out of the room and tell their socket why
+    function ejectMember(room, listener, targetInfo, message) {
+        sendTo(listener.ws, { type: 'KICKED', message });
+        if (listener.ws) clientRooms.delete(listener.ws);
+        removeMember(targetInfo);
+    }
+
+    function broadcastMemberUpdate(room, userId) {
+        saveRoom(room);
+        broadcast(room, {
+            type: 'MEMBER_UPDATED',
+            userId,
+            roomInfo: getRoomInfo(room)
+        });
+    }
+
+    // Seat a new listener in the room and announce them.
+    // `relayAudio` — the client can play the server-relayed Opus stream.
+    function admitListener(room, ws, name, deviceId, relayAudio) {
+        const userId = uuidv4().slice(0, 8);
+        const info = createSession(room.code, userId, name, 'listener', deviceId);
+
+        room.listeners.set(userId, {
+            ws,
+            userId,
+            name,
+            role: 'listener',
+            joinedAt: clock.now(),
+            chatMuted: false,
+            controlRevoked: false,
+            relayAudio: !!relayAudio
+        });
+        reaper.touch(room);
+        clientRooms.set(ws, info);
+        saveRoom(room);
+
+        sendTo(ws, {
+            type: 'ROOM_JOINED',
+            roomCode: room.code,
+            userId,
+            resumeToken: info.resumeToken,
+            roomInfo: getRoomInfo(room),
+            chat: getChatPage(room)
+        });
+
+        // Notify everyone else
+        broadcast(room, {
+            type: 'USER_JOINED',
+            userId,
+            name,
+            listenerCount: room.listeners.size,
+            roomInfo: getRoomInfo(room)
+        }, ws);
+
+        // Joined mid-stream — bring their audio up (or tip the room into relay)
+        if (!updateStreamMode(room)) connectListenerAudio(room, room.listeners.get(userId));
+
+        logFor(ws).info('Member joined', { component: 'room', name, listeners: room.listeners.size });
+    }
+
+    // ─── Tab Audio: Mesh vs Relay ───────────────────────────
+    // Mesh: the host opens one WebRTC peer per listener (INITIATE_PEER → SIGNAL).
+    // Relay: the host uploads a single Opus stream as binary WebSocket frames and
+    // the server fans it out. Rooms start in mesh and move to relay once they reach
+    // RELAY_THRESHOLD present listeners; they don't move back mid-stream. Listeners
+    // that can't decode the relay stream stay on a mesh peer either way.
+    function pickStreamMode(room) {
+        if (!room.relayFormat || RELAY_THRESHOLD <= 0) return 'mesh';
+        return presentListenerCount(room) >= RELAY_THRESHOLD ? 'relay' : 'mesh';
+    }
+
+    function usesRelay(room, listener) {
+        return room.streamMode === 'relay' && listener.relayAudio;
+    }
+
+    // Host-declared format of the relay stream; null if it can't encode one
+    function parseRelayFormat(format) {
+        if (!format || typeof format !== 'object') return null;
+        const sampleRate = Number(format.sampleRate);
+        const numberOfChannels = Number(format.numberOfChannels);
+        if (!Number.isInteger(sampleRate) || sampleRate < 8000 || sampleRate > 48000) return null;
+        if (numberOfChannels !== 1 && numberOfChannels !== 2) return null;
+        return { sampleRate, numberOfChannels };
+    }
+
+    function broadcastStreamStatus(room) {
+        if (room.hostWs && room.hostWs.remote) setRelaySource(room.hostWs, room.isStreaming && room.streamMode === 'relay');
+        broadcast(room, {
+            type: 'STREAM_STATUS',
+            isStreaming: room.isStreaming,
+            mode: room.streamMode,
+            relayFormat: room.relayFormat,
+            roomInfo: getRoomInfo(room)
+        });
+    }
+
+    // Mesh listeners need a peer from the host; relay listeners already have
+    // everything they need from STREAM_STATUS / roomInfo
+    function connectListenerAudio(room, listener) {
+        if (!room.isStreaming || !room.hostWs || !listener || !listener.ws) return;
+        if (usesRelay(room, listener)) return;
+        sendTo(room.hostWs, {
+            type: 'INITIATE_PEER',
+            targetUserId: listener.userId,
+            targetName: listener.name
+        });
+    }
+
+    // Switch a streaming room to relay once it's big enough. The host drops its
+    // peers on the switch, so mesh-only listeners are re-initiated.
+    // Returns true if the mode changed.
+    function updateStreamMode(room) {
+        if (!room.isStreaming || room.streamMode === 'relay' || pickStreamMode(room) !== 'relay') return false;
+        room.streamMode = 'relay';
+        broadcastStreamStatus(room);
+        for (const [, listener] of room.listeners) connectListenerAudio(room, listener);
+        log.info('Switched to relay audio', { component: 'room', roomCode: room.code, listeners: presentListenerCount(room) });
+        return true;
+    }
+
+    // ─── Relay Sources ──────────────────────────────────────
+    // Binary frames are only routed when they come from a host streaming over
+    // the relay. Local sockets are checked as frames arrive; a socket on another
+    // instance carries a `relaySource` flag its room's owner keeps up to date,
+    // so frames nobody would play aren't published at all.
+    function relayRoomOf(ws) {
+        const info = clientRooms.get(ws);
+        const room = info && info.role === 'host' && rooms.get(info.roomCode);
+        return room && room.hostWs === ws && room.streamMode === 'relay' ? room : null;
+    }
+
+    function isRelaySource(ws) {
+        return ws.routeTo ? !!ws.relaySource : !!relayRoomOf(ws);
+    }
+
+    function setRelaySource(proxy, allowed) {
+        if (proxy.relaySource === allowed) return;
+        proxy.relaySource = allowed;
+        publishTo(proxy.origin, { kind: 'relay-source', clientId: proxy.clientId, allowed });
+    }
+
+    // One relay frame from the host: forward as-is to every relay listener
+    function handleAudioFrame(ws, frame) {
+        const room = relayRoomOf(ws);
+        if (!room) {
+            // The flag was stale (e.g. the host handed over) — clear it
+            if (ws.remote) setRelaySource(ws, false);
+            return;
+        }
+        if (frame.length > MAX_RELAY_FRAME_BYTES) return;
+
+        for (const [, listener] of room.listeners) {
+            if (!listener.ws || !usesRelay(room, listener)) continue;
+            if (listener.ws.readyState !== 1) continue;
+            // Late audio is useless — skip frames rather than queue them behind a slow socket
+            if (listener.ws.bufferedAmount > RELAY_MAX_BUFFERED_BYTES) continue;
+            listener.ws.send(frame);
+        }
+    }
+
+    // ─── Knock (host-approved joins) ────────────────────────
+    function sendPendingJoins(room) {
+        sendTo(room.hostWs, {
+            type: 'PENDING_JOINS',
+            requests: Array.from(room.pendingJoins.values()).map(p => ({
+                requestId: p.requestId,
+                name: p.name
+            }))
+        });
+    }
+
+    function takePendingJoin(room, requestId) {
+        const pending = room.pendingJoins.get(requestId);
+        if (!pending) return null;
+        room.pendingJoins.delete(requestId);
+        pendingSockets.delete(pending.ws);
+        return pending;
+    }
+
+    // Longest-present connected listener, or null if nobody is around to take over
+    function pickSuccessor(room) {
+        let successor = null;
+        for (const [, listener] of room.listeners) {
+            if (!listener.ws) continue;
+            if (!successor || listener.joinedAt < successor.joinedAt) successor = listener;
+        }
+        return successor;
+    }
+
+    // Current socket of a room member, or null while they're away
+    function getMemberWs(room, info) {
+        if (info.role === 'host') return room.hostWs;
+        const listener = room.listeners.get(info.userId);
+        return listener ? listener.ws : null;
+    }
+
+    function setMemberWs(room, info, ws) {
+        if (info.role === 'host') {
+            room.hostWs = ws;
+            // A resumed host picks up its stream where it was
+            if (ws && ws.remote) setRelaySource(ws, room.streamMode === 'relay');
+        } else {
+            const listener = room.listeners.get(info.userId);
+            if (listener) listener.ws = ws;
+        }
+    }
+
+    // ─── Control Votes ──────────────────────────────────────
+    function forwardControl(room, action, fromUserId, fromName) {
+        sendTo(room.hostWs, {
+            type: 'CONTROL',
+            action,
+            fromUserId,
+            fromName
+        });
+    }
+
+    function presentListenerCount(room) {
+        let count = 0;
+        for (const [, listener] of room.listeners) if (listener.ws) count++;
+        return count;
+    }
+
+    // Present listeners who may vote: co-hosts skip the vote, revoked listeners can't use controls
+    function eligibleVoterCount(room) {
+        let count = 0;
+        for (const [, listener] of room.listeners) {
+            if (listener.ws && listener.role === 'listener' && !listener.controlRevoked) count++;
+        }
+        return count;
+    }
 
-function getRoomInfo(room) {
-    return {
-        roomCode: room.code,
-        hostName: room.hostName,
-        listenerCount: room.listeners.size,
-        listeners: Array.from(room.listeners.values()).map(l => ({
-            userId: l.userId,
-            name: l.name
-        })),
-        videoState: room.videoState || null,
-        isStreaming: room.isStreaming || false
-    };
-}
+    // Carry out `action` once a majority of eligible voters have voted for it
+    function tallyVotes(room, action) {
+        const voters = room.votes[action];
+        const needed = Math.floor(eligibleVoterCount(room) / 2) + 1;
+        const passed = voters.size > 0 && voters.size >= needed;
 
-function sendTo(ws, data) {
-    if (ws.readyState === 1) ws.send(JSON.stringify(data));
-}
+        broadcast(room, {
+            type: 'VOTE_UPDATE',
+            action,
+            votes: voters.size,
+            needed,
+            passed
+        });
 
-function broadcast(room, data, excludeWs = null) {
-    // Send to host
-    if (room.hostWs !== excludeWs) sendTo(room.hostWs, data);
-    // Send to all listeners
-    for (const [, listener] of room.listeners) {
-        if (listener.ws !== excludeWs) sendTo(listener.ws, data);
+        if (passed) {
+            voters.clear();
+            forwardControl(room, action, VOTE_SENDER, 'Room vote');
+        }
     }
-}
 
-// ─── WebSocket Handler ──────────────────────────────────
-wss.on('connection', (ws) => {
-    const clientId = uuidv4().slice(0, 8);
-    console.log(`[WS] Client connected: ${clientId}`);
+    function resetVotes(room, action) {
+        if (room.votes[action].size === 0) return;
+        room.votes[action].clear();
+        tallyVotes(room, action);
+    }
+
+    // A member left or stopped being a listener — drop their votes and re-check majorities
+    function dropVotes(room, userId) {
+        for (const action of VOTE_ACTIONS) {
+            const voters = room.votes[action];
+            voters.delete(userId);
+            if (voters.size > 0) tallyVotes(room, action);
+        }
+    }
+
+    function broadcastQueue(room) {
+        saveRoom(room);
+        broadcast(room, { type: 'QUEUE_UPDATED', queue: room.queue });
+    }
+
+    // Pop the head of the queue into videoState and tell everyone (host included) to load it
+    function advanceQueue(room) {
+        const next = room.queue.shift();
+        if (!next) {
+            broadcastQueue(room);
+            return false;
+        }
+
+        room.videoState = {
+            provider: next.provider,
+            mediaId: next.mediaId,
+            title: next.title,
+            isPlaying: true,
+            currentTime: 0,
+            timestamp: clock.now()
+        };
+        resetVotes(room, 'NEXT');
+
+        broadcast(room, {
+            type: 'PLAY_URL',
+            provider: next.provider,
+            mediaId: next.mediaId,
+            title: next.title,
+            fromQueue: true
+        });
+        broadcastQueue(room);
+        return true;
+    }
+
+    function broadcast(room, data, excludeWs = null) {
+        // Send to host
+        if (room.hostWs !== excludeWs) sendTo(room.hostWs, data);
+        // Send to all listeners
+        for (const [, listener] of room.listeners) {
+            if (listener.ws !== excludeWs) sendTo(listener.ws, data);
+        }
+    }
+
+    // ─── WebSocket Handler ──────────────────────────────────
+    wss.on('connection', (ws, req) => {
+        const ip = limits.clientIp(req);
+        const refused = limits.admit(ip);
+        if (refused) {
+            ws.close(1008, refused);
+            return;
+        }
+
+        const clientId = uuidv4().slice(0, 8);
+        ws.clientId = clientId;
+        logFor(ws).info('Client connected', { component: 'ws' });
+        localSockets.set(clientId, ws);
+        heartbeat.watch(ws);
+        const limiter = limits.forConnection(ip);
+        let cutOff = false; // disconnected for flooding, waiting for the close
+        ws.protocolVersion = PROTOCOL_VERSIONS[0]; // until HELLO says otherwise
+
+        // Messages from one socket are handled strictly in order, even across awaits
+        let chain = Promise.resolve();
+        const enqueue = (task) => {
+            chain = chain.then(task).catch(err => logFor(ws).error('Message handler failed', { component: 'ws', err }));
+        };
+
+        // ms to wait if a `type` message is over its rate, else 0. Keep going past
+        // the limit and we stop listening altogether.
+        function overLimit(type) {
+            const wait = limiter.take(type);
+            if (wait && limiter.strike()) {
+                cutOff = true;
+                logFor(ws).warn('Disconnecting for flooding', { component: 'ws', ip });
+                ws.close(1008, 'Too many messages');
+            }
+            return wait;
+        }
+
+        ws.on('message', (raw, isBinary) => {
+            if (cutOff) return;
+            // Relay audio: dropped quietly when over the limit or not from a streaming host
+            if (isBinary) {
+                if (!overLimit('AUDIO_FRAME') && isRelaySource(ws)) enqueue(() => routeAudioFrame(ws, clientId, raw));
+                return;
+            }
+            let msg;
+            try { msg = JSON.parse(raw); } catch { msg = undefined; }
+            const requestType = msg && typeof msg.type === 'string' ? msg.type.slice(0, 32) : undefined;
+
+            const wait = overLimit(requestType);
+            if (wait) {
+                if (cutOff) return;
+                const retry = wait < 90000 ? `${Math.ceil(wait / 1000)}s` : `${Math.ceil(wait / 60000)} min`;
+                sendError(ws, 'RATE_LIMITED', `Slow down — try again in ${retry}`, requestType);
+                return;
+            }
+
+            if (msg === undefined) {
+                sendError(ws, 'INVALID_PAYLOAD', 'Message is not valid JSON');
+                return;
+            }
+            const { message, error } = validateClientMessage(msg, ws.protocolVersion);
+            if (error) {
+                messagesReceived.inc('invalid');
+                sendError(ws, 'INVALID_PAYLOAD', error, requestType);
+                return;
+            }
+            messagesReceived.inc(message.type);
+            // The handshake is per socket, so it's answered here rather than by the room's owner
+            if (message.type === 'HELLO') {
+                handleHello(ws, message);
+                return;
+            }
+            enqueue(() => routeMessage(ws, clientId, message));
+        });
 
-    ws.on('message', (raw) => {
-        let msg;
-        try { msg = JSON.parse(raw); } catch { return; }
+        // Oversized or malformed frames — ws closes the socket itself
+        ws.on('error', (err) => logFor(ws).warn('Socket error', { component: 'ws', err: err.message }));
+
+        ws.on('close', () => {
+            logFor(ws).info('Client disconnected', { component: 'ws' });
+            localSockets.delete(clientId);
+            limits.release(ip);
+            enqueue(() => routeClose(ws, clientId));
+        });
+    });
+
+    function handleHello(ws, msg) {
+        const version = negotiateVersion(msg.versions);
+        if (!version) {
+            sendError(ws, 'UNSUPPORTED_VERSION',
+                `This server speaks protocol version ${PROTOCOL_VERSIONS.join(', ')} — reload to update`, msg.type);
+            return;
+        }
+        ws.protocolVersion = version;
+        sendTo(ws, { type: 'WELCOME', version, serverVersions: PROTOCOL_VERSIONS });
+    }
+
+    // ─── Message Handler ────────────────────────────────────
+    // `ws` is either a local WebSocket or a proxy for a socket on another instance
+    async function handleMessage(ws, msg) {
+        // Anything a member does, clock pings aside, keeps their room from idling out
+        const sender = clientRooms.get(ws);
+        const senderRoom = sender && msg.type !== 'PING' && rooms.get(sender.roomCode);
+        if (senderRoom) reaper.touch(senderRoom);
+        traceIncoming(ws, msg);
 
         switch (msg.type) {
 
             // ━━━ Create Room ━━━━━━━━━━━━━━━━━━━━━━━━━━
             case 'CREATE_ROOM': {
-                const code = generateCode();
+                const code = await claimRoomCode().catch((err) => {
+                    logFor(ws).error('Room code claim failed', { component: 'pubsub', err });
+                    return null;
+                });
+                if (!code) {
+                    sendError(ws, 'SERVER_BUSY', 'Could not create a room, try again', msg.type);
+                    return;
+                }
+                const password = typeof msg.password === 'string' ? msg.password.slice(0, 100) : '';
+                const passwordHash = password ? await hashPassword(password) : null;
                 const userId = uuidv4().slice(0, 8);
                 const name = (msg.name || 'Host').slice(0, 30);
+                const info = createSession(code, userId, name, 'host', msg.deviceId);
 
                 const room = {
                     code,
                     hostWs: ws,
                     hostUserId: userId,
                     hostName: name,
+                    hostJoinedAt: clock.now(),
+                    createdAt: clock.now(),
+                    lastActiveAt: clock.now(),
                     listeners: new Map(),
                     videoState: null,
-                    isStreaming: false
+                    isStreaming: false,
+                    streamMode: null,        // 'mesh' | 'relay' while streaming
+                    relayFormat: null,       // host's { sampleRate, numberOfChannels } if it can relay
+                    voiceMembers: new Set(), // userIds with voice chat on (signalled peer-to-peer)
+                    queue: [],
+                    bannedDevices: new Set(),
+                    controlPolicy: 'everyone',
+                    votes: { TOGGLE: new Set(), NEXT: new Set() },
+                    passwordHash,
+                    knock: !!msg.knock,
+                    pendingJoins: new Map(), // requestId → { requestId, ws, name, deviceId }
+                    chat: [],                // recent { id, userId, name, message, timestamp }
+                    chatSeq: 0               // last chat id handed out
                 };
 
                 rooms.set(code, room);
-                clientRooms.set(ws, { roomCode: code, userId, name, role: 'host' });
+                clientRooms.set(ws, info);
+                saveRoom(room);
+                ws.traceRoomCode = code;
+                tracer.roomCreated(code);
+                traceMessage(ws, 'in', msg);
 
                 sendTo(ws, {
                     type: 'ROOM_CREATED',
                     roomCode: code,
                     userId,
+                    resumeToken: info.resumeToken,
                     roomInfo: getRoomInfo(room)
                 });
 
-                console.log(`[ROOM] Created: ${code} by ${name}`);
+                logFor(ws).info('Room created', { component: 'room', name });
                 break;
             }
 
@@ -101,33 +1350,132 @@ wss.on('connection', (ws) => {
                 const room = rooms.get(code);
 
                 if (!room) {
-                    sendTo(ws, { type: 'ERROR', message: 'Room not found' });
+                    sendError(ws, 'ROOM_NOT_FOUND', 'Room not found', msg.type);
                     return;
                 }
 
-                const userId = uuidv4().slice(0, 8);
+                // Without a deviceId a ban can't be checked, so a room with bans needs one
+                if (!msg.deviceId && room.bannedDevices.size > 0) {
+                    sendError(ws, 'DEVICE_ID_REQUIRED', 'This room needs your browser\'s device id to join', msg.type);
+                    return;
+                }
+                if (msg.deviceId && room.bannedDevices.has(msg.deviceId)) {
+                    sendError(ws, 'BANNED', 'You have been banned from this room', msg.type);
+                    return;
+                }
+
+                if (room.passwordHash) {
+                    if (!msg.password) {
+                        sendError(ws, 'PASSWORD_REQUIRED', 'This room needs a password', msg.type);
+                        return;
+                    }
+                    if (!(await verifyPassword(msg.password, room.passwordHash))) {
+                        sendError(ws, 'WRONG_PASSWORD', 'Wrong room password', msg.type);
+                        return;
+                    }
+                    // The room may have closed while scrypt ran
+                    if (rooms.get(code) !== room) {
+                        sendError(ws, 'ROOM_NOT_FOUND', 'Room not found', msg.type);
+                        return;
+                    }
+                }
+
                 const name = (msg.name || 'Listener').slice(0, 30);
 
-                room.listeners.set(userId, { ws, userId, name });
-                clientRooms.set(ws, { roomCode: code, userId, name, role: 'listener' });
+                if (room.knock) {
+                    if (pendingSockets.has(ws)) return;
+                    const requestId = uuidv4().slice(0, 8);
+                    room.pendingJoins.set(requestId, { requestId, ws, name, deviceId: msg.deviceId, relayAudio: msg.relayAudio });
+                    pendingSockets.set(ws, { roomCode: code, requestId });
+
+                    sendTo(ws, { type: 'JOIN_PENDING', roomCode: code });
+                    sendPendingJoins(room);
+                    logFor(ws).info('Knocked', { component: 'room', roomCode: code, name });
+                    return;
+                }
+
+                admitListener(room, ws, name, msg.deviceId, msg.relayAudio);
+                break;
+            }
+
+            // ━━━ Knock: Approve / Deny (Host) ━━━━━━━━
+            case 'APPROVE_JOIN':
+            case 'DENY_JOIN': {
+                const member = requireMember(ws, msg, 'host');
+                if (!member) return;
+                const { room } = member;
+
+                const pending = takePendingJoin(room, msg.requestId);
+                if (!pending) return;
+
+                if (msg.type === 'APPROVE_JOIN') {
+                    admitListener(room, pending.ws, pending.name, pending.deviceId, pending.relayAudio);
+                } else {
+                    sendError(pending.ws, 'JOIN_DENIED', 'The host declined your request to join', 'JOIN_ROOM');
+                }
+                sendPendingJoins(room);
+                break;
+            }
+
+            // ━━━ Knock: Cancel (Requester) ━━━━━━━━━━━
+            case 'CANCEL_JOIN': {
+                cancelPendingJoin(ws);
+                break;
+            }
+
+            // ━━━ Resume Session ━━━━━━━━━━━━━━━━━━━━━━━
+            case 'RESUME': {
+                const info = sessions.get(msg.resumeToken);
+                const room = info && rooms.get(info.roomCode);
+
+                if (!room) {
+                    sendTo(ws, { type: 'RESUME_FAILED', message: 'Session expired' });
+                    return;
+                }
+
+                clock.clearTimeout(info.awayTimer);
+                info.awayTimer = null;
+
+                // A half-open old socket may still be attached — replace it
+                const oldWs = getMemberWs(room, info);
+                if (oldWs && oldWs !== ws) {
+                    clientRooms.delete(oldWs);
+                    oldWs.terminate();
+                }
+
+                setMemberWs(room, info, ws);
+                clientRooms.set(ws, info);
+                reaper.touch(room);
 
                 sendTo(ws, {
-                    type: 'ROOM_JOINED',
-                    roomCode: code,
-                    userId,
-                    roomInfo: getRoomInfo(room)
+                    type: 'ROOM_RESUMED',
+                    roomCode: info.roomCode,
+                    userId: info.userId,
+                    role: info.role,
+                    resumeToken: info.resumeToken,
+                    roomInfo: getRoomInfo(room),
+                    chat: getChatPage(room)
                 });
 
-                // Notify everyone else
                 broadcast(room, {
-                    type: 'USER_JOINED',
-                    userId,
-                    name,
-                    listenerCount: room.listeners.size,
+                    type: 'USER_BACK',
+                    userId: info.userId,
+                    name: info.name,
                     roomInfo: getRoomInfo(room)
                 }, ws);
 
-                console.log(`[ROOM] ${name} joined ${code} (${room.listeners.size} listeners)`);
+                // Re-run WebRTC negotiation for whichever side dropped
+                if (info.role === 'host') {
+                    for (const [, listener] of room.listeners) connectListenerAudio(room, listener);
+                } else {
+                    const self = room.listeners.get(info.userId);
+                    if (msg.relayAudio !== undefined) self.relayAudio = !!msg.relayAudio;
+                    if (!updateStreamMode(room)) connectListenerAudio(room, self);
+                }
+
+                if (info.role === 'host' && room.pendingJoins.size > 0) sendPendingJoins(room);
+
+                logFor(ws).info('Member resumed', { component: 'room', name: info.name });
                 break;
             }
 
@@ -140,26 +1488,54 @@ wss.on('connection', (ws) => {
 
             // ━━━ Chat ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
             case 'CHAT': {
-                const info = clientRooms.get(ws);
-                if (!info) return;
-                const room = rooms.get(info.roomCode);
-                if (!room) return;
+                const member = requireMember(ws, msg);
+                if (!member) return;
+                const { info, room } = member;
 
-                broadcast(room, {
-                    type: 'CHAT',
+                const self = room.listeners.get(info.userId);
+                if (self && self.chatMuted) {
+                    sendError(ws, 'CHAT_MUTED', 'The host has muted you in chat', msg.type);
+                    return;
+                }
+
+                const entry = {
+                    id: ++room.chatSeq,
                     userId: info.userId,
                     name: info.name,
-                    message: (msg.message || '').slice(0, 500)
-                });
+                    message: (msg.message || '').slice(0, 500),
+                    timestamp: clock.now()
+                };
+                room.chat.push(entry);
+                if (room.chat.length > CHAT_HISTORY_LIMIT) room.chat.shift();
+                saveRoom(room);
+
+                broadcast(room, { type: 'CHAT', ...entry });
+                break;
+            }
+
+            case 'CHAT_HISTORY': {
+                const member = requireMember(ws, msg);
+                if (!member) return;
+                const { room } = member;
+
+                // No `before` means the latest page; 0 is a real (empty) one
+                const before = msg.before === undefined ? Infinity : Number(msg.before);
+                if (msg.before !== undefined && !Number.isFinite(before)) {
+                    sendError(ws, 'INVALID_PAYLOAD', '"before" must be a chat message id', msg.type);
+                    return;
+                }
+                sendTo(ws, { type: 'CHAT_HISTORY', ...getChatPage(room, before) });
                 break;
             }
 
             // ━━━ Reaction ━━━━━━━━━━━━━━━━━━━━━━━━━━━━
             case 'REACTION': {
-                const info = clientRooms.get(ws);
-                if (!info) return;
-                const room = rooms.get(info.roomCode);
-                if (!room) return;
+                const member = requireMember(ws, msg);
+                if (!member) return;
+                const { info, room } = member;
+
+                const self = room.listeners.get(info.userId);
+                if (self && self.chatMuted) return;
 
                 broadcast(room, {
                     type: 'REACTION',
@@ -169,78 +1545,305 @@ wss.on('connection', (ws) => {
                 break;
             }
 
-            // ━━━ YouTube: Play URL ━━━━━━━━━━━━━━━━━━━
+            // ━━━ Synced Media: Play URL ━━━━━━━━━━━━━
             case 'PLAY_URL': {
-                const info = clientRooms.get(ws);
-                if (!info) return;
-                const room = rooms.get(info.roomCode);
-                if (!room) return;
+                const member = requireMember(ws, msg, 'manager');
+                if (!member) return;
+                const { room } = member;
+
+                const media = parseMedia(msg);
+                if (!media) {
+                    sendError(ws, 'UNSUPPORTED_MEDIA', 'Unsupported media source', msg.type);
+                    return;
+                }
 
                 room.videoState = {
-                    videoId: msg.videoId,
+                    ...media,
                     title: msg.title || 'Now Playing',
                     isPlaying: true,
                     currentTime: 0,
-                    timestamp: Date.now()
+                    timestamp: clock.now()
                 };
+                resetVotes(room, 'NEXT');
+                saveRoom(room);
 
                 broadcast(room, {
                     type: 'PLAY_URL',
-                    videoId: msg.videoId,
+                    ...media,
                     title: msg.title
                 }, ws);
                 break;
             }
 
-            // ━━━ YouTube: Sync State ━━━━━━━━━━━━━━━━━
+            // ━━━ Synced Media: Sync State ━━━━━━━━━━━━
             case 'SYNC_STATE': {
-                const info = clientRooms.get(ws);
-                if (!info || info.role !== 'host') return;
-                const room = rooms.get(info.roomCode);
-                if (!room) return;
+                const member = requireMember(ws, msg, 'host');
+                if (!member) return;
+                const { room } = member;
+
+                // Position is stamped in server time. Hosts send `capturedAt` from their
+                // synced clock so upstream latency doesn't skew it; fall back to receipt time.
+                const now = clock.now();
+                const capturedAt = Number(msg.capturedAt);
+                const serverTime = capturedAt <= now && now - capturedAt < MAX_CAPTURE_SKEW_MS
+                    ? capturedAt : now;
 
                 if (room.videoState) {
                     room.videoState.isPlaying = msg.isPlaying;
                     room.videoState.currentTime = msg.currentTime;
-                    room.videoState.timestamp = Date.now();
+                    room.videoState.timestamp = serverTime;
+                    saveRoom(room);
                 }
 
+                // Host changed play/pause themselves — pending toggle votes are moot
+                if (msg.action === 'play' || msg.action === 'pause') resetVotes(room, 'TOGGLE');
+
                 // Forward to all listeners
                 for (const [, listener] of room.listeners) {
                     sendTo(listener.ws, {
                         type: 'SYNC_STATE',
                         action: msg.action,
                         isPlaying: msg.isPlaying,
-                        currentTime: msg.currentTime
+                        currentTime: msg.currentTime,
+                        serverTime
                     });
                 }
                 break;
             }
 
+            // ━━━ Clock Sync ━━━━━━━━━━━━━━━━━━━━━━━━━━
+            case 'PING': {
+                sendTo(ws, { type: 'PONG', t0: msg.t0, serverTime: clock.now() });
+                break;
+            }
+
+            // ━━━ Queue: Add ━━━━━━━━━━━━━━━━━━━━━━━━━━
+            case 'QUEUE_ADD': {
+                const member = requireMember(ws, msg);
+                if (!member) return;
+                const { info, room } = member;
+                const media = parseMedia(msg);
+                if (!media) {
+                    sendError(ws, 'UNSUPPORTED_MEDIA', 'Unsupported media source', msg.type);
+                    return;
+                }
+
+                if (room.queue.length >= MAX_QUEUE_LENGTH) {
+                    sendError(ws, 'QUEUE_FULL', 'Queue is full', msg.type);
+                    return;
+                }
+
+                room.queue.push({
+                    id: uuidv4().slice(0, 8),
+                    ...media,
+                    title: (msg.title || 'Queued track').slice(0, 200),
+                    addedBy: info.userId,
+                    addedByName: info.name
+                });
+
+                // Nothing playing yet → start right away
+                if (!room.videoState) advanceQueue(room);
+                else broadcastQueue(room);
+                break;
+            }
+
+            // ━━━ Queue: Remove ━━━━━━━━━━━━━━━━━━━━━━━
+            case 'QUEUE_REMOVE': {
+                const member = requireMember(ws, msg);
+                if (!member) return;
+                const { info, room } = member;
+
+                const index = room.queue.findIndex(item => item.id === msg.itemId);
+                if (index === -1) return;
+
+                // Host can remove anything, listeners only their own tracks
+                if (!canManage(info) && room.queue[index].addedBy !== info.userId) return;
+
+                room.queue.splice(index, 1);
+                broadcastQueue(room);
+                break;
+            }
+
+            // ━━━ Queue: Reorder (Host/Co-host) ━━━━━━━
+            case 'QUEUE_MOVE': {
+                const member = requireMember(ws, msg, 'manager');
+                if (!member) return;
+                const { room } = member;
+
+                const from = room.queue.findIndex(item => item.id === msg.itemId);
+                if (from === -1) return;
+                const to = Math.max(0, Math.min(room.queue.length - 1, Number(msg.toIndex) || 0));
+
+                const [item] = room.queue.splice(from, 1);
+                room.queue.splice(to, 0, item);
+                broadcastQueue(room);
+                break;
+            }
+
+            // ━━━ Queue: Skip / Auto-advance ━━━━━━━━━
+            case 'QUEUE_NEXT': {
+                const member = requireMember(ws, msg, 'manager');
+                if (!member) return;
+                const { room } = member;
+
+                // Ignore a stale "ended" report for a track that's already been replaced
+                if (msg.ended && room.videoState &&
+                    !isSameMedia(room.videoState, parseMedia(msg.ended))) return;
+
+                advanceQueue(room);
+                break;
+            }
+
             // ━━━ Controls (Listener → Host) ━━━━━━━━━━
             case 'CONTROL': {
-                const info = clientRooms.get(ws);
-                if (!info) return;
-                const room = rooms.get(info.roomCode);
-                if (!room) return;
-
-                if (info.role === 'listener') {
-                    sendTo(room.hostWs, {
-                        type: 'CONTROL',
-                        action: msg.action,
-                        fromUserId: info.userId,
-                        fromName: info.name
-                    });
+                const member = requireMember(ws, msg);
+                if (!member) return;
+                const { info, room } = member;
+
+                if (info.role === 'host') return;
+                if (!CONTROL_ACTIONS.includes(msg.action)) return;
+
+                const self = room.listeners.get(info.userId);
+                if (self && self.controlRevoked) {
+                    sendError(ws, 'CONTROLS_REVOKED', 'The host has revoked your controls', msg.type);
+                    return;
+                }
+
+                // Co-hosts always get through; everyone else follows the room's policy
+                if (info.role === 'cohost' || room.controlPolicy === 'everyone') {
+                    forwardControl(room, msg.action, info.userId, info.name);
+                } else if (room.controlPolicy === 'vote' && VOTE_ACTIONS.includes(msg.action)) {
+                    room.votes[msg.action].add(info.userId);
+                    tallyVotes(room, msg.action);
+                } else {
+                    sendError(ws, 'NOT_HOST', room.controlPolicy === 'vote'
+                        ? 'Only play/pause and skip can be voted on'
+                        : 'Only the host can control playback', msg.type);
+                }
+                break;
+            }
+
+            // ━━━ Control Policy (Host) ━━━━━━━━━━━━━━━
+            case 'SET_CONTROL_POLICY': {
+                const member = requireMember(ws, msg, 'host');
+                if (!member) return;
+                const { room } = member;
+                if (!CONTROL_POLICIES.includes(msg.policy)) return;
+
+                room.controlPolicy = msg.policy;
+                saveRoom(room);
+                for (const action of VOTE_ACTIONS) resetVotes(room, action);
+
+                broadcast(room, {
+                    type: 'CONTROL_POLICY',
+                    policy: room.controlPolicy,
+                    roomInfo: getRoomInfo(room)
+                });
+                break;
+            }
+
+            // ━━━ Transfer Host ━━━━━━━━━━━━━━━━━━━━━━━━
+            case 'TRANSFER_HOST': {
+                const member = requireMember(ws, msg, 'host');
+                if (!member) return;
+                const { room } = member;
+
+                const target = room.listeners.get(msg.targetUserId);
+                const targetInfo = target && target.ws && findSession(room.code, target.userId);
+                if (!targetInfo) {
+                    sendError(ws, 'USER_UNAVAILABLE', 'That listener is not available', msg.type);
+                    return;
+                }
+
+                transferHost(room, targetInfo);
+                break;
+            }
+
+            // ━━━ Promote / Demote Co-host ━━━━━━━━━━━━
+            case 'PROMOTE': {
+                const member = requireMember(ws, msg, 'host');
+                if (!member) return;
+                const { room } = member;
+
+                const role = msg.role === 'cohost' ? 'cohost' : 'listener';
+                const targetInfo = room.listeners.has(msg.targetUserId) &&
+                    findSession(room.code, msg.targetUserId);
+                if (!targetInfo || targetInfo.role === role) return;
+
+                setRole(room, targetInfo, role);
+
+                broadcast(room, {
+                    type: 'ROLE_CHANGED',
+                    userId: targetInfo.userId,
+                    name: targetInfo.name,
+                    role,
+                    roomInfo: getRoomInfo(room)
+                });
+                break;
+            }
+
+            // ━━━ Moderation: Kick / Ban (Host) ━━━━━━━
+            case 'KICK':
+            case 'BAN': {
+                const member = requireMember(ws, msg, 'host');
+                if (!member) return;
+                const { room } = member;
+
+                const target = getModerationTarget(room, msg.targetUserId);
+                if (!target) return;
+
+                const banned = msg.type === 'BAN';
+                if (banned && target.targetInfo.deviceId) room.bannedDevices.add(target.targetInfo.deviceId);
+                else if (banned) {
+                    // Still removed, but nothing stops them rejoining — the host should know
+                    sendError(ws, 'BAN_NOT_RECORDED',
+                        `${target.targetInfo.name} was removed but couldn't be banned: their app sent no device id`, msg.type);
                 }
+
+                ejectMember(room, target.listener, target.targetInfo,
+                    banned ? 'You have been banned from this room' : 'You were removed from the room');
+                logFor(ws).info(banned ? 'Member banned' : 'Member kicked', {
+                    component: 'room', targetUserId: target.targetInfo.userId, name: target.targetInfo.name
+                });
+                break;
+            }
+
+            // ━━━ Moderation: Mute Chat (Host) ━━━━━━━━
+            case 'MUTE_CHAT': {
+                const member = requireMember(ws, msg, 'host');
+                if (!member) return;
+                const { room } = member;
+
+                const target = getModerationTarget(room, msg.targetUserId);
+                if (!target) return;
+
+                target.listener.chatMuted = msg.muted !== false;
+                // Muted in chat means muted on the mic too
+                if (target.listener.chatMuted) room.voiceMembers.delete(target.listener.userId);
+                broadcastMemberUpdate(room, target.listener.userId);
+                break;
+            }
+
+            // ━━━ Moderation: Revoke Control (Host) ━━━
+            case 'REVOKE_CONTROL': {
+                const member = requireMember(ws, msg, 'host');
+                if (!member) return;
+                const { room } = member;
+
+                const target = getModerationTarget(room, msg.targetUserId);
+                if (!target) return;
+
+                target.listener.controlRevoked = msg.revoked !== false;
+                if (target.listener.controlRevoked) dropVotes(room, target.listener.userId);
+                broadcastMemberUpdate(room, target.listener.userId);
                 break;
             }
 
             // ━━━ WebRTC Signaling ━━━━━━━━━━━━━━━━━━━━
             case 'SIGNAL': {
-                const info = clientRooms.get(ws);
-                if (!info) return;
-                const room = rooms.get(info.roomCode);
-                if (!room) return;
+                const member = requireMember(ws, msg);
+                if (!member) return;
+                const { info, room } = member;
 
                 const { targetUserId, signal } = msg;
 
@@ -254,6 +1857,8 @@ wss.on('connection', (ws) => {
                 }
 
                 if (targetWs) {
+                    signalsForwarded.inc(signal.type);
+                    signalBytes.inc(JSON.stringify(signal).length);
                     sendTo(targetWs, {
                         type: 'SIGNAL',
                         fromUserId: info.userId,
@@ -263,81 +1868,255 @@ wss.on('connection', (ws) => {
                 break;
             }
 
+            // ━━━ Voice Chat ━━━━━━━━━━━━━━━━━━━━━━━━━━
+            // Only membership goes through the server; the audio is a peer-to-peer
+            // mesh negotiated with SIGNAL { channel: 'voice' }
+            case 'VOICE_STATUS': {
+                const member = requireMember(ws, msg);
+                if (!member) return;
+                const { info, room } = member;
+
+                const self = room.listeners.get(info.userId);
+                if (msg.enabled && self && self.chatMuted) {
+                    sendError(ws, 'CHAT_MUTED', 'The host has muted you', msg.type);
+                    return;
+                }
+
+                if (msg.enabled) room.voiceMembers.add(info.userId);
+                else room.voiceMembers.delete(info.userId);
+                broadcastMemberUpdate(room, info.userId);
+                break;
+            }
+
             // ━━━ Stream Status ━━━━━━━━━━━━━━━━━━━━━━━
             case 'STREAM_STATUS': {
-                const info = clientRooms.get(ws);
-                if (!info || info.role !== 'host') return;
-                const room = rooms.get(info.roomCode);
-                if (!room) return;
+                const member = requireMember(ws, msg, 'host');
+                if (!member) return;
+                const { room } = member;
 
-                room.isStreaming = msg.isStreaming;
+                room.isStreaming = !!msg.isStreaming;
+                room.relayFormat = room.isStreaming ? parseRelayFormat(msg.relayFormat) : null;
+                room.streamMode = room.isStreaming ? pickStreamMode(room) : null;
 
-                broadcast(room, {
-                    type: 'STREAM_STATUS',
-                    isStreaming: msg.isStreaming,
-                    roomInfo: getRoomInfo(room)
-                }, ws);
+                // The host hears back too — it needs to know which mode to send in
+                broadcastStreamStatus(room);
 
-                // If host started streaming, tell host about all listeners
-                if (msg.isStreaming) {
-                    for (const [, listener] of room.listeners) {
-                        sendTo(ws, {
-                            type: 'INITIATE_PEER',
-                            targetUserId: listener.userId,
-                            targetName: listener.name
-                        });
-                    }
-                }
+                // If host started streaming, set up audio for all listeners
+                for (const [, listener] of room.listeners) connectListenerAudio(room, listener);
                 break;
             }
 
             default:
                 break;
         }
-    });
+    }
 
-    ws.on('close', () => {
-        console.log(`[WS] Client disconnected: ${clientId}`);
-        handleLeave(ws);
-    });
-});
+    function cancelPendingJoin(ws) {
+        const pending = pendingSockets.get(ws);
+        if (!pending) return;
+        const room = rooms.get(pending.roomCode);
+        pendingSockets.delete(ws);
+        if (room && room.pendingJoins.delete(pending.requestId)) sendPendingJoins(room);
+    }
 
-function handleLeave(ws) {
-    const info = clientRooms.get(ws);
-    if (!info) return;
+    // Explicit leave — the member is gone for good
+    function handleLeave(ws) {
+        const info = clientRooms.get(ws);
+        if (!info) return;
+        clientRooms.delete(ws);
+        removeMember(info);
+    }
 
-    const room = rooms.get(info.roomCode);
-    if (!room) { clientRooms.delete(ws); return; }
+    // Socket dropped — hold the member as "away" so they can RESUME within the grace period
+    function handleDisconnect(ws) {
+        const info = clientRooms.get(ws);
+        if (!info) return;
+        clientRooms.delete(ws);
 
-    if (info.role === 'host') {
-        broadcast(room, {
-            type: 'ROOM_CLOSED',
-            message: 'Host closed the room'
-        }, ws);
-        rooms.delete(info.roomCode);
-        console.log(`[ROOM] Closed: ${info.roomCode}`);
-    } else {
-        room.listeners.delete(info.userId);
+        const room = rooms.get(info.roomCode);
+        if (!room) { sessions.delete(info.resumeToken); return; }
 
-        // Notify host to clean up WebRTC for this listener
-        sendTo(room.hostWs, {
-            type: 'PEER_LEFT',
-            userId: info.userId
-        });
+        setMemberWs(room, info, null);
+        startAwayTimer(info);
+        // Voice peers die with the socket; the client re-announces after RESUME
+        room.voiceMembers.delete(info.userId);
 
         broadcast(room, {
-            type: 'USER_LEFT',
+            type: 'USER_AWAY',
             userId: info.userId,
             name: info.name,
-            listenerCount: room.listeners.size,
             roomInfo: getRoomInfo(room)
         });
-        console.log(`[ROOM] ${info.name} left ${info.roomCode} (${room.listeners.size} listeners)`);
+        logFor(ws, info).info('Member away', { component: 'room', name: info.name });
+    }
+
+    function startAwayTimer(info) {
+        if (stopped) return; // shutting down — the session is saved as it is
+        info.awayTimer = clock.setTimeout(() => {
+            info.awayTimer = null;
+            removeMember(info);
+        }, RESUME_GRACE_MS);
+    }
+
+    function removeMember(info) {
+        clock.clearTimeout(info.awayTimer);
+        info.awayTimer = null;
+        sessions.delete(info.resumeToken);
+
+        const room = rooms.get(info.roomCode);
+        if (!room) return;
+        room.voiceMembers.delete(info.userId);
+
+        if (info.role === 'host') {
+            const successor = pickSuccessor(room);
+            const successorInfo = successor && findSession(room.code, successor.userId);
+
+            if (!successorInfo) {
+                broadcast(room, {
+                    type: 'ROOM_CLOSED',
+                    message: 'Host closed the room'
+                }, room.hostWs);
+                closeRoom(room);
+                logFor(null, info).info('Room closed', { component: 'room', reason: 'host left' });
+                return;
+            }
+
+            // Hand the room to the longest-present listener instead of closing it
+            room.hostWs = null;
+            transferHost(room, successorInfo);
+            broadcast(room, {
+                type: 'USER_LEFT',
+                userId: info.userId,
+                name: info.name,
+                listenerCount: room.listeners.size,
+                roomInfo: getRoomInfo(room)
+            });
+            logFor(null, info).info('Member left', { component: 'room', name: info.name, listeners: room.listeners.size });
+        } else {
+            room.listeners.delete(info.userId);
+            dropVotes(room, info.userId);
+            saveRoom(room);
+
+            // Notify host to clean up WebRTC for this listener
+            sendTo(room.hostWs, {
+                type: 'PEER_LEFT',
+                userId: info.userId
+            });
+
+            broadcast(room, {
+                type: 'USER_LEFT',
+                userId: info.userId,
+                name: info.name,
+                listenerCount: room.listeners.size,
+                roomInfo: getRoomInfo(room)
+            });
+            logFor(null, info).info('Member left', { component: 'room', name: info.name, listeners: room.listeners.size });
+        }
+    }
+
+    // Close a room out from under its members, telling them why
+    function evictRoom(room, message) {
+        broadcast(room, { type: 'ROOM_CLOSED', message });
+        if (room.hostWs) clientRooms.delete(room.hostWs);
+        for (const [, listener] of room.listeners) {
+            if (listener.ws) clientRooms.delete(listener.ws);
+        }
+        closeRoom(room);
+    }
+
+    function closeRoom(room) {
+        rooms.delete(room.code);
+        dirtyRooms.delete(room.code);
+        store.deleteRoom(room.code);
+        pubsub.release(roomKey(room.code), INSTANCE_ID)
+            .catch(err => log.error('Room claim release failed', { component: 'pubsub', roomCode: room.code, err }));
+        for (const [, pending] of room.pendingJoins) {
+            pendingSockets.delete(pending.ws);
+            sendError(pending.ws, 'ROOM_CLOSED', 'The room was closed', 'JOIN_ROOM');
+        }
+        for (const [token, info] of sessions) {
+            if (info.roomCode !== room.code) continue;
+            clock.clearTimeout(info.awayTimer);
+            sessions.delete(token);
+        }
+        // Once the current handler's last replies (e.g. the leaver's LEFT_ROOM) are in
+        setImmediate(() => tracer.stop(room.code));
+    }
+
+    // ─── Dead Sockets & Stale Rooms ─────────────────────────
+    // Sockets that stop answering pings are dropped (their members go "away" as
+    // usual); rooms idle or open too long are closed, with a warning first.
+    const heartbeat = createHeartbeat(() => wss.clients, { intervalMs: lifecycle.heartbeatMs, clock });
+
+    const reaper = createRoomReaper(() => rooms.values(), {
+        idleMs: lifecycle.idleMs,
+        maxLifetimeMs: lifecycle.maxLifetimeMs,
+        warningMs: lifecycle.warningMs,
+        // Tab audio keeps flowing without any messages
+        isBusy: (room) => room.isStreaming && !!room.hostWs,
+        warn: (room, reason, closesAt) => broadcast(room, { type: 'ROOM_EXPIRING', reason, closesAt }),
+        close: expireRoom,
+        clock
+    });
+
+    function expireRoom(room, reason) {
+        evictRoom(room, reason === 'idle' ? 'Room closed after being idle' : 'Room closed — it reached its time limit');
+        log.info('Room closed', { component: 'room', roomCode: room.code, reason });
+    }
+
+    // ─── Start & Stop ───────────────────────────────────────
+    let claimTimer = null;
+    let stopped = false;
+
+    // Restore stored rooms, start the sweeps and bind the port. Resolves with the port.
+    function listen() {
+        restoreRooms();
+        pubsub.subscribe(instanceChannel(INSTANCE_ID), handleInstanceMessage);
+        claimTimer = clock.setInterval(refreshRoomClaims, ROOM_CLAIM_TTL_MS / 3);
+        heartbeat.start();
+        reaper.start();
+
+        return new Promise((resolve) => {
+            server.listen(PORT, () => {
+                const { port: boundPort } = server.address();
+                log.info(`JamSync server running on http://localhost:${boundPort}`, { component: 'server', instanceId: INSTANCE_ID });
+                resolve(boundPort);
+            });
+        });
+    }
+
+    // Drop every socket, stop the timers and flush pending writes so a redeploy
+    // doesn't lose the last tick of state. Closes the store and pub/sub too.
+    async function close() {
+        stopped = true;
+        clock.clearInterval(claimTimer);
+        heartbeat.stop();
+        reaper.stop();
+        limits.stop();
+
+        for (const ws of wss.clients) ws.terminate();
+        wss.close();
+        server.closeAllConnections();
+        await new Promise(resolve => server.close(() => resolve()));
+        // Let the sockets' disconnect handlers run before the state is written out
+        await new Promise(resolve => setImmediate(resolve));
+
+        for (const info of sessions.values()) clock.clearTimeout(info.awayTimer);
+        flushRooms();
+        await store.close();
+        await pubsub.close();
     }
 
-    clientRooms.delete(ws);
+    return { app, server, wss, listen, close };
+}
+
+if (require.main === module) {
+    const jam = createServer();
+    jam.listen();
+
+    const shutdown = () => jam.close().then(() => process.exit(0));
+    process.on('SIGTERM', shutdown);
+    process.on('SIGINT', shutdown);
 }
 
-server.listen(PORT, () => {
-    console.log(`\n  🎵 JamSync Server running on http://localhost:${PORT}\n`);
-});
+module.exports = { createServer };
@@ -0,0 +1,135 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { readMetadata } = require('./metadata');
+
+// ─── Media Library ──────────────────────────────────────
+// A shared folder of uploaded tracks that any room can play in sync. Each
+// track is three files side by side:
+//   <id>.<ext>    the audio, served as-is (Range requests work)
+//   <id>.json     its metadata record
+//   <id>.cover    embedded cover art, if the file had any
+// The .json files are the index. Other instances sharing the directory add
+// tracks too, so list() rescans it and a lookup miss checks for <id>.json.
+
+const DEFAULT_MAX_UPLOAD_MB = 50;
+
+function libraryError(status, message) {
+    return Object.assign(new Error(message), { status });
+}
+
+function createLibrary(dir, { maxBytes = DEFAULT_MAX_UPLOAD_MB * 1024 * 1024 } = {}) {
+    const tracks = new Map(); // id → record
+
+    // The record in <id>.json, or null if it's missing, half-written (a crash
+    // mid-upload) or its audio is gone
+    function readRecord(id) {
+        try {
+            const record = JSON.parse(fs.readFileSync(path.join(dir, `${id}.json`), 'utf8'));
+            if (record.id !== id || !fs.existsSync(path.join(dir, record.file))) return null;
+            return record;
+        } catch {
+            return null;
+        }
+    }
+
+    function scan() {
+        const ids = new Set(fs.readdirSync(dir).filter(name => name.endsWith('.json')).map(name => name.slice(0, -5)));
+        for (const id of tracks.keys()) if (!ids.has(id)) tracks.delete(id);
+        for (const id of ids) {
+            if (tracks.has(id)) continue;
+            const record = readRecord(id);
+            if (record) tracks.set(id, record);
+        }
+    }
+
+    // Ids are hex, so a request can't reach outside the directory
+    function get(id) {
+        if (tracks.has(id)) return tracks.get(id);
+        if (!/^[0-9a-f]{12}$/.test(id)) return null;
+        const record = readRecord(id);
+        if (record) tracks.set(id, record);
+        return record;
+    }
+
+    fs.mkdirSync(dir, { recursive: true });
+    scan();
+
+    // Stream an upload to disk, refusing it once it passes maxBytes
+    function receive(readable, tmpPath) {
+        return new Promise((resolve, reject) => {
+            const out = fs.createWriteStream(tmpPath);
+            let size = 0;
+            let failed = false;
+            const fail = (err) => {
+                if (failed) return;
+                failed = true;
+                readable.unpipe(out);
+                out.destroy();
+                fs.rm(tmpPath, { force: true }, () => reject(err));
+            };
+            readable.on('data', (chunk) => {
+                size += chunk.length;
+                if (size > maxBytes) fail(libraryError(413, `Uploads are limited to ${Math.round(maxBytes / 1024 / 1024)} MB`));
+            });
+            readable.on('error', fail);
+            out.on('error', fail);
+            out.on('finish', () => {
+                if (!failed) resolve(size);
+            });
+            readable.pipe(out);
+        });
+    }
+
+    async function add(readable, { filename = '', uploadedBy = null } = {}) {
+        const id = crypto.randomBytes(6).toString('hex');
+        const tmpPath = path.join(dir, `${id}.upload`);
+        const size = await receive(readable, tmpPath);
+
+        const meta = readMetadata(await fs.promises.readFile(tmpPath));
+        if (!meta) {
+            await fs.promises.rm(tmpPath, { force: true });
+            throw libraryError(415, 'Unsupported audio format — use MP3, AAC, FLAC, Ogg/Opus, WAV or M4A');
+        }
+
+        const record = {
+            id,
+            file: `${id}.${meta.ext}`,
+            mimeType: meta.mimeType,
+            size,
+            title: (meta.title || path.basename(filename, path.extname(filename)) || 'Untitled').slice(0, 200),
+            artist: meta.artist && meta.artist.slice(0, 200),
+            album: meta.album && meta.album.slice(0, 200),
+            duration: meta.duration,
+            cover: meta.cover ? { file: `${id}.cover`, mimeType: meta.cover.mimeType } : null,
+            uploadedBy,
+            uploadedAt: Date.now()
+        };
+
+        await fs.promises.rename(tmpPath, path.join(dir, record.file));
+        if (meta.cover) await fs.promises.writeFile(path.join(dir, record.cover.file), meta.cover.data);
+        await fs.promises.writeFile(path.join(dir, `${id}.json`), JSON.stringify(record));
+        tracks.set(id, record);
+        return record;
+    }
+
+    return {
+        list: () => {
+            scan();
+            return Array.from(tracks.values()).sort((a, b) => b.uploadedAt - a.uploadedAt);
+        },
+        get,
+        audioPath: (record) => path.join(dir, record.file),
+        coverPath: (record) => (record.cover ? path.join(dir, record.cover.file) : null),
+        add
+    };
+}
+
+// LIBRARY_DIR (default server/data/library), LIBRARY_MAX_UPLOAD_MB (default 50)
+function createLibraryFromEnv(env = process.env) {
+    const dir = env.LIBRARY_DIR || path.join(__dirname, 'data', 'library');
+    const maxMb = Number(env.LIBRARY_MAX_UPLOAD_MB) || DEFAULT_MAX_UPLOAD_MB;
+    return createLibrary(dir, { maxBytes: maxMb * 1024 * 1024 });
+}
+
+module.exports = { createLibrary, createLibraryFromEnv };
@@ -0,0 +1,123 @@
+// ─── Connection & Room Lifecycle ────────────────────────
+// Two sweeps that clean up after clients that never say goodbye:
+//   heartbeat — pings every socket; one that hasn't ponged since the last
+//               round is terminated, which runs the normal disconnect path
+//   reaper    — closes rooms nobody has done anything in for a while, and
+//               rooms past a maximum age, after warning their members
+// Both take a `clock` ({ now, setInterval, clearInterval }) so tests can
+// drive them with a fake one. The server uses its setTimeout/clearTimeout too.
+
+const systemClock = {
+    now: () => Date.now(),
+    setInterval: (fn, ms) => setInterval(fn, ms),
+    clearInterval: (timer) => clearInterval(timer),
+    setTimeout: (fn, ms) => setTimeout(fn, ms),
+    clearTimeout: (timer) => clearTimeout(timer)
+};
+
+// `sockets()` → the live WebSockets to watch (e.g. wss.clients)
+function createHeartbeat(sockets, { intervalMs = 30000, clock = systemClock } = {}) {
+    let timer = null;
+
+    function tick() {
+        for (const ws of sockets()) {
+            if (ws.isAlive === false) {
+                ws.terminate();
+                continue;
+            }
+            ws.isAlive = false;
+            ws.ping();
+        }
+    }
+
+    return {
+        // Call once per new socket
+        watch(ws) {
+            ws.isAlive = true;
+            ws.on('pong', () => { ws.isAlive = true; });
+        },
+        start() {
+            if (!timer && intervalMs > 0) timer = clock.setInterval(tick, intervalMs);
+        },
+        stop() {
+            clock.clearInterval(timer);
+            timer = null;
+        },
+        tick
+    };
+}
+
+// Rooms need `createdAt` and `lastActiveAt` (ms). Callbacks:
+//   isBusy(room)                 — counts as activity even without messages (e.g. a live stream)
+//   warn(room, reason, closesAt) — once per deadline, `warningMs` before it (or late, never skipped)
+//   close(room, reason)          — reason is 'idle' or 'lifetime'
+// A timeout of 0 turns that check off.
+function createRoomReaper(rooms, {
+    idleMs = 30 * 60 * 1000,
+    maxLifetimeMs = 24 * 60 * 60 * 1000,
+    warningMs = 2 * 60 * 1000,
+    sweepMs = 15000,
+    isBusy = () => false,
+    warn,
+    close,
+    clock = systemClock
+}) {
+    let timer = null;
+
+    // The room's next deadline, or null if it has none
+    function deadline(room) {
+        const deadlines = [];
+        if (idleMs > 0) deadlines.push({ reason: 'idle', closesAt: room.lastActiveAt + idleMs });
+        if (maxLifetimeMs > 0) deadlines.push({ reason: 'lifetime', closesAt: room.createdAt + maxLifetimeMs });
+        if (deadlines.length === 0) return null;
+        return deadlines.reduce((a, b) => (b.closesAt < a.closesAt ? b : a));
+    }
+
+    function sweep() {
+        const now = clock.now();
+        // Snapshot — close() takes rooms out of the collection
+        for (const room of Array.from(rooms())) {
+            if (isBusy(room)) room.lastActiveAt = now;
+            const next = deadline(room);
+            if (!next) continue;
+
+            // Never close without a warning first, even if a sweep came late
+            const warned = room.expiryWarnedFor === next.closesAt;
+            if (now >= next.closesAt && warned) {
+                close(room, next.reason);
+            } else if (now >= next.closesAt - warningMs && !warned) {
+                room.expiryWarnedFor = next.closesAt;
+                warn(room, next.reason, next.closesAt);
+            }
+        }
+    }
+
+    return {
+        touch(room) {
+            room.lastActiveAt = clock.now();
+        },
+        start() {
+            if (!timer) timer = clock.setInterval(sweep, sweepMs);
+        },
+        stop() {
+            clock.clearInterval(timer);
+            timer = null;
+        },
+        sweep
+    };
+}
+
+// HEARTBEAT_INTERVAL_MS (default 30s, 0 = off), ROOM_IDLE_TIMEOUT_MS (default 30 min),
+// ROOM_MAX_LIFETIME_MS (default 24h), ROOM_EXPIRY_WARNING_MS (default 2 min) — 0 turns a timeout off
+function lifecycleConfigFromEnv(env = process.env) {
+    const ms = (name, fallback) => (env[name] !== undefined && Number.isFinite(Number(env[name]))
+        ? Number(env[name]) : fallback);
+    return {
+        heartbeatMs: ms('HEARTBEAT_INTERVAL_MS', 30000),
+        idleMs: ms('ROOM_IDLE_TIMEOUT_MS', 30 * 60 * 1000),
+        maxLifetimeMs: ms('ROOM_MAX_LIFETIME_MS', 24 * 60 * 60 * 1000),
+        warningMs: ms('ROOM_EXPIRY_WARNING_MS', 2 * 60 * 1000)
+    };
+}
+
+module.exports = { systemClock, createHeartbeat, createRoomReaper, lifecycleConfigFromEnv };
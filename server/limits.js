@@ -0,0 +1,186 @@
+const { log } = require('./logger');
+
+// ─── Abuse Limits ───────────────────────────────────────
+// Caps on what a single client can cost the server:
+//   - a token bucket per connection and message type (binary relay audio
+//     frames count as AUDIO_FRAME)
+//   - a room-creation bucket and an open-connection cap per IP
+//   - a strike bucket per connection: blowing through it disconnects the
+//     client and turns its IP away for a while
+// Rates are written "<count>/<seconds>": bursts of up to `count`, refilled
+// at `count` per `seconds`. Time comes from `now` (the server passes its clock's).
+
+const DEFAULT_MESSAGE_RATES = {
+    '*': '30/10',          // any type without its own entry
+    CREATE_ROOM: '3/60',
+    JOIN_ROOM: '10/60',    // also slows down password guessing
+    CHAT: '10/10',
+    REACTION: '10/5',
+    SIGNAL: '300/10',      // ICE candidates come in bursts, for every peer
+    SYNC_STATE: '20/5',
+    PING: '20/10',
+    AUDIO_FRAME: '250/5'   // 20ms Opus frames are 50/s; the burst covers a stalled tab catching up
+};
+
+function parseRate(spec) {
+    const match = /^\s*(\d+)\s*\/\s*(\d+(?:\.\d+)?)\s*$/.exec(spec || '');
+    if (!match || Number(match[1]) < 1 || Number(match[2]) <= 0) return null;
+    return { count: Number(match[1]), seconds: Number(match[2]) };
+}
+
+// take() → 0 if a token was free, else ms until the next one is
+function createBucket(rate, now) {
+    const { count, seconds } = parseRate(rate);
+    const refillPerMs = count / (seconds * 1000);
+    let tokens = count;
+    let last = now();
+
+    function refill() {
+        const t = now();
+        tokens = Math.min(count, tokens + (t - last) * refillPerMs);
+        last = t;
+    }
+
+    return {
+        take() {
+            refill();
+            if (tokens >= 1) {
+                tokens -= 1;
+                return 0;
+            }
+            return Math.ceil((1 - tokens) / refillPerMs);
+        },
+        isFull() {
+            refill();
+            return tokens >= count;
+        }
+    };
+}
+
+function createLimits({
+    messageRates = DEFAULT_MESSAGE_RATES,
+    maxPayloadBytes = 64 * 1024,
+    maxConnectionsPerIp = 20,        // 0 = unlimited
+    roomCreateRate = '10/3600',
+    strikeRate = '20/60',
+    offenderBanMs = 60000,
+    trustProxy = false,
+    now = Date.now
+} = {}) {
+    const ips = new Map(); // ip → { connections, roomCreates, bannedUntil }
+
+    function ipRecord(ip) {
+        let record = ips.get(ip);
+        if (!record) {
+            record = { connections: 0, roomCreates: createBucket(roomCreateRate, now), bannedUntil: 0 };
+            ips.set(ip, record);
+        }
+        return record;
+    }
+
+    // Keep an IP around only while it still has something to remember
+    function forget(ip) {
+        const record = ips.get(ip);
+        if (record && record.connections === 0 && record.bannedUntil <= now() && record.roomCreates.isFull()) {
+            ips.delete(ip);
+        }
+    }
+
+    const sweepTimer = setInterval(() => {
+        for (const ip of ips.keys()) forget(ip);
+    }, 60000);
+    sweepTimer.unref();
+
+    // Behind a proxy (TRUST_PROXY) every socket comes from the proxy — use the client it names
+    function clientIp(req) {
+        const forwarded = trustProxy && req.headers['x-forwarded-for'];
+        if (forwarded) return forwarded.split(',')[0].trim();
+        return req.socket.remoteAddress || 'unknown';
+    }
+
+    // Reason to refuse a new connection from `ip`, or null after counting it
+    function admit(ip) {
+        const record = ipRecord(ip);
+        if (record.bannedUntil > now()) return 'Too many messages — try again later';
+        if (maxConnectionsPerIp > 0 && record.connections >= maxConnectionsPerIp) return 'Too many connections';
+        record.connections++;
+        return null;
+    }
+
+    function release(ip) {
+        const record = ips.get(ip);
+        if (!record) return;
+        record.connections = Math.max(0, record.connections - 1);
+        forget(ip);
+    }
+
+    // One connection's buckets, created per message type as they're first used
+    function forConnection(ip) {
+        const buckets = new Map();
+        const strikes = createBucket(strikeRate, now);
+
+        return {
+            // 0 if a `type` message may go through now, else ms to wait
+            take(type) {
+                const key = Object.prototype.hasOwnProperty.call(messageRates, type) ? type : '*';
+                if (!buckets.has(key)) buckets.set(key, createBucket(messageRates[key], now));
+                const wait = buckets.get(key).take();
+                if (wait || type !== 'CREATE_ROOM') return wait;
+                return ipRecord(ip).roomCreates.take();
+            },
+            // Count a rejected message; true once the client should be cut off
+            strike() {
+                if (!strikes.take()) return false;
+                ipRecord(ip).bannedUntil = now() + offenderBanMs;
+                return true;
+            }
+        };
+    }
+
+    return {
+        maxPayloadBytes,
+        clientIp,
+        admit,
+        release,
+        forConnection,
+        stop: () => clearInterval(sweepTimer)
+    };
+}
+
+// WS_MAX_PAYLOAD_BYTES (default 65536), MAX_CONNECTIONS_PER_IP (default 20, 0 = off),
+// RATE_LIMIT_<TYPE> / RATE_LIMIT_DEFAULT ("count/seconds" per connection),
+// ROOM_CREATE_LIMIT (per IP, default 10/3600), RATE_LIMIT_STRIKES (default 20/60),
+// OFFENDER_BAN_SECONDS (default 60), TRUST_PROXY (read X-Forwarded-For)
+function createLimitsFromEnv(env = process.env, { now = Date.now, logger = log } = {}) {
+    const rateFromEnv = (name, fallback) => {
+        if (env[name] === undefined) return fallback;
+        const rate = parseRate(env[name]);
+        if (!rate) logger.warn('Ignoring malformed rate — expected "count/seconds"', { component: 'limits', name, value: env[name] });
+        return rate ? env[name] : fallback;
+    };
+
+    const messageRates = { ...DEFAULT_MESSAGE_RATES };
+    messageRates['*'] = rateFromEnv('RATE_LIMIT_DEFAULT', messageRates['*']);
+    for (const name of Object.keys(env)) {
+        const type = name.startsWith('RATE_LIMIT_') && name.slice('RATE_LIMIT_'.length);
+        if (!type || type === 'DEFAULT' || type === 'STRIKES') continue;
+        messageRates[type] = rateFromEnv(name, messageRates[type]);
+        if (!messageRates[type]) delete messageRates[type];
+    }
+
+    const number = (name, fallback) => (env[name] !== undefined && Number.isFinite(Number(env[name]))
+        ? Number(env[name]) : fallback);
+
+    return createLimits({
+        messageRates,
+        maxPayloadBytes: number('WS_MAX_PAYLOAD_BYTES', 64 * 1024),
+        maxConnectionsPerIp: number('MAX_CONNECTIONS_PER_IP', 20),
+        roomCreateRate: rateFromEnv('ROOM_CREATE_LIMIT', '10/3600'),
+        strikeRate: rateFromEnv('RATE_LIMIT_STRIKES', '20/60'),
+        offenderBanMs: number('OFFENDER_BAN_SECONDS', 60) * 1000,
+        trustProxy: !!env.TRUST_PROXY,
+        now
+    });
+}
+
+module.exports = { createLimits, createLimitsFromEnv };
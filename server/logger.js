@@ -0,0 +1,69 @@
+// ─── Structured Logging ─────────────────────────────────
+// One JSON object per line: { time, level, msg, ...fields }. Loggers made with
+// child(fields) stamp those fields on every entry — the server keeps one per
+// connection carrying clientId, roomCode and userId.
+// LOG_FORMAT=pretty prints a one-line human summary instead, for local runs.
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// Errors don't survive JSON.stringify — keep what's useful
+function serialize(value) {
+    if (value instanceof Error) return { name: value.name, message: value.message, stack: value.stack };
+    return value;
+}
+
+function formatJson(entry) {
+    return JSON.stringify(entry, (key, value) => serialize(value));
+}
+
+function formatPretty({ time, level, msg, ...fields }) {
+    const details = Object.entries(fields)
+        .map(([key, value]) => `${key}=${value instanceof Error ? value.message : JSON.stringify(value)}`)
+        .join(' ');
+    return `${time.slice(11, 23)} ${level.toUpperCase().padEnd(5)} ${msg}${details ? ' ' + details : ''}`;
+}
+
+function defaultWrite(line, level) {
+    (LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout).write(line + '\n');
+}
+
+// `write(line, level)` is swappable so tests can capture output
+function createLogger({ level = 'info', format = 'json', fields = {}, write = defaultWrite, now = Date.now } = {}) {
+    const threshold = LEVELS[level] || LEVELS.info;
+    const render = format === 'pretty' ? formatPretty : formatJson;
+
+    function emit(entryLevel, msg, extra) {
+        if (LEVELS[entryLevel] < threshold) return;
+        const entry = { time: new Date(now()).toISOString(), level: entryLevel, msg };
+        // Undefined fields (e.g. no room yet) are left out rather than logged as null
+        for (const source of [fields, extra]) {
+            for (const [key, value] of Object.entries(source || {})) {
+                if (value !== undefined) entry[key] = value;
+            }
+        }
+        write(render(entry), entryLevel);
+    }
+
+    return {
+        debug: (msg, extra) => emit('debug', msg, extra),
+        info: (msg, extra) => emit('info', msg, extra),
+        warn: (msg, extra) => emit('warn', msg, extra),
+        error: (msg, extra) => emit('error', msg, extra),
+        isEnabled: (entryLevel) => LEVELS[entryLevel] >= threshold,
+        child: (more) => createLogger({ level, format, fields: { ...fields, ...more }, write, now })
+    };
+}
+
+// LOG_LEVEL (debug | info | warn | error, default info), LOG_FORMAT (json | pretty, default json)
+function createLoggerFromEnv(env = process.env) {
+    const level = (env.LOG_LEVEL || 'info').toLowerCase();
+    const format = (env.LOG_FORMAT || 'json').toLowerCase();
+    const log = createLogger({ level: LEVELS[level] ? level : 'info', format });
+    if (!LEVELS[level]) log.warn('Ignoring unknown LOG_LEVEL', { value: env.LOG_LEVEL });
+    return log;
+}
+
+// The process-wide logger, for modules that log outside any connection
+const log = createLoggerFromEnv();
+
+module.exports = { LEVELS, createLogger, createLoggerFromEnv, log };
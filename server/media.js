@@ -0,0 +1,44 @@
+// ─── Media Sources ──────────────────────────────────────
+// Synced playback names what to play as { provider, mediaId }:
+//   youtube — an 11-character video id
+//   html5   — a direct http(s) URL to an audio/video file or an HLS playlist
+// Clients from before providers existed send a bare `videoId`, read as YouTube.
+
+const MAX_MEDIA_URL_LENGTH = 2048;
+
+const PROVIDERS = new Map([
+    ['youtube', (id) => /^[\w-]{11}$/.test(id)],
+    ['html5', (url) => {
+        if (url.length > MAX_MEDIA_URL_LENGTH) return false;
+        try {
+            const { protocol } = new URL(url);
+            return protocol === 'http:' || protocol === 'https:';
+        } catch {
+            return false;
+        }
+    }]
+]);
+
+// { provider, mediaId } from a message or stored item, or null if it isn't playable
+function parseMedia(source) {
+    if (!source) return null;
+    const provider = source.provider || (source.videoId ? 'youtube' : null);
+    const mediaId = String(source.mediaId || source.videoId || '');
+    const isValid = PROVIDERS.get(provider);
+    if (!isValid || !isValid(mediaId)) return null;
+    return { provider, mediaId };
+}
+
+// Same item with its source named the current way (drops a legacy `videoId`)
+function withMedia(item) {
+    const media = parseMedia(item);
+    if (!media) return null;
+    const { videoId, ...rest } = item;
+    return { ...rest, ...media };
+}
+
+function isSameMedia(a, b) {
+    return !!a && !!b && a.provider === b.provider && a.mediaId === b.mediaId;
+}
+
+module.exports = { parseMedia, withMedia, isSameMedia, PROVIDERS: Array.from(PROVIDERS.keys()) };
@@ -0,0 +1,368 @@
+// ─── Audio Metadata ─────────────────────────────────────
+// Just enough tag reading for the media library, without native deps:
+//   MP3        ID3v2.2–2.4 (title/artist/album/length/cover), duration from
+//              the Xing/Info/VBRI header or the CBR bitrate
+//   FLAC       STREAMINFO duration, Vorbis comments, PICTURE block
+//   Ogg        Vorbis or Opus — comment header (incl. METADATA_BLOCK_PICTURE)
+//              and duration from the last page's granule position
+//   WAV / M4A  duration only
+// readMetadata(buffer) → { format, mimeType, ext, title, artist, album, duration, cover }
+// or null when the buffer isn't a format we can serve. Missing fields are null.
+// A cover is kept only when its tagged type is a plain image one — it's served
+// back from our own origin, so a file claiming text/html or SVG must not get through.
+
+const FORMATS = {
+    mp3: { mimeType: 'audio/mpeg', ext: 'mp3' },
+    aac: { mimeType: 'audio/aac', ext: 'aac' },
+    flac: { mimeType: 'audio/flac', ext: 'flac' },
+    vorbis: { mimeType: 'audio/ogg', ext: 'ogg' },
+    opus: { mimeType: 'audio/ogg', ext: 'opus' },
+    wav: { mimeType: 'audio/wav', ext: 'wav' },
+    m4a: { mimeType: 'audio/mp4', ext: 'm4a' }
+};
+
+const COVER_TYPES = new Set(['image/jpeg', 'image/png', 'image/gif', 'image/webp']);
+
+function safeCover(cover) {
+    if (!cover) return null;
+    let mimeType = cover.mimeType.trim().toLowerCase();
+    if (mimeType === 'image/jpg') mimeType = 'image/jpeg';
+    return COVER_TYPES.has(mimeType) ? { mimeType, data: cover.data } : null;
+}
+
+function readMetadata(buf) {
+    let info = null;
+    if (buf.length < 12) return null;
+
+    try {
+        if (buf.toString('latin1', 0, 4) === 'fLaC') info = readFlac(buf);
+        else if (buf.toString('latin1', 0, 4) === 'OggS') info = readOgg(buf);
+        else if (buf.toString('latin1', 0, 4) === 'RIFF' && buf.toString('latin1', 8, 12) === 'WAVE') info = readWav(buf);
+        else if (buf.toString('latin1', 4, 8) === 'ftyp') info = readMp4(buf);
+        else info = readMpeg(buf);
+    } catch {
+        // A header that runs past the end of the file — truncated or not audio
+        return null;
+    }
+
+    if (!info) return null;
+    return {
+        ...FORMATS[info.format],
+        format: info.format,
+        title: info.title || null,
+        artist: info.artist || null,
+        album: info.album || null,
+        duration: Number.isFinite(info.duration) && info.duration > 0 ? Math.round(info.duration * 1000) / 1000 : null,
+        cover: safeCover(info.cover)
+    };
+}
+
+// ─── MP3 / ID3v2 ────────────────────────────────────────
+function syncsafe(buf, offset) {
+    return (buf[offset] << 21) | (buf[offset + 1] << 14) | (buf[offset + 2] << 7) | buf[offset + 3];
+}
+
+// ID3 text: first byte picks the encoding
+function decodeId3Text(bytes) {
+    if (bytes.length === 0) return '';
+    const body = bytes.subarray(1);
+    let text;
+    switch (bytes[0]) {
+        case 1: text = decodeUtf16(body); break;
+        case 2: text = decodeUtf16(body, 'be'); break;
+        case 3: text = body.toString('utf8'); break;
+        default: text = body.toString('latin1');
+    }
+    return text.replace(/\0+$/, '').split('\0')[0].trim();
+}
+
+function decodeUtf16(bytes, order = null) {
+    let start = 0;
+    if (!order) {
+        order = bytes[0] === 0xfe && bytes[1] === 0xff ? 'be' : 'le';
+        if ((bytes[0] === 0xff && bytes[1] === 0xfe) || (bytes[0] === 0xfe && bytes[1] === 0xff)) start = 2;
+    }
+    const body = Buffer.from(bytes.subarray(start, start + ((bytes.length - start) & ~1)));
+    if (order === 'be') body.swap16();
+    return body.toString('utf16le');
+}
+
+// Offset just past a null terminator (two zero bytes, aligned, for UTF-16)
+function skipTerminated(bytes, offset, wide) {
+    if (!wide) {
+        const end = bytes.indexOf(0, offset);
+        return end === -1 ? bytes.length : end + 1;
+    }
+    for (let i = offset; i + 1 < bytes.length; i += 2) {
+        if (bytes[i] === 0 && bytes[i + 1] === 0) return i + 2;
+    }
+    return bytes.length;
+}
+
+function readApic(bytes, v22) {
+    const wide = bytes[0] === 1 || bytes[0] === 2;
+    let offset = 1;
+    let mimeType;
+    if (v22) {
+        const format = bytes.toString('latin1', 1, 4).toUpperCase();
+        mimeType = format === 'PNG' ? 'image/png' : 'image/jpeg';
+        offset = 4;
+    } else {
+        const end = skipTerminated(bytes, 1, false);
+        mimeType = bytes.toString('latin1', 1, end - 1) || 'image/jpeg';
+        if (!mimeType.includes('/')) mimeType = `image/${mimeType.toLowerCase()}`;
+        offset = end;
+    }
+    offset += 1; // picture type
+    offset = skipTerminated(bytes, offset, wide);
+    return { mimeType, data: Buffer.from(bytes.subarray(offset)) };
+}
+
+// { tags, end } — `end` is where the audio starts
+function readId3(buf) {
+    if (buf.toString('latin1', 0, 3) !== 'ID3') return { tags: {}, end: 0 };
+    const major = buf[3];
+    const flags = buf[5];
+    const end = 10 + syncsafe(buf, 6) + (flags & 0x10 ? 10 : 0);
+    const tags = {};
+    if (major < 2 || major > 4) return { tags, end };
+
+    const v22 = major === 2;
+    const idLength = v22 ? 3 : 4;
+    const headerLength = v22 ? 6 : 10;
+    let offset = 10;
+    if (!v22 && flags & 0x40) {
+        offset += major === 4 ? syncsafe(buf, 10) : buf.readUInt32BE(10) + 4;
+    }
+
+    const tagEnd = Math.min(end, buf.length);
+    while (offset + headerLength <= tagEnd) {
+        const id = buf.toString('latin1', offset, offset + idLength);
+        if (!/^[A-Z0-9]+$/.test(id)) break; // padding
+        const size = v22 ? buf.readUIntBE(offset + 3, 3)
+            : major === 4 ? syncsafe(buf, offset + 4) : buf.readUInt32BE(offset + 4);
+        const frame = buf.subarray(offset + headerLength, Math.min(offset + headerLength + size, tagEnd));
+        offset += headerLength + size;
+
+        switch (id) {
+            case 'TIT2': case 'TT2': tags.title = decodeId3Text(frame); break;
+            case 'TPE1': case 'TP1': tags.artist = decodeId3Text(frame); break;
+            case 'TALB': case 'TAL': tags.album = decodeId3Text(frame); break;
+            case 'TLEN': case 'TLE': tags.duration = Number(decodeId3Text(frame)) / 1000; break;
+            case 'APIC': case 'PIC': if (!tags.cover) tags.cover = readApic(frame, v22); break;
+        }
+    }
+    return { tags, end };
+}
+
+const MP3_BITRATES = {
+    1: [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320],
+    2: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160]
+};
+const MP3_SAMPLE_RATES = [44100, 48000, 32000];
+
+function readMpeg(buf) {
+    const { tags, end } = readId3(buf);
+
+    // First frame sync, within a little padding after the tag — any further
+    // and a random 0xFFE pattern in some other format would pass for MP3
+    const limit = Math.min(buf.length, end + 4096);
+    let offset = end;
+    while (offset + 4 <= limit && !(buf[offset] === 0xff && (buf[offset + 1] & 0xe0) === 0xe0)) offset++;
+    if (offset + 4 > limit) return null;
+
+    const header = buf.readUInt32BE(offset);
+    const versionBits = (header >> 19) & 3;  // 0 = MPEG 2.5, 2 = MPEG 2, 3 = MPEG 1
+    const layerBits = (header >> 17) & 3;    // 1 = Layer III, 0 = ADTS (AAC)
+    if (layerBits === 0) return { format: 'aac', ...tags };
+    if (layerBits !== 1 || versionBits === 1) return null;
+
+    const mpeg1 = versionBits === 3;
+    const bitrate = MP3_BITRATES[mpeg1 ? 1 : 2][(header >> 12) & 0xf] * 1000;
+    const rateIndex = (header >> 10) & 3;
+    if (rateIndex === 3) return null;
+    const sampleRate = MP3_SAMPLE_RATES[rateIndex] / (mpeg1 ? 1 : versionBits === 2 ? 2 : 4);
+    const samplesPerFrame = mpeg1 ? 1152 : 576;
+    const mono = ((header >> 6) & 3) === 3;
+
+    let duration = tags.duration;
+    if (!duration) {
+        const xing = offset + 4 + (mpeg1 ? (mono ? 17 : 32) : (mono ? 9 : 17));
+        const vbri = offset + 4 + 32;
+        const tag = buf.toString('latin1', xing, xing + 4);
+        if ((tag === 'Xing' || tag === 'Info') && buf.readUInt32BE(xing + 4) & 1) {
+            duration = buf.readUInt32BE(xing + 8) * samplesPerFrame / sampleRate;
+        } else if (buf.toString('latin1', vbri, vbri + 4) === 'VBRI') {
+            duration = buf.readUInt32BE(vbri + 14) * samplesPerFrame / sampleRate;
+        } else if (bitrate) {
+            duration = (buf.length - offset) * 8 / bitrate;
+        }
+    }
+
+    return { format: 'mp3', ...tags, duration };
+}
+
+// ─── Vorbis comments / FLAC pictures ────────────────────
+// `KEY=value` list as used by FLAC and Ogg (little-endian lengths)
+function readVorbisComments(bytes, tags) {
+    let offset = 4 + bytes.readUInt32LE(0); // vendor string
+    const count = bytes.readUInt32LE(offset);
+    offset += 4;
+    for (let i = 0; i < count && offset + 4 <= bytes.length; i++) {
+        const length = bytes.readUInt32LE(offset);
+        const comment = bytes.toString('utf8', offset + 4, offset + 4 + length);
+        offset += 4 + length;
+
+        const eq = comment.indexOf('=');
+        if (eq === -1) continue;
+        const key = comment.slice(0, eq).toUpperCase();
+        const value = comment.slice(eq + 1);
+        if (key === 'TITLE' && !tags.title) tags.title = value;
+        else if (key === 'ARTIST' && !tags.artist) tags.artist = value;
+        else if (key === 'ALBUM' && !tags.album) tags.album = value;
+        else if (key === 'METADATA_BLOCK_PICTURE' && !tags.cover) tags.cover = readFlacPicture(Buffer.from(value, 'base64'));
+    }
+}
+
+function readFlacPicture(bytes) {
+    let offset = 4; // picture type
+    const mimeLength = bytes.readUInt32BE(offset);
+    const mimeType = bytes.toString('latin1', offset + 4, offset + 4 + mimeLength);
+    offset += 4 + mimeLength;
+    offset += 4 + bytes.readUInt32BE(offset); // description
+    offset += 16;                              // width, height, depth, colours
+    const length = bytes.readUInt32BE(offset);
+    return { mimeType: mimeType || 'image/jpeg', data: Buffer.from(bytes.subarray(offset + 4, offset + 4 + length)) };
+}
+
+// ─── FLAC ───────────────────────────────────────────────
+function readFlac(buf) {
+    const tags = {};
+    let offset = 4;
+    let last = false;
+    while (!last && offset + 4 <= buf.length) {
+        last = (buf[offset] & 0x80) !== 0;
+        const type = buf[offset] & 0x7f;
+        const length = buf.readUIntBE(offset + 1, 3);
+        const block = buf.subarray(offset + 4, offset + 4 + length);
+        offset += 4 + length;
+
+        try {
+            if (type === 0) {
+                // 20-bit sample rate, then 3 + 5 bits, then 36-bit total sample count
+                const sampleRate = (block[10] << 12) | (block[11] << 4) | (block[12] >> 4);
+                const totalSamples = (block[13] & 0x0f) * 2 ** 32 + block.readUInt32BE(14);
+                if (sampleRate) tags.duration = totalSamples / sampleRate;
+            } else if (type === 4) {
+                readVorbisComments(block, tags);
+            } else if (type === 6 && !tags.cover) {
+                tags.cover = readFlacPicture(block);
+            }
+        } catch {
+            // A truncated block just means fewer tags
+        }
+    }
+    return { format: 'flac', ...tags };
+}
+
+// ─── Ogg (Vorbis / Opus) ────────────────────────────────
+// The first `count` packets, reassembled across pages
+function readOggPackets(buf, count) {
+    const packets = [];
+    let current = [];
+    let offset = 0;
+    while (packets.length < count && offset + 27 <= buf.length && buf.toString('latin1', offset, offset + 4) === 'OggS') {
+        const segments = buf[offset + 26];
+        let dataOffset = offset + 27 + segments;
+        for (let i = 0; i < segments && packets.length < count; i++) {
+            const size = buf[offset + 27 + i];
+            current.push(buf.subarray(dataOffset, dataOffset + size));
+            dataOffset += size;
+            if (size < 255) {
+                packets.push(Buffer.concat(current));
+                current = [];
+            }
+        }
+        offset = dataOffset;
+    }
+    return packets;
+}
+
+function lastGranule(buf) {
+    const at = buf.lastIndexOf('OggS');
+    if (at === -1 || at + 14 > buf.length) return null;
+    return Number(buf.readBigUInt64LE(at + 6));
+}
+
+function readOgg(buf) {
+    const [head, comments] = readOggPackets(buf, 2);
+    if (!head) return null;
+    const tags = {};
+    const granule = lastGranule(buf);
+
+    if (head.toString('latin1', 0, 8) === 'OpusHead') {
+        const preSkip = head.readUInt16LE(10);
+        if (comments && comments.toString('latin1', 0, 8) === 'OpusTags') {
+            try { readVorbisComments(comments.subarray(8), tags); } catch { }
+        }
+        if (granule) tags.duration = (granule - preSkip) / 48000;
+        return { format: 'opus', ...tags };
+    }
+
+    if (head.toString('latin1', 1, 7) === 'vorbis') {
+        const sampleRate = head.readUInt32LE(12);
+        if (comments && comments.toString('latin1', 1, 7) === 'vorbis') {
+            try { readVorbisComments(comments.subarray(7), tags); } catch { }
+        }
+        if (granule && sampleRate) tags.duration = granule / sampleRate;
+        return { format: 'vorbis', ...tags };
+    }
+    return null;
+}
+
+// ─── WAV / M4A (duration only) ──────────────────────────
+function readWav(buf) {
+    let byteRate = 0;
+    let offset = 12;
+    while (offset + 8 <= buf.length) {
+        const id = buf.toString('latin1', offset, offset + 4);
+        const size = buf.readUInt32LE(offset + 4);
+        if (id === 'fmt ' && offset + 20 <= buf.length) byteRate = buf.readUInt32LE(offset + 16);
+        if (id === 'data') return { format: 'wav', duration: byteRate ? size / byteRate : null };
+        offset += 8 + size + (size & 1);
+    }
+    return { format: 'wav' };
+}
+
+// moov → mvhd holds the movie timescale and duration
+function readMp4(buf) {
+    const moov = findBox(buf, 0, buf.length, 'moov');
+    const mvhd = moov && findBox(buf, moov.start, moov.end, 'mvhd');
+    if (!mvhd) return { format: 'm4a' };
+    const version = buf[mvhd.start];
+    const timescale = buf.readUInt32BE(mvhd.start + (version === 1 ? 20 : 12));
+    const length = version === 1 ? Number(buf.readBigUInt64BE(mvhd.start + 24)) : buf.readUInt32BE(mvhd.start + 16);
+    return { format: 'm4a', duration: timescale ? length / timescale : null };
+}
+
+function findBox(buf, start, end, type) {
+    let offset = start;
+    while (offset + 8 <= end) {
+        let size = buf.readUInt32BE(offset);
+        let header = 8;
+        if (size === 1) {
+            size = Number(buf.readBigUInt64BE(offset + 8));
+            header = 16;
+        } else if (size === 0) {
+            size = end - offset;
+        }
+        if (size < header) return null;
+        if (buf.toString('latin1', offset + 4, offset + 8) === type) {
+            return { start: offset + header, end: Math.min(offset + size, end) };
+        }
+        offset += size;
+    }
+    return null;
+}
+
+module.exports = { readMetadata };
@@ -0,0 +1,53 @@
+// ─── Prometheus Metrics ─────────────────────────────────
+// A minimal registry rendering the Prometheus text format for GET /metrics.
+// Counters are bumped as things happen; gauges are read when scraped.
+// Each metric has at most one label, so no label-set bookkeeping is needed.
+
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function sampleLines(name, labelName, values) {
+    if (typeof values === 'number') return [`${name} ${values}`];
+    return Object.entries(values).map(([label, value]) => `${name}{${labelName}="${escapeLabel(label)}"} ${value}`);
+}
+
+function createMetrics() {
+    const families = []; // { name, help, type, labelName, read() }
+
+    // inc(by = 1), or inc(label, by = 1) when the counter has a labelName
+    function counter(name, help, labelName = null) {
+        let total = 0;
+        const byLabel = {};
+        families.push({ name, help, type: 'counter', labelName, read: () => (labelName ? byLabel : total) });
+        return {
+            inc(...args) {
+                if (!labelName) {
+                    total += args[0] === undefined ? 1 : args[0];
+                    return;
+                }
+                const [label, by = 1] = args;
+                byLabel[label] = (byLabel[label] || 0) + by;
+            }
+        };
+    }
+
+    // `collect()` → a number, or { labelValue: number } when the gauge has a labelName
+    function gauge(name, help, collect, labelName = null) {
+        families.push({ name, help, type: 'gauge', labelName, read: collect });
+    }
+
+    function render() {
+        const lines = [];
+        for (const family of families) {
+            lines.push(`# HELP ${family.name} ${family.help}`);
+            lines.push(`# TYPE ${family.name} ${family.type}`);
+            lines.push(...sampleLines(family.name, family.labelName, family.read()));
+        }
+        return lines.join('\n') + '\n';
+    }
+
+    return { counter, gauge, render };
+}
+
+module.exports = { createMetrics };
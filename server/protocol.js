@@ -0,0 +1,326 @@
+// ─── Wire Protocol ──────────────────────────────────────
+// Every WebSocket text frame is a JSON object with a `type`. The shapes of
+// both directions are declared here per protocol version; the server checks
+// each client message against them before it reaches a handler and answers
+// anything malformed with ERROR { code: 'INVALID_PAYLOAD' }.
+//
+// Clients open with HELLO { versions } and get WELCOME { version } back with
+// the highest version both sides speak. Clients that never say HELLO are
+// treated as version 1.
+
+const PROTOCOL_VERSIONS = [1];
+
+// Machine-readable ERROR codes — the client keys its reaction off these
+const ERROR_CODES = [
+    'INVALID_PAYLOAD',     // message didn't match the schema
+    'UNSUPPORTED_VERSION', // no protocol version in common
+    'RATE_LIMITED',        // too many messages, slow down
+    'SERVER_BUSY',         // couldn't allocate a room code
+    'ROOM_NOT_FOUND',      // no such room, or not in one
+    'NOT_HOST',            // needs a host (or co-host) role the sender doesn't have
+    'PASSWORD_REQUIRED',
+    'WRONG_PASSWORD',
+    'JOIN_DENIED',
+    'ROOM_CLOSED',
+    'BANNED',
+    'DEVICE_ID_REQUIRED',  // the room has bans, so joins must say which browser they're from
+    'BAN_NOT_RECORDED',    // the member was removed, but had no deviceId to ban
+    'CHAT_MUTED',
+    'CONTROLS_REVOKED',
+    'UNSUPPORTED_MEDIA',
+    'QUEUE_FULL',
+    'USER_UNAVAILABLE'
+];
+
+const CONTROL_ACTIONS = ['TOGGLE', 'PREV', 'NEXT'];
+const CONTROL_POLICIES = ['host', 'everyone', 'vote'];
+const ROLES = ['host', 'cohost', 'listener'];
+
+// ─── Checks ─────────────────────────────────────────────
+// A check takes (value, path) and returns the value to keep, or throws a
+// PayloadError naming the offending field. Objects keep only the keys their
+// shape declares, so a validated message carries nothing unexpected.
+class PayloadError extends Error {}
+
+function fail(path, expected) {
+    throw new PayloadError(`${path} must be ${expected}`);
+}
+
+const isObject = (v) => typeof v === 'object' && v !== null && !Array.isArray(v);
+
+const range = (min, max) => (max === Infinity ? `at least ${min}` : `from ${min} to ${max}`);
+
+const string = (max) => (v, path) => {
+    if (typeof v !== 'string' || v.length > max) fail(path, `a string of at most ${max} characters`);
+    return v;
+};
+
+const number = (min = -Infinity, max = Infinity) => (v, path) => {
+    if (typeof v !== 'number' || !Number.isFinite(v) || v < min || v > max) fail(path, `a number ${range(min, max)}`);
+    return v;
+};
+
+const integer = (min, max) => (v, path) => {
+    if (!Number.isInteger(v) || v < min || v > max) fail(path, `an integer ${range(min, max)}`);
+    return v;
+};
+
+const boolean = (v, path) => {
+    if (typeof v !== 'boolean') fail(path, 'true or false');
+    return v;
+};
+
+const oneOf = (...values) => (v, path) => {
+    if (!values.includes(v)) fail(path, `one of ${values.join(', ')}`);
+    return v;
+};
+
+const arrayOf = (check, max) => (v, path) => {
+    if (!Array.isArray(v) || v.length > max) fail(path, max === Infinity ? 'a list' : `a list of at most ${max} items`);
+    return v.map((item, i) => check(item, `${path}[${i}]`));
+};
+
+const object = (shape) => (v, path) => {
+    if (!isObject(v)) fail(path, 'an object');
+    const out = {};
+    for (const [key, check] of Object.entries(shape)) {
+        const value = check(v[key], `${path}.${key}`);
+        if (value !== undefined) out[key] = value;
+    }
+    return out;
+};
+
+// Missing and null are both fine (and dropped)
+const optional = (check) => (v, path) => (v === undefined || v === null ? undefined : check(v, path));
+
+// Anything at all — for server-built payloads we don't police field by field
+const any = (v) => v;
+
+// ─── Shared Shapes ──────────────────────────────────────
+const userId = string(64);
+const name = string(100);
+const media = {
+    provider: string(32),
+    mediaId: string(2048)
+};
+
+const sessionDescription = object({
+    type: oneOf('offer', 'answer'),
+    sdp: string(64 * 1024)
+});
+
+// RTCIceCandidate.toJSON()
+const iceCandidate = object({
+    candidate: string(1024),
+    sdpMid: optional(string(64)),
+    sdpMLineIndex: optional(integer(0, 1024)),
+    usernameFragment: optional(string(256))
+});
+
+const signalShape = object({
+    type: oneOf('offer', 'answer', 'candidate', 'restart-request', 'peer-failed'),
+    sdp: optional(sessionDescription),
+    candidate: optional(iceCandidate),
+    relay: optional(boolean),    // offer: use TURN relay only
+    update: optional(boolean),   // offer: renegotiating an existing connection
+    channel: optional(oneOf('voice'))
+});
+
+function signal(v, path) {
+    const out = signalShape(v, path);
+    if ((out.type === 'offer' || out.type === 'answer') && !out.sdp) fail(`${path}.sdp`, 'set on an offer or answer');
+    if (out.type === 'candidate' && !out.candidate) fail(`${path}.candidate`, 'set on a candidate');
+    return out;
+}
+
+const relayFormat = object({
+    sampleRate: integer(8000, 48000),
+    numberOfChannels: integer(1, 2)
+});
+
+const roomInfo = object({
+    roomCode: string(16),
+    hostUserId: userId,
+    hostName: name,
+    listenerCount: integer(0, Infinity),
+    listeners: arrayOf(object({ userId, name, role: oneOf(...ROLES) }), Infinity),
+    controlPolicy: oneOf(...CONTROL_POLICIES)
+});
+
+const chatEntry = object({
+    id: integer(1, Infinity),
+    userId,
+    name,
+    message: string(500),
+    timestamp: number(0)
+});
+
+const queueItem = object({ id: string(64), ...media, title: string(500) });
+
+// ─── Messages ───────────────────────────────────────────
+// type → shape of the rest of the message, per version
+const SCHEMAS = {
+    1: {
+        client: {
+            HELLO: { versions: arrayOf(integer(1, 1000), 16) },
+            CREATE_ROOM: {
+                name: optional(name),
+                deviceId: optional(string(64)),
+                password: optional(string(100)),
+                knock: optional(boolean)
+            },
+            JOIN_ROOM: {
+                roomCode: string(16),
+                name: optional(name),
+                deviceId: optional(string(64)),
+                password: optional(string(100)),
+                relayAudio: optional(boolean)
+            },
+            APPROVE_JOIN: { requestId: string(64) },
+            DENY_JOIN: { requestId: string(64) },
+            CANCEL_JOIN: {},
+            RESUME: {
+                resumeToken: string(128),
+                roomCode: optional(string(16)),
+                relayAudio: optional(boolean)
+            },
+            LEAVE_ROOM: {},
+            CHAT: { message: string(500) },
+            CHAT_HISTORY: { before: optional(integer(0, Infinity)) },
+            REACTION: { emoji: string(16) },
+            PLAY_URL: {
+                provider: optional(media.provider),
+                mediaId: optional(media.mediaId),
+                videoId: optional(string(64)), // pre-provider clients
+                title: optional(string(500))
+            },
+            SYNC_STATE: {
+                action: oneOf('play', 'pause', 'seek', 'heartbeat'),
+                isPlaying: boolean,
+                currentTime: number(0),
+                capturedAt: optional(number(0))
+            },
+            PING: { t0: number() },
+            QUEUE_ADD: {
+                provider: optional(media.provider),
+                mediaId: optional(media.mediaId),
+                videoId: optional(string(64)),
+                title: optional(string(500))
+            },
+            QUEUE_REMOVE: { itemId: string(64) },
+            QUEUE_MOVE: { itemId: string(64), toIndex: integer(0, Infinity) },
+            QUEUE_NEXT: { ended: optional(object(media)) },
+            CONTROL: { action: oneOf(...CONTROL_ACTIONS) },
+            SET_CONTROL_POLICY: { policy: oneOf(...CONTROL_POLICIES) },
+            TRANSFER_HOST: { targetUserId: userId },
+            PROMOTE: { targetUserId: userId, role: oneOf('cohost', 'listener') },
+            KICK: { targetUserId: userId },
+            BAN: { targetUserId: userId },
+            MUTE_CHAT: { targetUserId: userId, muted: optional(boolean) },
+            REVOKE_CONTROL: { targetUserId: userId, revoked: optional(boolean) },
+            SIGNAL: { targetUserId: userId, signal },
+            VOICE_STATUS: { enabled: boolean },
+            STREAM_STATUS: { isStreaming: boolean, relayFormat: optional(relayFormat) }
+        },
+        server: {
+            WELCOME: { version: integer(1, 1000), serverVersions: arrayOf(integer(1, 1000), 16) },
+            ERROR: {
+                code: oneOf(...ERROR_CODES),
+                message: string(500),
+                requestType: optional(string(32))
+            },
+            ROOM_CREATED: { roomCode: string(16), userId, resumeToken: string(128), roomInfo },
+            ROOM_JOINED: { roomCode: string(16), userId, resumeToken: string(128), roomInfo, chat: any },
+            ROOM_RESUMED: {
+                roomCode: string(16),
+                userId,
+                role: oneOf(...ROLES),
+                resumeToken: string(128),
+                roomInfo,
+                chat: any
+            },
+            RESUME_FAILED: { message: string(500) },
+            JOIN_PENDING: { roomCode: string(16) },
+            PENDING_JOINS: { requests: arrayOf(object({ requestId: string(64), name }), Infinity) },
+            LEFT_ROOM: {},
+            KICKED: { message: string(500) },
+            ROOM_CLOSED: { message: string(500) },
+            ROOM_EXPIRING: { reason: oneOf('idle', 'lifetime'), closesAt: number(0) },
+            SYSTEM_NOTICE: { message: string(500) },
+            USER_JOINED: { userId, name, listenerCount: integer(0, Infinity), roomInfo },
+            USER_LEFT: { userId, name, listenerCount: integer(0, Infinity), roomInfo },
+            USER_AWAY: { userId, name, roomInfo },
+            USER_BACK: { userId, name, roomInfo },
+            HOST_CHANGED: { hostUserId: userId, hostName: name, previousHostUserId: optional(userId), roomInfo },
+            ROLE_CHANGED: { userId, name, role: oneOf(...ROLES), roomInfo },
+            MEMBER_UPDATED: { userId, roomInfo },
+            CHAT: { id: integer(1, Infinity), userId, name, message: string(500), timestamp: number(0) },
+            CHAT_HISTORY: { messages: arrayOf(chatEntry, Infinity), hasMore: boolean },
+            REACTION: { userId, emoji: string(16) },
+            PLAY_URL: { ...media, title: optional(string(500)), fromQueue: optional(boolean) },
+            SYNC_STATE: {
+                action: oneOf('play', 'pause', 'seek', 'heartbeat'),
+                isPlaying: boolean,
+                currentTime: number(0),
+                serverTime: number(0)
+            },
+            PONG: { t0: number(), serverTime: number(0) },
+            QUEUE_UPDATED: { queue: arrayOf(queueItem, Infinity) },
+            CONTROL_POLICY: { policy: oneOf(...CONTROL_POLICIES), roomInfo },
+            // fromUserId is 'vote' when the room voted for the action
+            CONTROL: { action: oneOf(...CONTROL_ACTIONS), fromUserId: userId, fromName: name },
+            VOTE_UPDATE: {
+                action: oneOf(...CONTROL_ACTIONS),
+                votes: integer(0, Infinity),
+                needed: integer(0, Infinity),
+                passed: optional(boolean)
+            },
+            STREAM_STATUS: {
+                isStreaming: boolean,
+                mode: optional(oneOf('mesh', 'relay')),
+                relayFormat: optional(relayFormat),
+                roomInfo
+            },
+            INITIATE_PEER: { targetUserId: userId, targetName: name },
+            PEER_LEFT: { userId },
+            SIGNAL: { fromUserId: userId, signal }
+        }
+    }
+};
+
+// Highest version both sides speak, or null
+function negotiateVersion(clientVersions) {
+    const common = PROTOCOL_VERSIONS.filter(v => clientVersions.includes(v));
+    return common.length > 0 ? Math.max(...common) : null;
+}
+
+function validate(direction, msg, version) {
+    if (!isObject(msg)) return { error: 'Message must be a JSON object' };
+    const shape = SCHEMAS[version][direction][msg.type];
+    if (!shape) return { error: `Unknown message type ${JSON.stringify(String(msg.type).slice(0, 32))}` };
+    try {
+        return { message: { type: msg.type, ...object(shape)(msg, msg.type) } };
+    } catch (err) {
+        if (err instanceof PayloadError) return { error: err.message };
+        throw err;
+    }
+}
+
+// { message } — a copy holding only the declared fields — or { error }
+function validateClientMessage(msg, version = 1) {
+    return validate('client', msg, version);
+}
+
+function validateServerMessage(msg, version = 1) {
+    return validate('server', msg, version);
+}
+
+module.exports = {
+    PROTOCOL_VERSIONS,
+    ERROR_CODES,
+    CONTROL_ACTIONS,
+    CONTROL_POLICIES,
+    negotiateVersion,
+    validateClientMessage,
+    validateServerMessage
+};
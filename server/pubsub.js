@@ -0,0 +1,270 @@
+const net = require('net');
+const { log } = require('./logger');
+
+// ─── Pub/Sub Adapters ───────────────────────────────────
+// Cross-instance messaging plus a tiny key registry for ownership claims.
+// Every adapter exposes the same promise-based API:
+//   publish(channel, message)          → message is any JSON-safe value
+//   subscribe(channel, handler)        → handler(message)
+//   claim(key, value, ttlMs)           → true if the key is now ours (new or already held by `value`)
+//   lookup(key)                        → current value or null
+//   release(key, value)                → delete the key if we still hold it
+//   close()
+
+// In-process — the default for a single instance
+function createLocalPubSub() {
+    const handlers = new Map(); // channel → Set<handler>
+    const keys = new Map();
+
+    return {
+        publish: async (channel, message) => {
+            const subs = handlers.get(channel);
+            if (!subs) return;
+            // Round-trip through JSON so local delivery behaves like the wire
+            const copy = JSON.parse(JSON.stringify(message));
+            setImmediate(() => subs.forEach(handler => handler(copy)));
+        },
+        subscribe: async (channel, handler) => {
+            if (!handlers.has(channel)) handlers.set(channel, new Set());
+            handlers.get(channel).add(handler);
+        },
+        claim: async (key, value) => {
+            const current = keys.get(key);
+            if (current !== undefined && current !== value) return false;
+            keys.set(key, value);
+            return true;
+        },
+        lookup: async (key) => (keys.has(key) ? keys.get(key) : null),
+        release: async (key, value) => {
+            if (keys.get(key) === value) keys.delete(key);
+        },
+        close: async () => { handlers.clear(); }
+    };
+}
+
+// ─── Lease Scripts ──────────────────────────────────────
+// Check-then-write in one step on the server: done as separate commands, a
+// lease expiring in between could let us extend or delete another instance's.
+// KEYS[1] the key, ARGV[1] our value, ARGV[2] the TTL in ms
+const CLAIM_SCRIPT = `
+if redis.call('SET', KEYS[1], ARGV[1], 'NX', 'PX', ARGV[2]) then return 1 end
+if redis.call('GET', KEYS[1]) == ARGV[1] then return redis.call('PEXPIRE', KEYS[1], ARGV[2]) end
+return 0`;
+
+const RELEASE_SCRIPT = `
+if redis.call('GET', KEYS[1]) == ARGV[1] then return redis.call('DEL', KEYS[1]) end
+return 0`;
+
+// ─── RESP (Redis protocol) ──────────────────────────────
+function encodeCommand(args) {
+    let out = `*${args.length}\r\n`;
+    for (const arg of args) {
+        const str = String(arg);
+        out += `$${Buffer.byteLength(str)}\r\n${str}\r\n`;
+    }
+    return out;
+}
+
+// Parse one RESP2 value from `buf` at `offset`. Returns [value, nextOffset], or null if incomplete.
+function parseReply(buf, offset) {
+    if (offset >= buf.length) return null;
+    const lineEnd = buf.indexOf('\r\n', offset);
+    if (lineEnd === -1) return null;
+
+    const prefix = String.fromCharCode(buf[offset]);
+    const line = buf.toString('utf8', offset + 1, lineEnd);
+    const next = lineEnd + 2;
+
+    switch (prefix) {
+        case '+': return [line, next];
+        case '-': return [new Error(line), next];
+        case ':': return [Number(line), next];
+        case '$': {
+            const len = Number(line);
+            if (len === -1) return [null, next];
+            if (buf.length < next + len + 2) return null;
+            return [buf.toString('utf8', next, next + len), next + len + 2];
+        }
+        case '*': {
+            const count = Number(line);
+            if (count === -1) return [null, next];
+            const items = [];
+            let pos = next;
+            for (let i = 0; i < count; i++) {
+                const parsed = parseReply(buf, pos);
+                if (!parsed) return null;
+                items.push(parsed[0]);
+                pos = parsed[1];
+            }
+            return [items, pos];
+        }
+        default:
+            throw new Error(`Unexpected RESP prefix: ${prefix}`);
+    }
+}
+
+// One TCP connection that comes back by itself. Replies resolve pending
+// commands in order; in subscriber mode every reply is handed to `onPush`
+// instead. When the link drops — or Redis sends something we can't parse —
+// pending commands are rejected and it reconnects with exponential backoff,
+// calling `onReconnect` so the subscriber can SUBSCRIBE again.
+function createRespConnection({ host, port, password }, {
+    onPush = null,
+    onReconnect = null,
+    minDelayMs = 100,
+    maxDelayMs = 5000,
+    logger = log
+} = {}) {
+    let socket = null;
+    let pending = [];
+    let failures = 0;
+    let retryTimer = null;
+    let closed = false;
+
+    function rejectPending(err) {
+        const waiting = pending;
+        pending = [];
+        waiting.forEach(waiter => waiter.reject(err));
+    }
+
+    function connect() {
+        const conn = net.createConnection({ host, port });
+        let buffer = Buffer.alloc(0);
+        socket = conn;
+        conn.setNoDelay(true);
+
+        conn.on('connect', () => { failures = 0; });
+
+        conn.on('data', (chunk) => {
+            buffer = Buffer.concat([buffer, chunk]);
+            let parsed;
+            try {
+                while ((parsed = parseReply(buffer, 0))) {
+                    buffer = buffer.subarray(parsed[1]);
+                    const reply = parsed[0];
+                    if (onPush) {
+                        onPush(reply);
+                    } else {
+                        const waiter = pending.shift();
+                        if (!waiter) continue;
+                        if (reply instanceof Error) waiter.reject(reply);
+                        else waiter.resolve(reply);
+                    }
+                }
+            } catch (err) {
+                // Out of step with the reply stream — only a fresh connection recovers
+                logger.error('Unreadable Redis reply — resetting the connection', { component: 'pubsub', err });
+                conn.destroy();
+            }
+        });
+
+        // 'close' always follows and does the cleanup
+        conn.on('error', (err) => {
+            logger.error('Redis connection error', { component: 'pubsub', err });
+        });
+
+        conn.on('close', () => {
+            if (socket !== conn) return;
+            socket = null;
+            rejectPending(new Error('Redis connection lost'));
+            if (closed) return;
+            const delay = Math.min(maxDelayMs, minDelayMs * 2 ** failures++);
+            retryTimer = setTimeout(() => {
+                retryTimer = null;
+                connect();
+                if (onReconnect) onReconnect();
+            }, delay);
+            retryTimer.unref();
+        });
+
+        // Written before anything else; writes made before 'connect' are buffered in order
+        if (password) command('AUTH', password).catch(() => {});
+    }
+
+    function command(...args) {
+        if (!socket) return Promise.reject(new Error('Redis is unavailable'));
+        socket.write(encodeCommand(args));
+        if (onPush) return Promise.resolve();
+        return new Promise((resolve, reject) => pending.push({ resolve, reject }));
+    }
+
+    connect();
+
+    return {
+        command,
+        close: () => {
+            closed = true;
+            clearTimeout(retryTimer);
+            if (socket) socket.end();
+        }
+    };
+}
+
+// Redis-protocol adapter: one connection for commands, one in subscriber mode.
+// `logger` defaults to the process-wide one.
+function createRedisPubSub({ url = 'redis://127.0.0.1:6379', prefix = 'jamsync:', logger = log } = {}) {
+    const parsed = new URL(url);
+    const options = {
+        host: parsed.hostname,
+        port: Number(parsed.port) || 6379,
+        password: parsed.password ? decodeURIComponent(parsed.password) : undefined
+    };
+    const handlers = new Map(); // channel → Set<handler>
+
+    const cmd = createRespConnection(options, { logger });
+    const sub = createRespConnection(options, {
+        logger,
+        onPush: (reply) => {
+            if (!Array.isArray(reply) || reply[0] !== 'message') return;
+            const subs = handlers.get(reply[1]);
+            if (!subs) return;
+            let message;
+            try { message = JSON.parse(reply[2]); } catch { return; }
+            subs.forEach(handler => handler(message));
+        },
+        // A new connection has no subscriptions
+        onReconnect: () => {
+            if (handlers.size > 0) sub.command('SUBSCRIBE', ...handlers.keys()).catch(() => {});
+        }
+    });
+
+    return {
+        publish: async (channel, message) => {
+            await cmd.command('PUBLISH', prefix + channel, JSON.stringify(message));
+        },
+        subscribe: async (channel, handler) => {
+            const name = prefix + channel;
+            if (!handlers.has(name)) {
+                handlers.set(name, new Set());
+                // While the link is down this fails, and the reconnect subscribes instead
+                await sub.command('SUBSCRIBE', name).catch(() => {});
+            }
+            handlers.get(name).add(handler);
+        },
+        claim: async (key, value, ttlMs) => (await cmd.command('EVAL', CLAIM_SCRIPT, 1, prefix + key, value, ttlMs)) === 1,
+        lookup: async (key) => cmd.command('GET', prefix + key),
+        release: async (key, value) => {
+            await cmd.command('EVAL', RELEASE_SCRIPT, 1, prefix + key, value);
+        },
+        close: async () => {
+            cmd.close();
+            sub.close();
+        }
+    };
+}
+
+// Pick an adapter from the environment: PUBSUB=local (default) | redis
+function createPubSubFromEnv(env = process.env) {
+    if (env.PUBSUB === 'redis') return createRedisPubSub({ url: env.REDIS_URL });
+    return createLocalPubSub();
+}
+
+module.exports = {
+    createLocalPubSub,
+    createRedisPubSub,
+    createPubSubFromEnv,
+    CLAIM_SCRIPT,
+    RELEASE_SCRIPT,
+    encodeCommand,
+    parseReply
+};
@@ -0,0 +1,163 @@
+const fs = require('fs');
+const { WebSocket } = require('ws');
+
+// ─── Trace Replay ───────────────────────────────────────
+// Plays a downloaded protocol trace (see trace.js) against a server: one
+// socket per recorded connection, each sending its recorded messages in the
+// original order and closing where the original did. Before each send it
+// waits (up to `settleMs`) for the replies the original server had sent by
+// then, so the run can't race ahead of the room.
+// Room codes, userIds, resume tokens and other ids differ on a new server;
+// they're learned from the replies and swapped into later messages. Masked
+// resume tokens work the same way: each placeholder stands for one token.
+// The report lists, per connection, recorded replies that never came and
+// replies the trace doesn't have.
+//
+//   node replay.js <trace.json> [ws://localhost:8080] [--speed 1] [--verbose]
+//
+// --speed scales the recorded gaps between messages (0 = as fast as replies allow).
+// Replays are only faithful from the room's creation — trace with TRACE_NEW_ROOMS.
+
+const ID_KEY = /^(id|roomCode|resumeToken)$|Id$/;
+
+// Record every recorded → live id pair found in matching positions
+function learnIds(recorded, live, ids, key = '') {
+    if (typeof recorded === 'string') {
+        if (ID_KEY.test(key) && typeof live === 'string' && recorded !== live && !ids.has(recorded)) ids.set(recorded, live);
+        return;
+    }
+    if (!recorded || typeof recorded !== 'object' || !live || typeof live !== 'object') return;
+    for (const k of Object.keys(recorded)) learnIds(recorded[k], live[k], ids, Array.isArray(recorded) ? key : k);
+}
+
+function swapIds(value, ids) {
+    if (typeof value === 'string') return ids.has(value) ? ids.get(value) : value;
+    if (Array.isArray(value)) return value.map(v => swapIds(v, ids));
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, swapIds(v, ids)]));
+    }
+    return value;
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+async function replayTrace(trace, { url = 'ws://localhost:8080', speed = 1, settleMs = 2000, onMessage = () => {} } = {}) {
+    const ids = new Map();
+    const events = trace.events.map((event, index) => ({ ...event, index, matched: false, missed: false }));
+    const clients = new Map(); // recorded clientId → { ws, sent, received, unexpected }
+
+    function clientFor(clientId) {
+        if (!clients.has(clientId)) clients.set(clientId, { ws: null, sent: 0, received: 0, unexpected: [] });
+        return clients.get(clientId);
+    }
+
+    // A live reply settles the first still-open recorded reply of the same type
+    function onLive(clientId, msg) {
+        const client = clientFor(clientId);
+        client.received++;
+        onMessage(clientId, msg);
+        const recorded = events.find(e => e.dir === 'out' && e.clientId === clientId && !e.matched && !e.missed
+            && e.msg.type === msg.type);
+        if (!recorded) {
+            client.unexpected.push(msg.type);
+            return;
+        }
+        recorded.matched = true;
+        learnIds(recorded.msg, msg, ids);
+    }
+
+    async function connect(clientId) {
+        const client = clientFor(clientId);
+        client.ws = new WebSocket(url);
+        client.ws.on('message', (raw, isBinary) => {
+            if (!isBinary) onLive(clientId, JSON.parse(raw));
+        });
+        await new Promise((resolve, reject) => {
+            client.ws.once('open', resolve);
+            client.ws.once('error', reject);
+        });
+    }
+
+    async function settle(before) {
+        const waiting = () => events.filter(e => e.index < before && e.dir === 'out' && !e.matched && !e.missed);
+        const deadline = Date.now() + settleMs;
+        while (waiting().length > 0 && Date.now() < deadline) await sleep(10);
+        for (const event of waiting()) event.missed = true;
+    }
+
+    const startedAt = Date.now();
+    try {
+        for (const event of events) {
+            if (event.dir === 'out') continue;
+            if (speed > 0) await sleep(startedAt + event.t / speed - Date.now());
+            await settle(event.index);
+
+            const client = clientFor(event.clientId);
+            if (event.dir === 'close') {
+                if (client.ws) client.ws.close();
+                continue;
+            }
+            if (!client.ws) await connect(event.clientId);
+            client.ws.send(JSON.stringify(swapIds(event.msg, ids)));
+            client.sent++;
+        }
+        await settle(events.length);
+    } finally {
+        for (const client of clients.values()) if (client.ws) client.ws.terminate();
+    }
+
+    // Includes connections that only ever received — their messages predate the trace
+    const report = Array.from(new Set(events.map(e => e.clientId)), (clientId) => {
+        const client = clientFor(clientId);
+        return {
+            clientId,
+            sent: client.sent,
+            received: client.received,
+            missing: events.filter(e => e.clientId === clientId && e.missed).map(e => e.msg.type),
+            unexpected: client.unexpected
+        };
+    });
+    return { ok: report.every(r => r.missing.length === 0 && r.unexpected.length === 0), clients: report };
+}
+
+async function main(argv) {
+    const positional = [];
+    let speed = 1;
+    let verbose = false;
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--speed') speed = Number(argv[++i]);
+        else if (argv[i] === '--verbose') verbose = true;
+        else positional.push(argv[i]);
+    }
+    const [file, url = 'ws://localhost:8080'] = positional;
+    if (!file || !(speed >= 0)) {
+        console.error('Usage: node replay.js <trace.json> [ws://host:port] [--speed 1] [--verbose]');
+        process.exit(2);
+    }
+
+    const trace = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const result = await replayTrace(trace, {
+        url,
+        speed,
+        onMessage: (clientId, msg) => { if (verbose) console.log(JSON.stringify({ clientId, msg })); }
+    });
+
+    for (const client of result.clients) {
+        const problems = [
+            client.missing.length ? `missing ${client.missing.join(', ')}` : '',
+            client.unexpected.length ? `unexpected ${client.unexpected.join(', ')}` : ''
+        ].filter(Boolean).join('; ');
+        console.log(`${client.clientId}: sent ${client.sent}, received ${client.received}${problems ? ' — ' + problems : ''}`);
+    }
+    console.log(result.ok ? 'Replay matched the trace' : 'Replay differs from the trace');
+    process.exit(result.ok ? 0 : 1);
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2)).catch((err) => {
+        console.error(err.message);
+        process.exit(2);
+    });
+}
+
+module.exports = { replayTrace };
@@ -0,0 +1,127 @@
+const fs = require('fs');
+const path = require('path');
+const { log } = require('./logger');
+
+// ─── Room State Stores ──────────────────────────────────
+// A store holds plain, JSON-safe room records keyed by room code.
+// Both backends expose the same API — synchronous, except close():
+//   loadRooms()        → array of records saved before
+//   saveRoom(record)   → insert or replace
+//   deleteRoom(code)
+//   close()            → promise, settled once everything is on disk
+
+function clone(record) {
+    return JSON.parse(JSON.stringify(record));
+}
+
+// In-memory — the default; nothing survives a restart
+function createMemoryStore() {
+    const records = new Map();
+
+    return {
+        loadRooms: () => Array.from(records.values()).map(clone),
+        saveRoom: (record) => { records.set(record.code, clone(record)); },
+        deleteRoom: (code) => { records.delete(code); },
+        close: async () => { }
+    };
+}
+
+// Append-only JSON log: one `{ op, ... }` line per change, replayed on start
+// and compacted into a snapshot once it grows past `compactEvery` lines.
+// Changes are batched: every `flushMs` the latest change to each room since
+// the last flush is appended, off the event loop. A crash loses at most that
+// window — the same trade as the grace period members already get.
+function createFileStore(filePath, { compactEvery = 1000, flushMs = 1000, logger = log } = {}) {
+    const records = new Map();
+    const pending = new Map(); // code → its latest unwritten { op, ... }
+    let linesSinceCompact = 0;
+    let writing = Promise.resolve(); // appends and compactions run one at a time
+
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+    if (fs.existsSync(filePath)) {
+        const lines = fs.readFileSync(filePath, 'utf8').split('\n');
+        for (const line of lines) {
+            if (!line) continue;
+            let entry;
+            // A crash mid-append can leave a torn last line — skip it
+            try { entry = JSON.parse(line); } catch { continue; }
+            if (entry.op === 'put') records.set(entry.room.code, entry.room);
+            else if (entry.op === 'delete') records.delete(entry.code);
+        }
+    }
+
+    function snapshot() {
+        return Array.from(records.values())
+            .map(room => JSON.stringify({ op: 'put', room }) + '\n')
+            .join('');
+    }
+
+    // Rewrite the log as one `put` per live room, swapped in atomically
+    async function compact() {
+        const tmpPath = `${filePath}.tmp`;
+        await fs.promises.writeFile(tmpPath, snapshot());
+        await fs.promises.rename(tmpPath, filePath);
+        linesSinceCompact = 0;
+    }
+
+    async function append() {
+        if (pending.size === 0) return;
+        const entries = Array.from(pending);
+        pending.clear();
+        try {
+            await fs.promises.appendFile(filePath, entries.map(([, entry]) => JSON.stringify(entry) + '\n').join(''));
+        } catch (err) {
+            // Try again next time, unless the room has changed since
+            for (const [code, entry] of entries) if (!pending.has(code)) pending.set(code, entry);
+            throw err;
+        }
+        linesSinceCompact += entries.length;
+        if (linesSinceCompact >= compactEvery) await compact();
+    }
+
+    function enqueue(task) {
+        writing = writing.then(task).catch(err => logger.error('Writing the room store failed', { component: 'store', err }));
+        return writing;
+    }
+
+    // Startup is the one place a blocking write is fine
+    fs.writeFileSync(`${filePath}.tmp`, snapshot());
+    fs.renameSync(`${filePath}.tmp`, filePath);
+
+    const flushTimer = setInterval(() => enqueue(append), flushMs);
+    flushTimer.unref();
+
+    return {
+        loadRooms: () => Array.from(records.values()).map(clone),
+        saveRoom: (record) => {
+            const room = clone(record);
+            records.set(room.code, room);
+            pending.set(room.code, { op: 'put', room });
+        },
+        deleteRoom: (code) => {
+            if (!records.delete(code)) return;
+            pending.set(code, { op: 'delete', code });
+        },
+        // The snapshot covers whatever was still pending
+        close: () => {
+            clearInterval(flushTimer);
+            pending.clear();
+            return enqueue(compact);
+        }
+    };
+}
+
+// Pick a backend from the environment: STORE=memory (default) | file, with
+// STORE_PATH (default server/data/rooms.jsonl) and STORE_FLUSH_MS (default 1000).
+// `logger` gets the file store's write failures.
+function createStoreFromEnv(env = process.env, { logger = log } = {}) {
+    if (env.STORE === 'file') {
+        const filePath = env.STORE_PATH || path.join(__dirname, 'data', 'rooms.jsonl');
+        const flushMs = Number(env.STORE_FLUSH_MS) > 0 ? Number(env.STORE_FLUSH_MS) : 1000;
+        return createFileStore(filePath, { flushMs, logger });
+    }
+    return createMemoryStore();
+}
+
+module.exports = { createMemoryStore, createFileStore, createStoreFromEnv };
@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startServer, createRoom, joinRoom } = require('./harness');
+
+const ADMIN_TOKEN = 'admin-secret';
+const METRICS_TOKEN = 'metrics-secret';
+
+const bearer = (token) => ({ headers: { Authorization: `Bearer ${token}` } });
+
+// ─── Auth ───────────────────────────────────────────────
+test('the admin API needs the admin bearer token', async (t) => {
+    const server = await startServer(t, { env: { ADMIN_TOKEN } });
+
+    for (const options of [{}, bearer('wrong'), bearer(`${ADMIN_TOKEN}x`), { headers: { Authorization: ADMIN_TOKEN } }]) {
+        const res = await fetch(`${server.url}/admin/rooms`, options);
+        assert.strictEqual(res.status, 401);
+        assert.strictEqual(res.headers.get('www-authenticate'), 'Bearer');
+    }
+    assert.strictEqual((await fetch(`${server.url}/admin/rooms`, bearer(ADMIN_TOKEN))).status, 200);
+});
+
+test('without ADMIN_TOKEN there is no admin API', async (t) => {
+    const server = await startServer(t);
+    assert.strictEqual((await fetch(`${server.url}/admin/rooms`)).status, 404);
+    assert.strictEqual((await fetch(`${server.url}/admin/rooms`, bearer('anything'))).status, 404);
+});
+
+// ─── Rooms ──────────────────────────────────────────────
+test('admins can list, inspect and close rooms', async (t) => {
+    const server = await startServer(t, { env: { ADMIN_TOKEN } });
+    const host = await createRoom(server, { name: 'Ana', password: 'pw' });
+    const { roomCode } = host.created;
+    const listener = await joinRoom(server, roomCode, { name: 'Ben', password: 'pw' });
+
+    const { rooms } = await (await fetch(`${server.url}/admin/rooms`, bearer(ADMIN_TOKEN))).json();
+    assert.deepStrictEqual(rooms.map(r => [r.roomCode, r.hostName, r.memberCount, r.presentCount, r.hasPassword]),
+        [[roomCode, 'Ana', 2, 2, true]]);
+
+    const { room } = await (await fetch(`${server.url}/admin/rooms/${roomCode.toLowerCase()}`, bearer(ADMIN_TOKEN))).json();
+    assert.deepStrictEqual([room.roomCode, room.listeners.map(l => l.name)], [roomCode, ['Ben']]);
+    assert.strictEqual(room.passwordHash, undefined);
+
+    const closed = await fetch(`${server.url}/admin/rooms/${roomCode}`, {
+        method: 'DELETE',
+        headers: { Authorization: `Bearer ${ADMIN_TOKEN}`, 'Content-Type': 'application/json' },
+        body: JSON.stringify({ message: 'Maintenance' })
+    });
+    assert.strictEqual(closed.status, 204);
+    assert.strictEqual((await host.next('ROOM_CLOSED')).message, 'Maintenance');
+    assert.strictEqual((await listener.next('ROOM_CLOSED')).message, 'Maintenance');
+
+    const after = await (await fetch(`${server.url}/admin/rooms`, bearer(ADMIN_TOKEN))).json();
+    assert.deepStrictEqual(after.rooms, []);
+    const missing = await fetch(`${server.url}/admin/rooms/${roomCode}`, { ...bearer(ADMIN_TOKEN), method: 'DELETE' });
+    assert.strictEqual(missing.status, 404);
+});
+
+// ─── Metrics ────────────────────────────────────────────
+test('/metrics is open by default and guarded once METRICS_TOKEN is set', async (t) => {
+    const open = await startServer(t);
+    const res = await fetch(`${open.url}/metrics`);
+    assert.strictEqual(res.status, 200);
+    assert.match(await res.text(), /^# TYPE jamsync_messages_total counter$/m);
+
+    const guarded = await startServer(t, { env: { METRICS_TOKEN, ADMIN_TOKEN } });
+    assert.strictEqual((await fetch(`${guarded.url}/metrics`)).status, 401);
+    assert.strictEqual((await fetch(`${guarded.url}/metrics`, bearer(ADMIN_TOKEN))).status, 401);
+    const allowed = await fetch(`${guarded.url}/metrics`, bearer(METRICS_TOKEN));
+    assert.strictEqual(allowed.status, 200);
+    assert.match(await allowed.text(), /^jamsync_/m);
+});
@@ -0,0 +1,65 @@
+// ─── Audio Fixtures ─────────────────────────────────────
+// Tiny, hand-built files: just the headers metadata.js reads, with zeros for audio.
+
+const u32 = (n) => { const b = Buffer.alloc(4); b.writeUInt32BE(n); return b; };
+const u32le = (n) => { const b = Buffer.alloc(4); b.writeUInt32LE(n); return b; };
+const syncsafe = (n) => Buffer.from([(n >> 21) & 0x7f, (n >> 14) & 0x7f, (n >> 7) & 0x7f, n & 0x7f]);
+
+const COVER = Buffer.from([0x89, 0x50, 0x4e, 0x47, 1, 2, 3, 4]);
+
+// ID3v2.3 tag (UTF-16 title, Latin-1 artist/album, cover tagged `coverType`)
+// before one second of 128 kbps CBR frames
+function mp3({ title = 'Blue Monday', artist = 'New Order', album = 'Power, Corruption & Lies', coverType = 'image/png' } = {}) {
+    const frame = (id, body) => Buffer.concat([Buffer.from(id, 'latin1'), u32(body.length), Buffer.alloc(2), body]);
+    const utf16 = Buffer.concat([Buffer.from([1, 0xff, 0xfe]), Buffer.from(title, 'utf16le')]);
+    const frames = Buffer.concat([
+        frame('TIT2', utf16),
+        frame('TPE1', Buffer.concat([Buffer.from([0]), Buffer.from(artist, 'latin1')])),
+        frame('TALB', Buffer.concat([Buffer.from([0]), Buffer.from(album, 'latin1')])),
+        frame('APIC', Buffer.concat([Buffer.from(`\0${coverType}\0\x03\0`, 'latin1'), COVER]))
+    ]);
+    const tag = Buffer.concat([Buffer.from('ID3\x03\x00\x00', 'latin1'), syncsafe(frames.length), frames]);
+    const audio = Buffer.alloc(16000);
+    audio.writeUInt32BE(0xfffb9000); // MPEG-1 Layer III, 128 kbps, 44.1 kHz
+    return Buffer.concat([tag, audio]);
+}
+
+// ftyp, then moov → mvhd with a 1000/s timescale and 2.5s duration
+function m4a() {
+    const box = (type, ...parts) => {
+        const body = Buffer.concat(parts);
+        return Buffer.concat([u32(8 + body.length), Buffer.from(type, 'latin1'), body]);
+    };
+    const mvhd = Buffer.alloc(100);
+    mvhd.writeUInt32BE(1000, 12);
+    mvhd.writeUInt32BE(2500, 16);
+    return Buffer.concat([box('ftyp', Buffer.from('M4A \0\0\0\0', 'latin1')), box('moov', box('mvhd', mvhd)), Buffer.alloc(64)]);
+}
+
+// STREAMINFO (2s at 44.1 kHz), Vorbis comments and a JPEG PICTURE block
+function flac() {
+    const block = (type, body, last = false) =>
+        Buffer.concat([Buffer.from([(last ? 0x80 : 0) | type, body.length >> 16, (body.length >> 8) & 0xff, body.length & 0xff]), body]);
+
+    const streaminfo = Buffer.alloc(34);
+    streaminfo[10] = 0x0a;              // 44100 = 0x0AC44, 20 bits
+    streaminfo[11] = 0xc4;
+    streaminfo[12] = 0x42;              // rate's last nibble, then channels / depth
+    streaminfo.writeUInt32BE(88200, 14); // total samples (low 32 bits)
+
+    const comment = (text) => Buffer.concat([u32le(Buffer.byteLength(text)), Buffer.from(text)]);
+    const vendor = 'test';
+    const comments = Buffer.concat([
+        u32le(vendor.length), Buffer.from(vendor), u32le(3),
+        comment('TITLE=Teardrop'), comment('ARTIST=Massive Attack'), comment('ALBUM=Mezzanine')
+    ]);
+
+    const mime = 'image/jpeg';
+    const picture = Buffer.concat([
+        u32(3), u32(mime.length), Buffer.from(mime), u32(0), Buffer.alloc(16), u32(COVER.length), COVER
+    ]);
+
+    return Buffer.concat([Buffer.from('fLaC'), block(0, streaminfo), block(4, comments), block(6, picture, true), Buffer.alloc(64)]);
+}
+
+module.exports = { COVER, mp3, m4a, flac };
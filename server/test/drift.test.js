@@ -0,0 +1,24 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { planDriftCorrection } = require('../../public/drift');
+
+test('free-rate players nudge in proportion to the drift and seek past a second', () => {
+    assert.strictEqual(planDriftCorrection(0.05, null), null);
+    const behind = planDriftCorrection(-0.2, null);
+    assert.deepStrictEqual([behind.rate.toFixed(2), behind.seconds.toFixed(1)], ['1.05', '4.0']);
+    // Capped at ±10%: it just takes longer
+    const ahead = planDriftCorrection(0.6, null);
+    assert.deepStrictEqual([ahead.rate.toFixed(2), ahead.seconds.toFixed(1)], ['0.90', '6.0']);
+    assert.deepStrictEqual(planDriftCorrection(1.5, null), { seek: true });
+});
+
+test('stepped-rate players (YouTube) take short nudges at the nearest offered rate', () => {
+    const rates = [0.75, 1, 1.25];
+    assert.strictEqual(planDriftCorrection(-0.05, rates), null);
+    assert.deepStrictEqual(planDriftCorrection(0.3, rates), { rate: 0.75, seconds: 1.2 });
+    assert.deepStrictEqual(planDriftCorrection(-0.25, rates), { rate: 1.25, seconds: 1 });
+    // Past what one heartbeat's nudge closes, the next heartbeat carries on
+    assert.deepStrictEqual(planDriftCorrection(1.5, rates), { rate: 0.75, seconds: 2 });
+    assert.deepStrictEqual(planDriftCorrection(-4, rates), { seek: true });
+    assert.deepStrictEqual(planDriftCorrection(0.3, [1]), { seek: true });
+});
@@ -0,0 +1,43 @@
+// Stand-in for lifecycle.systemClock: time only moves when a test calls advance()
+function createFakeClock(start = 0) {
+    let now = start;
+    const timers = new Set(); // { fn, ms, next } — ms is null for a one-shot timeout
+
+    function clear(timer) {
+        timers.delete(timer);
+    }
+
+    return {
+        now: () => now,
+        setInterval(fn, ms) {
+            const timer = { fn, ms, next: now + ms };
+            timers.add(timer);
+            return timer;
+        },
+        clearInterval: clear,
+        setTimeout(fn, ms) {
+            const timer = { fn, ms: null, next: now + ms };
+            timers.add(timer);
+            return timer;
+        },
+        clearTimeout: clear,
+        // Run every timer that falls due in the next `ms`, in time order
+        advance(ms) {
+            const end = now + ms;
+            for (;;) {
+                let due = null;
+                for (const timer of timers) {
+                    if (timer.next <= end && (!due || timer.next < due.next)) due = timer;
+                }
+                if (!due) break;
+                now = due.next;
+                if (due.ms === null) timers.delete(due);
+                else due.next += due.ms;
+                due.fn();
+            }
+            now = end;
+        }
+    };
+}
+
+module.exports = { createFakeClock };
@@ -0,0 +1,147 @@
+const assert = require('node:assert');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { WebSocket } = require('ws');
+const { createServer } = require('../index');
+const { createLocalPubSub } = require('../pubsub');
+const { createLogger } = require('../logger');
+const { createFakeClock } = require('./fake-clock');
+
+// ─── Test Server ────────────────────────────────────────
+// A server on a free port for one test, stopped when the test ends. It runs on
+// a fake clock (away timers only fire on clock.advance) with no heartbeat, and
+// checks every reply against the protocol schema — a mismatch, or any other
+// warning it logs (the store's included), fails the test. Pass `pubsub` to join
+// several servers up; the store is in memory unless `env` sets STORE=file.
+async function startServer(t, { env = {}, pubsub = createLocalPubSub() } = {}) {
+    const clock = createFakeClock(Date.UTC(2024, 0, 1));
+    const warnings = [];
+    const libraryDir = fs.mkdtempSync(path.join(os.tmpdir(), 'jamsync-test-'));
+    const jam = createServer({
+        port: 0,
+        env: { PROTOCOL_DEBUG: '1', HEARTBEAT_INTERVAL_MS: '0', LIBRARY_DIR: libraryDir, ...env },
+        pubsub,
+        clock,
+        log: createLogger({ level: 'warn', write: (line) => warnings.push(JSON.parse(line)) })
+    });
+    const port = await jam.listen();
+
+    const clients = [];
+    let closing = null;
+    const close = () => {
+        if (!closing) closing = jam.close();
+        return closing;
+    };
+    t.after(async () => {
+        for (const client of clients) client.ws.terminate();
+        await close();
+        fs.rmSync(libraryDir, { recursive: true, force: true });
+        assert.deepStrictEqual(warnings, []);
+    });
+
+    return {
+        clock,
+        // Stops it early (e.g. to restart on the same store); otherwise it stops with the test
+        close,
+        url: `http://localhost:${port}`,
+        // `options` go to the WebSocket (e.g. { autoPong: false })
+        async connect(options) {
+            const client = await connect(`ws://localhost:${port}`, options);
+            clients.push(client);
+            return client;
+        }
+    };
+}
+
+// ─── Scripted Client ────────────────────────────────────
+// Messages queue up in `inbox` until read; next(type) takes the first unread
+// one of that type, waiting (in real time) for it if needed. Binary (relay
+// audio) frames collect in `frames`.
+function connect(url, options = {}) {
+    const ws = new WebSocket(url, options);
+    const inbox = [];
+    const frames = [];
+    const waiters = [];
+
+    function deliver() {
+        for (const waiter of [...waiters]) {
+            const index = inbox.findIndex(msg => msg.type === waiter.type);
+            if (index === -1) continue;
+            waiters.splice(waiters.indexOf(waiter), 1);
+            clearTimeout(waiter.timer);
+            waiter.resolve(inbox.splice(index, 1)[0]);
+        }
+    }
+
+    ws.on('message', (raw, isBinary) => {
+        if (isBinary) {
+            frames.push(raw);
+            return;
+        }
+        inbox.push(JSON.parse(raw));
+        deliver();
+    });
+
+    const client = {
+        ws,
+        inbox,
+        frames,
+        send: (msg) => ws.send(JSON.stringify(msg)),
+        next(type, timeoutMs = 2000) {
+            return new Promise((resolve, reject) => {
+                const waiter = { type, resolve };
+                waiter.timer = setTimeout(() => {
+                    waiters.splice(waiters.indexOf(waiter), 1);
+                    const unread = inbox.map(msg => msg.type).join(', ') || 'nothing';
+                    reject(new Error(`No ${type} within ${timeoutMs}ms (unread: ${unread})`));
+                }, timeoutMs);
+                waiters.push(waiter);
+                deliver();
+            });
+        },
+        // One clock-sync round trip: afterwards, everything the server sent this
+        // socket before handling the PING has arrived
+        async sync() {
+            client.send({ type: 'PING', t0: 0 });
+            await client.next('PONG');
+        },
+        // Types of the messages received but not read yet
+        unread: () => inbox.map(msg => msg.type),
+        close() {
+            return new Promise((resolve) => {
+                ws.once('close', resolve);
+                ws.close();
+            });
+        }
+    };
+
+    return new Promise((resolve, reject) => {
+        ws.once('open', () => resolve(client));
+        ws.once('error', reject);
+    });
+}
+
+// Sync each socket in turn. The first should be the one that last sent
+// something: once it's synced, its message has been handled, so whatever that
+// did has been written to every other socket before their own PINGs.
+async function settle(...clients) {
+    for (const client of clients) await client.sync();
+}
+
+// ─── Room Helpers ───────────────────────────────────────
+async function createRoom(server, fields = {}) {
+    const host = await server.connect();
+    host.send({ type: 'CREATE_ROOM', name: 'Host', ...fields });
+    host.created = await host.next('ROOM_CREATED');
+    return host;
+}
+
+async function joinRoom(server, roomCode, fields = {}) {
+    const listener = await server.connect();
+    listener.send({ type: 'JOIN_ROOM', roomCode, name: 'Listener', ...fields });
+    listener.joined = await listener.next('ROOM_JOINED');
+    return listener;
+}
+
+module.exports = { startServer, connect, settle, createRoom, joinRoom };
@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { Readable } = require('node:stream');
+const { createLibrary } = require('../library');
+const { startServer, createRoom } = require('./harness');
+const fixtures = require('./audio-fixtures');
+
+function tempDir(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'jamsync-library-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+test('uploads are stored with their metadata and cover', async (t) => {
+    const dir = tempDir(t);
+    const library = createLibrary(dir);
+    const track = await library.add(Readable.from([fixtures.flac()]), { filename: 'teardrop.flac', uploadedBy: 'Ana' });
+
+    assert.deepStrictEqual([track.title, track.artist, track.duration, track.uploadedBy], ['Teardrop', 'Massive Attack', 2, 'Ana']);
+    assert.deepStrictEqual(fs.readFileSync(library.coverPath(track)), fixtures.COVER);
+    assert.deepStrictEqual(createLibrary(dir).get(track.id), track);
+});
+
+test('unsupported and oversized uploads are refused and leave nothing behind', async (t) => {
+    const dir = tempDir(t);
+    const library = createLibrary(dir, { maxBytes: 1024 });
+    await assert.rejects(library.add(Readable.from([Buffer.alloc(512)])), { status: 415 });
+    await assert.rejects(library.add(Readable.from([fixtures.mp3()])), { status: 413 });
+    assert.deepStrictEqual(fs.readdirSync(dir), []);
+});
+
+// Instances sharing LIBRARY_DIR each have their own index
+test('tracks added by another instance are found and listed', async (t) => {
+    const dir = tempDir(t);
+    const mine = createLibrary(dir);
+    const theirs = createLibrary(dir);
+
+    const track = await theirs.add(Readable.from([fixtures.mp3()]), { filename: 'song.mp3' });
+    assert.deepStrictEqual(mine.get(track.id), track);
+
+    const other = await theirs.add(Readable.from([fixtures.m4a()]), { filename: 'Other Song.m4a' });
+    assert.deepStrictEqual(mine.list().map(t => t.id).sort(), [track.id, other.id].sort());
+    assert.strictEqual(mine.get(other.id).title, 'Other Song');
+
+    fs.rmSync(path.join(dir, `${other.id}.json`));
+    assert.deepStrictEqual(mine.list().map(t => t.id), [track.id]);
+    assert.strictEqual(mine.get('../../etc/passwd'), null);
+});
+
+test('an upload whose cover claims to be HTML is served without one', async (t) => {
+    const server = await startServer(t);
+    const host = await createRoom(server);
+    const res = await fetch(`${server.url}/library`, {
+        method: 'POST',
+        headers: { 'X-Resume-Token': host.created.resumeToken, 'X-Room-Code': host.created.roomCode },
+        body: fixtures.mp3({ coverType: 'text/html' })
+    });
+    assert.strictEqual(res.status, 201);
+    const { track } = await res.json();
+    assert.strictEqual(track.coverUrl, null);
+
+    assert.strictEqual((await fetch(`${server.url}/library/${track.id}/cover`)).status, 404);
+    const audio = await fetch(server.url + track.url);
+    assert.strictEqual(audio.headers.get('x-content-type-options'), 'nosniff');
+    assert.strictEqual(audio.headers.get('content-type'), 'audio/mpeg');
+});
@@ -0,0 +1,234 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { once } = require('node:events');
+const { WebSocketServer, WebSocket } = require('ws');
+const { createHeartbeat, createRoomReaper } = require('../lifecycle');
+const { createFakeClock } = require('./fake-clock');
+const { startServer, settle, createRoom, joinRoom } = require('./harness');
+
+const MINUTE = 60 * 1000;
+
+// Real sockets still talk in real time — wait for them, but not forever
+async function until(condition, timeoutMs = 2000) {
+    const deadline = Date.now() + timeoutMs;
+    while (!condition()) {
+        if (Date.now() > deadline) throw new Error(`Condition not met within ${timeoutMs}ms`);
+        await new Promise(resolve => setTimeout(resolve, 5));
+    }
+}
+
+// ─── Heartbeat ──────────────────────────────────────────
+test('heartbeat terminates sockets that stop answering pings', async (t) => {
+    const clock = createFakeClock();
+    const wss = new WebSocketServer({ port: 0 });
+    await once(wss, 'listening');
+    const url = `ws://localhost:${wss.address().port}`;
+
+    const heartbeat = createHeartbeat(() => wss.clients, { intervalMs: 30000, clock });
+    let pongs = 0;
+    wss.on('connection', (ws) => {
+        heartbeat.watch(ws);
+        ws.on('pong', () => pongs++);
+    });
+    heartbeat.start();
+
+    const alive = new WebSocket(url);
+    const silent = new WebSocket(url, { autoPong: false }); // a phone with its radio off
+    t.after(() => {
+        heartbeat.stop();
+        alive.terminate();
+        silent.terminate();
+        wss.close();
+    });
+    await until(() => wss.clients.size === 2);
+
+    // First round: everyone is pinged, only one answers
+    clock.advance(30000);
+    await until(() => pongs === 1);
+
+    // Second round: the silent socket missed its pong and is dropped
+    const silentClosed = once(silent, 'close');
+    clock.advance(30000);
+    await silentClosed;
+    await until(() => wss.clients.size === 1);
+
+    assert.strictEqual(alive.readyState, WebSocket.OPEN);
+});
+
+test('heartbeat does nothing until its interval passes', () => {
+    const clock = createFakeClock();
+    const pinged = [];
+    const socket = { on() {}, ping: () => pinged.push(clock.now()), terminate: () => assert.fail('terminated') };
+    const heartbeat = createHeartbeat(() => [socket], { intervalMs: 30000, clock });
+    heartbeat.watch(socket);
+    heartbeat.start();
+
+    clock.advance(29999);
+    assert.deepStrictEqual(pinged, []);
+    clock.advance(1);
+    assert.deepStrictEqual(pinged, [30000]);
+    heartbeat.stop();
+});
+
+// ─── Room Reaper ────────────────────────────────────────
+function setup(options = {}) {
+    const clock = createFakeClock();
+    const rooms = new Map();
+    const warnings = [];
+    const closed = [];
+    const reaper = createRoomReaper(() => rooms.values(), {
+        idleMs: 10 * MINUTE,
+        maxLifetimeMs: 60 * MINUTE,
+        warningMs: 2 * MINUTE,
+        sweepMs: 15000,
+        warn: (room, reason, closesAt) => warnings.push({ code: room.code, reason, closesAt, at: clock.now() }),
+        close: (room, reason) => {
+            rooms.delete(room.code);
+            closed.push({ code: room.code, reason, at: clock.now() });
+        },
+        clock,
+        ...options
+    });
+    const addRoom = (code) => {
+        const room = { code, createdAt: clock.now(), lastActiveAt: clock.now() };
+        rooms.set(code, room);
+        return room;
+    };
+    reaper.start();
+    return { clock, rooms, warnings, closed, reaper, addRoom };
+}
+
+test('idle rooms are warned once, then closed', () => {
+    const { clock, warnings, closed, addRoom } = setup();
+    addRoom('IDLE01');
+
+    clock.advance(8 * MINUTE - 1);
+    assert.strictEqual(warnings.length, 0);
+
+    clock.advance(1 * MINUTE + 1);
+    assert.deepStrictEqual(warnings, [{ code: 'IDLE01', reason: 'idle', closesAt: 10 * MINUTE, at: 8 * MINUTE }]);
+    assert.strictEqual(closed.length, 0);
+
+    clock.advance(2 * MINUTE);
+    assert.strictEqual(warnings.length, 1);
+    assert.deepStrictEqual(closed, [{ code: 'IDLE01', reason: 'idle', at: 10 * MINUTE }]);
+});
+
+test('activity pushes the idle deadline back', () => {
+    const { clock, warnings, closed, reaper, addRoom } = setup();
+    const room = addRoom('BUSY01');
+
+    clock.advance(9 * MINUTE);
+    assert.strictEqual(warnings.length, 1);
+    reaper.touch(room);
+
+    clock.advance(5 * MINUTE);
+    assert.strictEqual(closed.length, 0);
+
+    // A fresh deadline gets a fresh warning
+    clock.advance(3 * MINUTE);
+    assert.strictEqual(warnings.length, 2);
+    assert.strictEqual(warnings[1].closesAt, 19 * MINUTE);
+
+    clock.advance(2 * MINUTE);
+    assert.deepStrictEqual(closed.map(c => c.reason), ['idle']);
+});
+
+test('busy rooms never idle out but still hit the lifetime cap', () => {
+    const { clock, warnings, closed, addRoom } = setup({ isBusy: () => true });
+    addRoom('LIVE01');
+
+    clock.advance(58 * MINUTE - 15000);
+    assert.strictEqual(warnings.length, 0);
+    assert.strictEqual(closed.length, 0);
+
+    clock.advance(15000);
+    assert.deepStrictEqual(warnings.map(w => w.reason), ['lifetime']);
+
+    clock.advance(2 * MINUTE);
+    assert.deepStrictEqual(closed, [{ code: 'LIVE01', reason: 'lifetime', at: 60 * MINUTE }]);
+});
+
+test('only the expired room is closed', () => {
+    const { clock, rooms, closed, reaper, addRoom } = setup();
+    addRoom('OLD001');
+    clock.advance(5 * MINUTE);
+    const fresh = addRoom('NEW001');
+
+    clock.advance(5 * MINUTE);
+    reaper.touch(fresh);
+    assert.deepStrictEqual(closed.map(c => c.code), ['OLD001']);
+    assert.deepStrictEqual(Array.from(rooms.keys()), ['NEW001']);
+});
+
+test('a room found past its deadline is still warned before it closes', () => {
+    const { clock, warnings, closed, addRoom } = setup({ warningMs: 5000 });
+    addRoom('LATE01');
+
+    // The only sweep in the warning window is the one at the deadline itself
+    clock.advance(10 * MINUTE);
+    assert.deepStrictEqual(warnings.map(w => w.at), [10 * MINUTE]);
+    assert.strictEqual(closed.length, 0);
+
+    clock.advance(15000);
+    assert.deepStrictEqual(closed.map(c => c.at), [10 * MINUTE + 15000]);
+});
+
+test('a timeout of 0 turns that check off', () => {
+    const { clock, warnings, closed, addRoom } = setup({ idleMs: 0, maxLifetimeMs: 0 });
+    addRoom('KEEP01');
+
+    clock.advance(48 * 60 * MINUTE);
+    assert.strictEqual(warnings.length, 0);
+    assert.strictEqual(closed.length, 0);
+});
+
+// ─── Through the Server ─────────────────────────────────
+test('a listener whose socket goes silent is dropped by the heartbeat and shown as away', async (t) => {
+    const server = await startServer(t, { env: { HEARTBEAT_INTERVAL_MS: '30000' } });
+    const host = await createRoom(server);
+    const silent = await server.connect({ autoPong: false });
+    silent.send({ type: 'JOIN_ROOM', roomCode: host.created.roomCode, name: 'Radio Off' });
+    const { userId } = await silent.next('ROOM_JOINED');
+    await host.next('USER_JOINED');
+
+    // First round: both are pinged, only the host answers. Its pong was sent
+    // before its second PING, so it has been counted once that's answered.
+    server.clock.advance(30000);
+    await settle(host);
+    await settle(host);
+
+    const closed = once(silent.ws, 'close');
+    server.clock.advance(30000);
+    await closed;
+    const away = await host.next('USER_AWAY');
+    assert.deepStrictEqual([away.userId, away.name], [userId, 'Radio Off']);
+    assert.strictEqual(host.ws.readyState, WebSocket.OPEN);
+});
+
+test('an idle room is warned about, then closed', async (t) => {
+    const server = await startServer(t, { env: { ROOM_IDLE_TIMEOUT_MS: String(10 * MINUTE), ROOM_EXPIRY_WARNING_MS: String(2 * MINUTE) } });
+    const host = await createRoom(server);
+    const listener = await joinRoom(server, host.created.roomCode);
+    const lastActive = server.clock.now();
+
+    // Clock-sync pings don't count as activity
+    server.clock.advance(7 * MINUTE);
+    await settle(listener, host);
+    assert.ok(!listener.unread().includes('ROOM_EXPIRING'));
+
+    server.clock.advance(MINUTE);
+    for (const client of [host, listener]) {
+        const warning = await client.next('ROOM_EXPIRING');
+        assert.deepStrictEqual([warning.reason, warning.closesAt], ['idle', lastActive + 10 * MINUTE]);
+    }
+
+    server.clock.advance(2 * MINUTE);
+    await host.next('ROOM_CLOSED');
+    await listener.next('ROOM_CLOSED');
+
+    // The room is gone
+    const late = await server.connect();
+    late.send({ type: 'JOIN_ROOM', roomCode: host.created.roomCode, name: 'Late' });
+    assert.strictEqual((await late.next('ERROR')).code, 'ROOM_NOT_FOUND');
+});
@@ -0,0 +1,112 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createLimits, createLimitsFromEnv } = require('../limits');
+const { createLogger } = require('../logger');
+
+function fakeTime() {
+    let t = 0;
+    return { now: () => t, advance: (ms) => { t += ms; } };
+}
+
+// ─── Message Buckets ────────────────────────────────────
+test('a bucket allows its burst, then refills at its rate', (t) => {
+    const time = fakeTime();
+    const limits = createLimits({ messageRates: { '*': '30/10', CHAT: '2/10' }, now: time.now });
+    t.after(limits.stop);
+    const conn = limits.forConnection('1.2.3.4');
+
+    assert.deepStrictEqual([conn.take('CHAT'), conn.take('CHAT')], [0, 0]);
+    assert.strictEqual(conn.take('CHAT'), 5000);
+
+    time.advance(4000);
+    assert.strictEqual(conn.take('CHAT'), 1000);
+    time.advance(1000);
+    assert.strictEqual(conn.take('CHAT'), 0);
+
+    // Other types share the fallback bucket, unaffected by CHAT's
+    assert.strictEqual(conn.take('REACTION'), 0);
+    // Each connection has its own buckets
+    assert.strictEqual(limits.forConnection('1.2.3.4').take('CHAT'), 0);
+});
+
+test('room creation is also limited per IP, across connections', (t) => {
+    const time = fakeTime();
+    const limits = createLimits({ roomCreateRate: '2/3600', now: time.now });
+    t.after(limits.stop);
+
+    assert.strictEqual(limits.forConnection('1.2.3.4').take('CREATE_ROOM'), 0);
+    assert.strictEqual(limits.forConnection('1.2.3.4').take('CREATE_ROOM'), 0);
+    assert.strictEqual(Math.round(limits.forConnection('1.2.3.4').take('CREATE_ROOM') / 1000), 1800);
+    assert.strictEqual(limits.forConnection('5.6.7.8').take('CREATE_ROOM'), 0);
+});
+
+// ─── Per-IP Connections ─────────────────────────────────
+test('connections per IP are capped until one is released', (t) => {
+    const limits = createLimits({ maxConnectionsPerIp: 2 });
+    t.after(limits.stop);
+
+    assert.strictEqual(limits.admit('1.2.3.4'), null);
+    assert.strictEqual(limits.admit('1.2.3.4'), null);
+    assert.strictEqual(limits.admit('1.2.3.4'), 'Too many connections');
+    assert.strictEqual(limits.admit('5.6.7.8'), null);
+
+    limits.release('1.2.3.4');
+    assert.strictEqual(limits.admit('1.2.3.4'), null);
+    limits.release('9.9.9.9'); // never admitted — ignored
+});
+
+test('the client IP comes from X-Forwarded-For only behind a trusted proxy', (t) => {
+    const req = { headers: { 'x-forwarded-for': '203.0.113.7, 10.0.0.1' }, socket: { remoteAddress: '10.0.0.1' } };
+    const direct = createLimits();
+    const proxied = createLimits({ trustProxy: true });
+    t.after(() => { direct.stop(); proxied.stop(); });
+
+    assert.strictEqual(direct.clientIp(req), '10.0.0.1');
+    assert.strictEqual(proxied.clientIp(req), '203.0.113.7');
+});
+
+// ─── Strikes & Bans ─────────────────────────────────────
+test('running out of strikes bans the IP for a while', (t) => {
+    const time = fakeTime();
+    const limits = createLimits({ strikeRate: '3/60', offenderBanMs: 60000, now: time.now });
+    t.after(limits.stop);
+    const conn = limits.forConnection('1.2.3.4');
+
+    assert.deepStrictEqual([conn.strike(), conn.strike(), conn.strike()], [false, false, false]);
+    assert.strictEqual(conn.strike(), true);
+    assert.strictEqual(limits.admit('1.2.3.4'), 'Too many messages — try again later');
+    assert.strictEqual(limits.admit('5.6.7.8'), null);
+
+    time.advance(60000);
+    assert.strictEqual(limits.admit('1.2.3.4'), null);
+});
+
+// ─── Environment ────────────────────────────────────────
+test('rates come from the environment, and malformed ones are ignored with a warning', (t) => {
+    const warnings = [];
+    const logger = createLogger({ level: 'warn', write: (line) => warnings.push(JSON.parse(line)) });
+    const time = fakeTime();
+    const limits = createLimitsFromEnv({
+        RATE_LIMIT_CHAT: '1/10',
+        RATE_LIMIT_DEFAULT: 'lots',
+        RATE_LIMIT_REACTION: '0/10',
+        RATE_LIMIT_SIGNAL: '5/-1',
+        WS_MAX_PAYLOAD_BYTES: 'big',
+        MAX_CONNECTIONS_PER_IP: '1'
+    }, { now: time.now, logger });
+    t.after(limits.stop);
+
+    const conn = limits.forConnection('1.2.3.4');
+    assert.deepStrictEqual([conn.take('CHAT'), conn.take('CHAT')], [0, 10000]);
+    // Malformed rates fall back to the defaults: REACTION 10/5, SIGNAL 300/10, '*' 30/10
+    for (let i = 0; i < 10; i++) assert.strictEqual(conn.take('REACTION'), 0);
+    assert.ok(conn.take('REACTION') > 0);
+    for (let i = 0; i < 30; i++) assert.strictEqual(conn.take('SOMETHING_ELSE'), 0);
+    assert.ok(conn.take('SOMETHING_ELSE') > 0);
+
+    assert.strictEqual(limits.maxPayloadBytes, 64 * 1024);
+    assert.strictEqual(limits.admit('1.2.3.4'), null);
+    assert.strictEqual(limits.admit('1.2.3.4'), 'Too many connections');
+    assert.deepStrictEqual(warnings.map(w => w.name).sort(),
+        ['RATE_LIMIT_DEFAULT', 'RATE_LIMIT_REACTION', 'RATE_LIMIT_SIGNAL']);
+});
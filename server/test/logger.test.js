@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createLogger } = require('../logger');
+
+function capture(options = {}) {
+    const lines = [];
+    const log = createLogger({ now: () => 0, write: (line, level) => lines.push({ line, level }), ...options });
+    return { log, lines, entries: () => lines.map(l => JSON.parse(l.line)) };
+}
+
+test('entries are JSON lines with the child fields on each', () => {
+    const { log, entries } = capture();
+    const conn = log.child({ clientId: 'c1' }).child({ roomCode: 'ABC123', userId: undefined });
+    conn.info('Member joined', { listeners: 2 });
+
+    assert.deepStrictEqual(entries(), [{
+        time: '1970-01-01T00:00:00.000Z', level: 'info', msg: 'Member joined',
+        clientId: 'c1', roomCode: 'ABC123', listeners: 2
+    }]);
+});
+
+test('entries below the level are dropped', () => {
+    const { log, lines } = capture({ level: 'warn' });
+    log.debug('a');
+    log.info('b');
+    log.warn('c');
+    log.error('d');
+    assert.deepStrictEqual(lines.map(l => l.level), ['warn', 'error']);
+});
+
+test('errors keep their message and stack', () => {
+    const { log, entries } = capture();
+    log.error('Handler failed', { err: new TypeError('boom') });
+    const [{ err }] = entries();
+    assert.strictEqual(err.name, 'TypeError');
+    assert.strictEqual(err.message, 'boom');
+    assert.match(err.stack, /logger\.test\.js/);
+});
@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { readMetadata } = require('../metadata');
+const fixtures = require('./audio-fixtures');
+
+test('MP3: ID3v2 tags, cover and CBR duration', () => {
+    const meta = readMetadata(fixtures.mp3());
+    assert.deepStrictEqual(
+        [meta.format, meta.mimeType, meta.ext, meta.title, meta.artist, meta.album, meta.duration],
+        ['mp3', 'audio/mpeg', 'mp3', 'Blue Monday', 'New Order', 'Power, Corruption & Lies', 1]
+    );
+    assert.deepStrictEqual(meta.cover, { mimeType: 'image/png', data: fixtures.COVER });
+});
+
+// Covers are served from our origin — anything but a plain image type is dropped
+test('covers tagged with a non-image type are dropped', () => {
+    for (const coverType of ['text/html', 'image/svg+xml', 'application/octet-stream']) {
+        assert.strictEqual(readMetadata(fixtures.mp3({ coverType })).cover, null, coverType);
+    }
+    assert.strictEqual(readMetadata(fixtures.mp3({ coverType: 'image/JPG' })).cover.mimeType, 'image/jpeg');
+});
+
+test('M4A: duration from mvhd', () => {
+    const meta = readMetadata(fixtures.m4a());
+    assert.deepStrictEqual([meta.format, meta.mimeType, meta.ext, meta.duration], ['m4a', 'audio/mp4', 'm4a', 2.5]);
+    assert.deepStrictEqual([meta.title, meta.cover], [null, null]);
+});
+
+test('FLAC: STREAMINFO duration, Vorbis comments and picture', () => {
+    const meta = readMetadata(fixtures.flac());
+    assert.deepStrictEqual(
+        [meta.format, meta.mimeType, meta.title, meta.artist, meta.album, meta.duration],
+        ['flac', 'audio/flac', 'Teardrop', 'Massive Attack', 'Mezzanine', 2]
+    );
+    assert.deepStrictEqual(meta.cover, { mimeType: 'image/jpeg', data: fixtures.COVER });
+});
+
+// Uploads can stop anywhere — a cut-off file is unsupported or missing fields, never a throw
+test('truncated files never throw', () => {
+    for (const [name, build] of Object.entries({ mp3: fixtures.mp3, m4a: fixtures.m4a, flac: fixtures.flac })) {
+        const full = build();
+        for (let length = 0; length < full.length; length += length < 512 ? 1 : 97) {
+            const meta = readMetadata(full.subarray(0, length));
+            if (meta) assert.ok(meta.mimeType, `${name} cut at ${length}`);
+        }
+    }
+    assert.strictEqual(readMetadata(Buffer.alloc(0)), null);
+});
+
+test('garbage is rejected, not misread', () => {
+    assert.strictEqual(readMetadata(Buffer.alloc(4096)), null);
+    assert.strictEqual(readMetadata(Buffer.from('<!doctype html><html><body>Not audio</body></html>')), null);
+    // A header promising more than there is
+    assert.strictEqual(readMetadata(Buffer.from('ID3\x04\x00\x00\x7f\x7f\x7f\x7fTIT2', 'latin1')), null);
+
+    // Seeded noise, with each format's magic bytes in front too
+    let seed = 42;
+    const noise = (length) => Buffer.from(Array.from({ length }, () => (seed = (seed * 1103515245 + 12345) % 2 ** 31) & 0xff));
+    for (const magic of ['', 'ID3\x03\x00\x00', 'fLaC', 'OggS', 'RIFF\0\0\0\0WAVE', '\0\0\0\x20ftypM4A ']) {
+        for (let i = 0; i < 50; i++) readMetadata(Buffer.concat([Buffer.from(magic, 'latin1'), noise(2048)]));
+    }
+});
@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createMetrics } = require('../metrics');
+
+test('renders counters and gauges in the Prometheus text format', () => {
+    const metrics = createMetrics();
+    const messages = metrics.counter('app_messages_total', 'Messages, by type', 'type');
+    const bytes = metrics.counter('app_bytes_total', 'Bytes sent');
+    let rooms = 2;
+    metrics.gauge('app_rooms', 'Open rooms', () => rooms);
+
+    messages.inc('CHAT');
+    messages.inc('CHAT');
+    messages.inc('PING', 3);
+    bytes.inc(120);
+    bytes.inc();
+    rooms = 5;
+
+    assert.strictEqual(metrics.render(), [
+        '# HELP app_messages_total Messages, by type',
+        '# TYPE app_messages_total counter',
+        'app_messages_total{type="CHAT"} 2',
+        'app_messages_total{type="PING"} 3',
+        '# HELP app_bytes_total Bytes sent',
+        '# TYPE app_bytes_total counter',
+        'app_bytes_total 121',
+        '# HELP app_rooms Open rooms',
+        '# TYPE app_rooms gauge',
+        'app_rooms 5',
+        ''
+    ].join('\n'));
+});
+
+test('escapes label values', () => {
+    const metrics = createMetrics();
+    metrics.gauge('app_labelled', 'Labelled gauge', () => ({ 'say "hi"\\\n': 1 }), 'name');
+    assert.match(metrics.render(), /^app_labelled\{name="say \\"hi\\"\\\\\\n"\} 1$/m);
+});
@@ -0,0 +1,475 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startServer, settle, createRoom, joinRoom } = require('./harness');
+
+const offer = { type: 'offer', sdp: { type: 'offer', sdp: 'v=0' } };
+
+// ─── Handshake & Payloads ───────────────────────────────
+test('HELLO settles on a version both sides speak', async (t) => {
+    const server = await startServer(t);
+    const client = await server.connect();
+
+    client.send({ type: 'HELLO', versions: [1, 99] });
+    assert.strictEqual((await client.next('WELCOME')).version, 1);
+
+    client.send({ type: 'HELLO', versions: [99] });
+    assert.strictEqual((await client.next('ERROR')).code, 'UNSUPPORTED_VERSION');
+});
+
+test('malformed messages are rejected with INVALID_PAYLOAD', async (t) => {
+    const server = await startServer(t);
+    const client = await server.connect();
+
+    client.ws.send('not json');
+    assert.strictEqual((await client.next('ERROR')).code, 'INVALID_PAYLOAD');
+
+    client.send({ type: 'JOIN_ROOM', roomCode: 42 });
+    const error = await client.next('ERROR');
+    assert.deepStrictEqual([error.code, error.requestType], ['INVALID_PAYLOAD', 'JOIN_ROOM']);
+
+    client.send({ type: 'NO_SUCH_THING' });
+    assert.strictEqual((await client.next('ERROR')).code, 'INVALID_PAYLOAD');
+});
+
+// ─── Create / Join / Leave ──────────────────────────────
+test('a listener joins and leaves, and the host hears about both', async (t) => {
+    const server = await startServer(t);
+    const host = await createRoom(server, { name: 'Ana' });
+    const { roomCode, userId: hostId, roomInfo } = host.created;
+    assert.match(roomCode, /^[A-Z2-9]{6}$/);
+    assert.deepStrictEqual([roomInfo.hostUserId, roomInfo.hostName, roomInfo.listenerCount], [hostId, 'Ana', 0]);
+
+    // Codes are case-insensitive
+    const listener = await joinRoom(server, roomCode.toLowerCase(), { name: 'Ben' });
+    assert.strictEqual(listener.joined.roomCode, roomCode);
+    assert.deepStrictEqual(listener.joined.roomInfo.listeners.map(l => l.name), ['Ben']);
+
+    const joined = await host.next('USER_JOINED');
+    assert.deepStrictEqual([joined.userId, joined.name, joined.listenerCount],
+        [listener.joined.userId, 'Ben', 1]);
+
+    listener.send({ type: 'LEAVE_ROOM' });
+    await listener.next('LEFT_ROOM');
+    assert.strictEqual((await host.next('PEER_LEFT')).userId, listener.joined.userId);
+    const left = await host.next('USER_LEFT');
+    assert.deepStrictEqual([left.userId, left.listenerCount], [listener.joined.userId, 0]);
+});
+
+test('joining a room that does not exist fails with ROOM_NOT_FOUND', async (t) => {
+    const server = await startServer(t);
+    const client = await server.connect();
+
+    client.send({ type: 'JOIN_ROOM', roomCode: 'ZZZZZZ', name: 'Lost' });
+    const error = await client.next('ERROR');
+    assert.deepStrictEqual([error.code, error.requestType], ['ROOM_NOT_FOUND', 'JOIN_ROOM']);
+});
+
+test('room messages from a socket outside any room get ROOM_NOT_FOUND', async (t) => {
+    const server = await startServer(t);
+    const client = await server.connect();
+
+    client.send({ type: 'CHAT', message: 'hello?' });
+    const error = await client.next('ERROR');
+    assert.deepStrictEqual([error.code, error.requestType], ['ROOM_NOT_FOUND', 'CHAT']);
+});
+
+// ─── Passwords & Knocking ───────────────────────────────
+test('a password-protected room turns away a missing or wrong password', async (t) => {
+    const server = await startServer(t);
+    const host = await createRoom(server, { password: 'hunter2' });
+    assert.strictEqual(host.created.roomInfo.hasPassword, true);
+    const { roomCode } = host.created;
+    const client = await server.connect();
+
+    client.send({ type: 'JOIN_ROOM', roomCode, name: 'Guest' });
+    assert.strictEqual((await client.next('ERROR')).code, 'PASSWORD_REQUIRED');
+    client.send({ type: 'JOIN_ROOM', roomCode, name: 'Guest', password: 'hunter3' });
+    assert.strictEqual((await client.next('ERROR')).code, 'WRONG_PASSWORD');
+
+    const listener = await joinRoom(server, roomCode, { password: 'hunter2' });
+    assert.strictEqual(listener.joined.roomCode, roomCode);
+    await settle(listener, host);
+    assert.deepStrictEqual(host.unread(), ['USER_JOINED']);
+});
+
+test('with knocking on, joins wait for the host to approve or deny them', async (t) => {
+    const server = await startServer(t);
+    const host = await createRoom(server, { knock: true });
+    const { roomCode } = host.created;
+
+    const [approved, denied] = [await server.connect(), await server.connect()];
+    approved.send({ type: 'JOIN_ROOM', roomCode, name: 'Ana' });
+    assert.strictEqual((await approved.next('JOIN_PENDING')).roomCode, roomCode);
+    denied.send({ type: 'JOIN_ROOM', roomCode, name: 'Ben' });
+    await denied.next('JOIN_PENDING');
+
+    await host.next('PENDING_JOINS');
+    const { requests } = await host.next('PENDING_JOINS');
+    assert.deepStrictEqual(requests.map(r => r.name), ['Ana', 'Ben']);
+
+    // Only the host decides
+    approved.send({ type: 'APPROVE_JOIN', requestId: requests[0].requestId });
+    assert.strictEqual((await approved.next('ERROR')).code, 'ROOM_NOT_FOUND');
+
+    host.send({ type: 'APPROVE_JOIN', requestId: requests[0].requestId });
+    assert.strictEqual((await approved.next('ROOM_JOINED')).roomCode, roomCode);
+    assert.deepStrictEqual((await host.next('PENDING_JOINS')).requests.map(r => r.name), ['Ben']);
+
+    host.send({ type: 'DENY_JOIN', requestId: requests[1].requestId });
+    const error = await denied.next('ERROR');
+    assert.deepStrictEqual([error.code, error.requestType], ['JOIN_DENIED', 'JOIN_ROOM']);
+    assert.deepStrictEqual((await host.next('PENDING_JOINS')).requests, []);
+    await settle(host, approved, denied);
+    assert.deepStrictEqual(denied.unread(), []);
+});
+
+test('a ban keeps that browser out, and the host hears when one could not be recorded', async (t) => {
+    const server = await startServer(t);
+    const host = await createRoom(server);
+    const { roomCode } = host.created;
+
+    // No deviceId: removed, but the host is told it isn't a ban
+    const anonymous = await joinRoom(server, roomCode, { name: 'Anon' });
+    host.send({ type: 'BAN', targetUserId: anonymous.joined.userId });
+    await anonymous.next('KICKED');
+    const notRecorded = await host.next('ERROR');
+    assert.deepStrictEqual([notRecorded.code, notRecorded.requestType], ['BAN_NOT_RECORDED', 'BAN']);
+
+    const banned = await joinRoom(server, roomCode, { name: 'Ben', deviceId: 'device-ben' });
+    host.send({ type: 'BAN', targetUserId: banned.joined.userId });
+    await banned.next('KICKED');
+
+    const again = await server.connect();
+    again.send({ type: 'JOIN_ROOM', roomCode, name: 'Ben', deviceId: 'device-ben' });
+    assert.strictEqual((await again.next('ERROR')).code, 'BANNED');
+    // Leaving the deviceId out doesn't get round it
+    again.send({ type: 'JOIN_ROOM', roomCode, name: 'Ben' });
+    assert.strictEqual((await again.next('ERROR')).code, 'DEVICE_ID_REQUIRED');
+    await joinRoom(server, roomCode, { name: 'Cy', deviceId: 'device-cy' });
+    await settle(host);
+    assert.ok(!host.unread().includes('ERROR'));
+});
+
+// ─── Host Leaving ───────────────────────────────────────
+test('a host leaving an empty room closes it', async (t) => {
+    const server = await startServer(t);
+    const host = await createRoom(server);
+
+    host.send({ type: 'LEAVE_ROOM' });
+    await host.next('LEFT_ROOM');
+
+    const late = await server.connect();
+    late.send({ type: 'JOIN_ROOM', roomCode: host.created.roomCode });
+    assert.strictEqual((await late.next('ERROR')).code, 'ROOM_NOT_FOUND');
+});
+
+test('a leaving host hands the room to the longest-present listener', async (t) => {
+    const server = await startServer(t);
+    const host = await createRoom(server);
+    const { roomCode, userId: hostId } = host.created;
+    const first = await joinRoom(server, roomCode, { name: 'First' });
+    server.clock.advance(1000);
+    const second = await joinRoom(server, roomCode, { name: 'Second' });
+
+    host.send({ type: 'LEAVE_ROOM' });
+    for (const listener of [first, second]) {
+        const changed = await listener.next('HOST_CHANGED');
+        assert.deepStrictEqual([changed.hostUserId, changed.hostName, changed.previousHostUserId],
+            [first.joined.userId, 'First', hostId]);
+        assert.strictEqual((await listener.next('USER_LEFT')).userId, hostId);
+    }
+
+    // The new host can do host things
+    first.send({ type: 'SYNC_STATE', action: 'play', isPlaying: true, currentTime: 0 });
+    assert.strictEqual((await second.next('SYNC_STATE')).action, 'play');
+});
+
+test('a host who drops is held away for the grace period before being replaced', async (t) => {
+    const server = await startServer(t, { env: { RESUME_GRACE_MS: '30000' } });
+    const host = await createRoom(server);
+    const listener = await joinRoom(server, host.created.roomCode);
+
+    await host.close();
+    assert.strictEqual((await listener.next('USER_AWAY')).userId, host.created.userId);
+
+    server.clock.advance(29999);
+    await listener.sync();
+    assert.ok(!listener.unread().includes('HOST_CHANGED'));
+
+    server.clock.advance(1);
+    assert.strictEqual((await listener.next('HOST_CHANGED')).hostUserId, listener.joined.userId);
+});
+
+test('a dropped member can RESUME within the grace period', async (t) => {
+    const server = await startServer(t);
+    const host = await createRoom(server);
+    const listener = await joinRoom(server, host.created.roomCode);
+
+    await listener.close();
+    await host.next('USER_AWAY');
+    server.clock.advance(10000);
+
+    const again = await server.connect();
+    again.send({ type: 'RESUME', resumeToken: listener.joined.resumeToken, roomCode: host.created.roomCode });
+    const resumed = await again.next('ROOM_RESUMED');
+    assert.deepStrictEqual([resumed.userId, resumed.role], [listener.joined.userId, 'listener']);
+    assert.strictEqual((await host.next('USER_BACK')).userId, listener.joined.userId);
+});
+
+// ─── Chat & Reactions ───────────────────────────────────
+test('chat reaches every member, sender included, and late joiners get the history', async (t) => {
+    const server = await startServer(t);
+    const host = await createRoom(server);
+    const listener = await joinRoom(server, host.created.roomCode, { name: 'Ben' });
+
+    listener.send({ type: 'CHAT', message: 'hi all' });
+    for (const member of [host, listener]) {
+        const chat = await member.next('CHAT');
+        assert.deepStrictEqual(
+            [chat.id, chat.userId, chat.name, chat.message, chat.timestamp],
+            [1, listener.joined.userId, 'Ben', 'hi all', server.clock.now()]
+        );
+    }
+
+    const late = await joinRoom(server, host.created.roomCode);
+    assert.deepStrictEqual(late.joined.chat.messages.map(m => m.message), ['hi all']);
+});
+
+test('CHAT_HISTORY pages back from a message id', async (t) => {
+    const server = await startServer(t);
+    const host = await createRoom(server);
+    for (const message of ['one', 'two', 'three']) {
+        host.send({ type: 'CHAT', message });
+        await host.next('CHAT');
+    }
+
+    host.send({ type: 'CHAT_HISTORY' });
+    const latest = await host.next('CHAT_HISTORY');
+    assert.deepStrictEqual(latest.messages.map(m => m.message), ['one', 'two', 'three']);
+
+    host.send({ type: 'CHAT_HISTORY', before: latest.messages[2].id });
+    assert.deepStrictEqual((await host.next('CHAT_HISTORY')).messages.map(m => m.message), ['one', 'two']);
+    host.send({ type: 'CHAT_HISTORY', before: 0 });
+    assert.deepStrictEqual(await host.next('CHAT_HISTORY'), { type: 'CHAT_HISTORY', messages: [], hasMore: false });
+
+    for (const before of ['abc', 1.5, -1]) {
+        host.send({ type: 'CHAT_HISTORY', before });
+        const error = await host.next('ERROR');
+        assert.deepStrictEqual([error.code, error.requestType], ['INVALID_PAYLOAD', 'CHAT_HISTORY']);
+    }
+});
+
+test('reactions go to everyone but the sender', async (t) => {
+    const server = await startServer(t);
+    const host = await createRoom(server);
+    const listener = await joinRoom(server, host.created.roomCode);
+
+    host.send({ type: 'REACTION', emoji: '🔥' });
+    const reaction = await listener.next('REACTION');
+    assert.deepStrictEqual([reaction.userId, reaction.emoji], [host.created.userId, '🔥']);
+
+    await settle(host);
+    assert.ok(!host.unread().includes('REACTION'));
+});
+
+// ─── Synced Media ───────────────────────────────────────
+test('PLAY_URL from the host reaches listeners and late joiners see what is playing', async (t) => {
+    const server = await startServer(t);
+    const host = await createRoom(server);
+    const listener = await joinRoom(server, host.created.roomCode);
+
+    host.send({ type: 'PLAY_URL', provider: 'html5', mediaId: 'https://example.com/song.mp3', title: 'Song' });
+    const play = await listener.next('PLAY_URL');
+    assert.deepStrictEqual([play.provider, play.mediaId, play.title], ['html5', 'https://example.com/song.mp3', 'Song']);
+
+    // Older clients send a bare YouTube videoId
+    host.send({ type: 'PLAY_URL', videoId: 'dQw4w9WgXcQ' });
+    const legacy = await listener.next('PLAY_URL');
+    assert.deepStrictEqual([legacy.provider, legacy.mediaId], ['youtube', 'dQw4w9WgXcQ']);
+
+    const late = await joinRoom(server, host.created.roomCode);
+    const { videoState } = late.joined.roomInfo;
+    assert.deepStrictEqual([videoState.mediaId, videoState.isPlaying, videoState.timestamp],
+        ['dQw4w9WgXcQ', true, server.clock.now()]);
+});
+
+test('PLAY_URL is refused for listeners and for media the server cannot play', async (t) => {
+    const server = await startServer(t);
+    const host = await createRoom(server);
+    const listener = await joinRoom(server, host.created.roomCode);
+
+    listener.send({ type: 'PLAY_URL', provider: 'youtube', mediaId: 'dQw4w9WgXcQ' });
+    assert.strictEqual((await listener.next('ERROR')).code, 'NOT_HOST');
+
+    host.send({ type: 'PLAY_URL', provider: 'html5', mediaId: 'ftp://example.com/song.mp3' });
+    assert.strictEqual((await host.next('ERROR')).code, 'UNSUPPORTED_MEDIA');
+
+    await settle(host, listener);
+    assert.ok(!listener.unread().includes('PLAY_URL'));
+});
+
+test('SYNC_STATE is stamped in server time and only the host may send it', async (t) => {
+    const server = await startServer(t);
+    const host = await createRoom(server);
+    const listener = await joinRoom(server, host.created.roomCode);
+    host.send({ type: 'PLAY_URL', provider: 'youtube', mediaId: 'dQw4w9WgXcQ' });
+    await listener.next('PLAY_URL');
+
+    // A recent capture time from the host's synced clock is trusted...
+    const capturedAt = server.clock.now() - 120;
+    host.send({ type: 'SYNC_STATE', action: 'seek', isPlaying: true, currentTime: 42.5, capturedAt });
+    const seek = await listener.next('SYNC_STATE');
+    assert.deepStrictEqual([seek.action, seek.isPlaying, seek.currentTime, seek.serverTime],
+        ['seek', true, 42.5, capturedAt]);
+
+    // ...one from the future is not
+    host.send({ type: 'SYNC_STATE', action: 'pause', isPlaying: false, currentTime: 43, capturedAt: server.clock.now() + 5000 });
+    assert.strictEqual((await listener.next('SYNC_STATE')).serverTime, server.clock.now());
+
+    const late = await joinRoom(server, host.created.roomCode);
+    const { videoState } = late.joined.roomInfo;
+    assert.deepStrictEqual([videoState.isPlaying, videoState.currentTime], [false, 43]);
+
+    listener.send({ type: 'SYNC_STATE', action: 'play', isPlaying: true, currentTime: 0 });
+    assert.strictEqual((await listener.next('ERROR')).code, 'NOT_HOST');
+});
+
+// ─── Control Votes ──────────────────────────────────────
+test('under the vote policy, a majority of listeners — co-hosts aside — carries an action', async (t) => {
+    const server = await startServer(t);
+    const host = await createRoom(server);
+    const { roomCode } = host.created;
+    const [a, b, c, cohost] = [
+        await joinRoom(server, roomCode, { name: 'A' }),
+        await joinRoom(server, roomCode, { name: 'B' }),
+        await joinRoom(server, roomCode, { name: 'C' }),
+        await joinRoom(server, roomCode, { name: 'Co' })
+    ];
+    host.send({ type: 'PROMOTE', targetUserId: cohost.joined.userId, role: 'cohost' });
+    host.send({ type: 'SET_CONTROL_POLICY', policy: 'vote' });
+    await a.next('CONTROL_POLICY');
+
+    // Three voters, so two make a majority
+    a.send({ type: 'CONTROL', action: 'TOGGLE' });
+    const first = await b.next('VOTE_UPDATE');
+    assert.deepStrictEqual([first.action, first.votes, first.needed, first.passed], ['TOGGLE', 1, 2, false]);
+
+    b.send({ type: 'CONTROL', action: 'TOGGLE' });
+    const passed = await b.next('VOTE_UPDATE');
+    assert.deepStrictEqual([passed.votes, passed.needed, passed.passed], [2, 2, true]);
+
+    const control = await host.next('CONTROL');
+    assert.deepStrictEqual([control.action, control.fromUserId, control.fromName], ['TOGGLE', 'vote', 'Room vote']);
+
+    // Co-hosts skip the vote
+    cohost.send({ type: 'CONTROL', action: 'NEXT' });
+    const direct = await host.next('CONTROL');
+    assert.deepStrictEqual([direct.action, direct.fromUserId], ['NEXT', cohost.joined.userId]);
+    await settle(cohost, host);
+    assert.ok(!host.unread().includes('CONTROL'));
+});
+
+test('promoting a voter to co-host takes back their votes', async (t) => {
+    const server = await startServer(t);
+    const host = await createRoom(server);
+    const { roomCode } = host.created;
+    const [a, b, c, d] = [
+        await joinRoom(server, roomCode, { name: 'A' }),
+        await joinRoom(server, roomCode, { name: 'B' }),
+        await joinRoom(server, roomCode, { name: 'C' }),
+        await joinRoom(server, roomCode, { name: 'D' })
+    ];
+    host.send({ type: 'SET_CONTROL_POLICY', policy: 'vote' });
+    await a.next('CONTROL_POLICY');
+
+    a.send({ type: 'CONTROL', action: 'TOGGLE' });
+    await b.next('VOTE_UPDATE');
+    d.send({ type: 'CONTROL', action: 'TOGGLE' });
+    const before = await b.next('VOTE_UPDATE');
+    assert.deepStrictEqual([before.votes, before.needed], [2, 3]);
+
+    // Three voters left, needing two — but D's vote no longer counts
+    host.send({ type: 'PROMOTE', targetUserId: d.joined.userId, role: 'cohost' });
+    const after = await b.next('VOTE_UPDATE');
+    assert.deepStrictEqual([after.votes, after.needed, after.passed], [1, 2, false]);
+    await b.next('ROLE_CHANGED');
+    await settle(host, c);
+    assert.ok(!host.unread().includes('CONTROL'));
+});
+
+// ─── WebRTC Signaling ───────────────────────────────────
+test('SIGNAL is delivered only to its target, tagged with the sender', async (t) => {
+    const server = await startServer(t);
+    const host = await createRoom(server);
+    const a = await joinRoom(server, host.created.roomCode, { name: 'A' });
+    const b = await joinRoom(server, host.created.roomCode, { name: 'B' });
+
+    host.send({ type: 'SIGNAL', targetUserId: a.joined.userId, signal: offer });
+    const toA = await a.next('SIGNAL');
+    assert.deepStrictEqual([toA.fromUserId, toA.signal], [host.created.userId, offer]);
+
+    const answer = { type: 'answer', sdp: { type: 'answer', sdp: 'v=0' } };
+    a.send({ type: 'SIGNAL', targetUserId: host.created.userId, signal: answer });
+    const toHost = await host.next('SIGNAL');
+    assert.deepStrictEqual([toHost.fromUserId, toHost.signal], [a.joined.userId, answer]);
+
+    await settle(a, host, b);
+    assert.ok(!b.unread().includes('SIGNAL'));
+});
+
+test('SIGNAL to someone outside the room goes nowhere', async (t) => {
+    const server = await startServer(t);
+    const host = await createRoom(server);
+    const other = await createRoom(server);
+
+    host.send({ type: 'SIGNAL', targetUserId: other.created.userId, signal: offer });
+    await settle(host, other);
+    assert.ok(!other.unread().includes('SIGNAL'));
+    assert.ok(!host.unread().includes('ERROR'));
+});
+
+test('a malformed SIGNAL is rejected before it reaches anyone', async (t) => {
+    const server = await startServer(t);
+    const host = await createRoom(server);
+    const listener = await joinRoom(server, host.created.roomCode);
+
+    host.send({ type: 'SIGNAL', targetUserId: listener.joined.userId, signal: { type: 'offer' } });
+    assert.strictEqual((await host.next('ERROR')).code, 'INVALID_PAYLOAD');
+
+    await settle(host, listener);
+    assert.ok(!listener.unread().includes('SIGNAL'));
+});
+
+// ─── Relay Audio ────────────────────────────────────────
+const relayFormat = { sampleRate: 48000, numberOfChannels: 2 };
+
+test('relay audio frames are forwarded only from a host streaming over the relay', async (t) => {
+    const server = await startServer(t, { env: { RELAY_THRESHOLD: '1' } });
+    const host = await createRoom(server);
+    const listener = await joinRoom(server, host.created.roomCode, { relayAudio: true });
+
+    host.ws.send(Buffer.from([1]));     // not streaming yet
+    listener.ws.send(Buffer.from([2])); // listeners never relay
+    host.send({ type: 'STREAM_STATUS', isStreaming: true, relayFormat });
+    assert.strictEqual((await listener.next('STREAM_STATUS')).mode, 'relay');
+
+    host.ws.send(Buffer.from([3]));
+    listener.ws.send(Buffer.from([4]));
+    await settle(host, listener);
+    assert.deepStrictEqual(listener.frames, [Buffer.from([3])]);
+    assert.deepStrictEqual(host.frames, []);
+});
+
+test('relay audio frames have their own rate limit and are dropped quietly past it', async (t) => {
+    const server = await startServer(t, { env: { RELAY_THRESHOLD: '1', RATE_LIMIT_AUDIO_FRAME: '2/60' } });
+    const host = await createRoom(server);
+    const listener = await joinRoom(server, host.created.roomCode, { relayAudio: true });
+    host.send({ type: 'STREAM_STATUS', isStreaming: true, relayFormat });
+    await listener.next('STREAM_STATUS');
+
+    for (let i = 0; i < 4; i++) host.ws.send(Buffer.from([i]));
+    await settle(host, listener);
+    assert.deepStrictEqual(listener.frames, [Buffer.from([0]), Buffer.from([1])]);
+    // No RATE_LIMITED error for audio
+    assert.ok(!host.unread().includes('ERROR'));
+});
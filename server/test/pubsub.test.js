@@ -0,0 +1,189 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { createRedisPubSub } = require('../pubsub');
+const { createLogger } = require('../logger');
+const { startServer, settle, createRoom, joinRoom } = require('./harness');
+const { startRespStub } = require('./resp-stub');
+const fixtures = require('./audio-fixtures');
+
+const offer = { type: 'offer', sdp: { type: 'offer', sdp: 'v=0' } };
+const quiet = createLogger({ level: 'error', write: () => {} });
+
+async function eventually(condition, timeoutMs = 3000) {
+    const deadline = Date.now() + timeoutMs;
+    while (!(await condition())) {
+        if (Date.now() > deadline) throw new Error('Condition not met in time');
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+}
+
+// Two instances sharing a stub (and a library directory), as a load balancer
+// without sticky sessions would see them. The stub stops last, after both servers.
+async function startPair(t, env = {}) {
+    const stub = await startRespStub();
+    const libraryDir = fs.mkdtempSync(path.join(os.tmpdir(), 'jamsync-shared-'));
+    t.after(() => fs.rmSync(libraryDir, { recursive: true, force: true }));
+    const start = (id) => startServer(t, {
+        env: { INSTANCE_ID: id, LIBRARY_DIR: libraryDir, ...env },
+        pubsub: createRedisPubSub({ url: stub.url, logger: quiet })
+    });
+    const servers = [await start('a'), await start('b')];
+    t.after(() => stub.close());
+    await eventually(() => stub.subscribers('jamsync:instance:a') && stub.subscribers('jamsync:instance:b'));
+    return [stub, ...servers];
+}
+
+// ─── Cross-Instance Rooms ───────────────────────────────
+test('a listener on another instance joins, chats and signals through the owner', async (t) => {
+    const [stub, a, b] = await startPair(t);
+
+    const host = await createRoom(a, { name: 'Ana' });
+    const { roomCode, userId: hostId } = host.created;
+    assert.strictEqual(stub.keys.get(`jamsync:room:${roomCode}`).value, 'a');
+
+    const listener = await joinRoom(b, roomCode, { name: 'Ben' });
+    assert.strictEqual(listener.joined.roomInfo.hostUserId, hostId);
+    assert.strictEqual((await host.next('USER_JOINED')).name, 'Ben');
+
+    listener.send({ type: 'CHAT', message: 'hi from b' });
+    assert.strictEqual((await host.next('CHAT')).message, 'hi from b');
+    assert.strictEqual((await listener.next('CHAT')).message, 'hi from b');
+
+    host.send({ type: 'SIGNAL', targetUserId: listener.joined.userId, signal: offer });
+    assert.strictEqual((await listener.next('SIGNAL')).fromUserId, hostId);
+
+    // Room codes are claimed across instances: B won't hand out A's
+    const other = await createRoom(b);
+    assert.notStrictEqual(other.created.roomCode, roomCode);
+    assert.strictEqual(stub.keys.get(`jamsync:room:${other.created.roomCode}`).value, 'b');
+    await settle(listener, host);
+});
+
+test('a room is released when its host leaves', async (t) => {
+    const [stub, a] = await startPair(t);
+
+    const host = await createRoom(a);
+    const key = `jamsync:room:${host.created.roomCode}`;
+    assert.ok(stub.keys.has(key));
+    host.send({ type: 'LEAVE_ROOM' });
+    await eventually(() => !stub.keys.has(key));
+});
+
+test('an upload to another instance is authorised by the room owner', async (t) => {
+    const [, a, b] = await startPair(t);
+    const host = await createRoom(a);
+    const listener = await joinRoom(b, host.created.roomCode);
+
+    const upload = (client, roomCode = host.created.roomCode) => fetch(`${b.url}/library`, {
+        method: 'POST',
+        headers: { 'X-Resume-Token': (client.created || client.joined).resumeToken, 'X-Room-Code': roomCode },
+        body: fixtures.mp3()
+    });
+
+    const res = await upload(host);
+    assert.strictEqual(res.status, 201);
+    const { track } = await res.json();
+    assert.strictEqual(track.title, 'Blue Monday');
+    assert.strictEqual((await upload(listener)).status, 403);
+    assert.strictEqual((await upload(host, 'ZZZZZZ')).status, 403);
+
+    // Stored on B, listed and served by A
+    const listed = await (await fetch(`${a.url}/library`)).json();
+    assert.deepStrictEqual(listed.tracks.map(t => t.id), [track.id]);
+    assert.strictEqual((await fetch(a.url + track.coverUrl)).status, 200);
+    assert.strictEqual((await fetch(a.url + track.url)).status, 200);
+});
+
+test('a host on another instance streams relay audio through the owner', async (t) => {
+    const [, a, b] = await startPair(t, { RELAY_THRESHOLD: '1' });
+    const host = await createRoom(a);
+    const { roomCode, resumeToken } = host.created;
+    const listener = await joinRoom(a, roomCode, { relayAudio: true });
+
+    // The host's connection moves to B, which routes it back to A
+    const moved = await b.connect();
+    moved.send({ type: 'RESUME', resumeToken, roomCode });
+    await moved.next('ROOM_RESUMED');
+
+    moved.ws.send(Buffer.from([1])); // not streaming: never published
+    moved.send({ type: 'STREAM_STATUS', isStreaming: true, relayFormat: { sampleRate: 48000, numberOfChannels: 2 } });
+    assert.strictEqual((await listener.next('STREAM_STATUS')).mode, 'relay');
+    await moved.next('STREAM_STATUS');
+
+    moved.ws.send(Buffer.from([2]));
+    await settle(moved, listener);
+    assert.deepStrictEqual(listener.frames, [Buffer.from([2])]);
+});
+
+// ─── Connection Loss ────────────────────────────────────
+test('instances re-subscribe after the Redis link drops', async (t) => {
+    const [stub, a, b] = await startPair(t);
+    const host = await createRoom(a);
+    const listener = await joinRoom(b, host.created.roomCode);
+    await host.next('USER_JOINED');
+
+    stub.dropConnections();
+    await eventually(() => stub.connections() === 4 && stub.subscribers('jamsync:instance:a') && stub.subscribers('jamsync:instance:b'));
+
+    listener.send({ type: 'CHAT', message: 'still here' });
+    assert.strictEqual((await host.next('CHAT')).message, 'still here');
+    assert.strictEqual((await listener.next('CHAT')).message, 'still here');
+});
+
+test('claims and releases only touch a lease the caller holds', async (t) => {
+    const stub = await startRespStub();
+    const [a, b] = [createRedisPubSub({ url: stub.url, logger: quiet }), createRedisPubSub({ url: stub.url, logger: quiet })];
+    t.after(async () => {
+        await a.close();
+        await b.close();
+        await stub.close();
+    });
+
+    assert.strictEqual(await a.claim('room', 'a', 50), true);
+    assert.strictEqual(await b.claim('room', 'b', 50), false);
+    // Claiming again extends our own lease
+    const before = stub.keys.get('jamsync:room').expiresAt;
+    assert.strictEqual(await a.claim('room', 'a', 60000), true);
+    assert.ok(stub.keys.get('jamsync:room').expiresAt > before);
+
+    // Once it's someone else's, a late release from the old owner leaves it be
+    stub.keys.get('jamsync:room').expiresAt = 0;
+    assert.strictEqual(await b.claim('room', 'b', 60000), true);
+    await a.release('room', 'a');
+    assert.strictEqual(await a.lookup('room'), 'b');
+    await b.release('room', 'b');
+    assert.strictEqual(await a.lookup('room'), null);
+});
+
+test('an unreadable reply rejects the command and resets the connection', async (t) => {
+    const stub = await startRespStub();
+    const pubsub = createRedisPubSub({ url: stub.url, logger: quiet });
+    t.after(async () => {
+        await pubsub.close();
+        await stub.close();
+    });
+
+    assert.strictEqual(await pubsub.claim('k', 'v', 1000), true);
+    stub.garbleNextReply();
+    await assert.rejects(pubsub.lookup('k'));
+
+    await eventually(() => pubsub.lookup('k').then(value => value === 'v', () => false));
+});
+
+test('commands pending when the link drops are rejected', async (t) => {
+    const stub = await startRespStub();
+    const pubsub = createRedisPubSub({ url: stub.url, logger: quiet });
+    t.after(async () => {
+        await pubsub.close();
+        await stub.close();
+    });
+    await pubsub.lookup('k');
+
+    // Nothing answers a command that arrives in the same tick as the drop
+    const lookup = pubsub.lookup('k');
+    stub.dropConnections();
+    await assert.rejects(lookup, /connection lost/);
+});
@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { replayTrace } = require('../replay');
+const { startServer, settle, createRoom, joinRoom } = require('./harness');
+
+const ADMIN_TOKEN = 'test-admin-token';
+
+// Record a short session on one server, then replay it on a fresh one
+test('a recorded session replays cleanly on another server', async (t) => {
+    const recording = await startServer(t, { env: { TRACE_NEW_ROOMS: '1', ADMIN_TOKEN } });
+    const host = await createRoom(recording, { name: 'Ana', password: 'hunter2' });
+    const { roomCode } = host.created;
+
+    const listener = await joinRoom(recording, roomCode, { name: 'Ben', password: 'hunter2' });
+    await host.next('USER_JOINED');
+    listener.send({ type: 'CHAT', message: 'hi' });
+    await host.next('CHAT');
+    await listener.next('CHAT');
+
+    // The listener's connection drops and comes back with its resume token
+    await listener.close();
+    await host.next('USER_AWAY');
+    const resumed = await recording.connect();
+    resumed.send({ type: 'RESUME', resumeToken: listener.joined.resumeToken, roomCode });
+    await resumed.next('ROOM_RESUMED');
+    resumed.send({ type: 'CHAT', message: 'back' });
+    await host.next('CHAT');
+    await settle(resumed, host);
+
+    const res = await fetch(`${recording.url}/admin/rooms/${roomCode}/trace`, {
+        headers: { Authorization: `Bearer ${ADMIN_TOKEN}` }
+    });
+    const trace = await res.json();
+    const text = JSON.stringify(trace);
+    assert.ok(!text.includes('hunter2'));
+    assert.ok(!text.includes(listener.joined.resumeToken) && !text.includes(host.created.resumeToken));
+
+    const replaying = await startServer(t);
+    const result = await replayTrace(trace, { url: replaying.url.replace(/^http/, 'ws'), speed: 0, settleMs: 1000 });
+    assert.deepStrictEqual(result.clients.map(c => [c.missing, c.unexpected]), result.clients.map(() => [[], []]));
+    assert.strictEqual(result.ok, true);
+    assert.strictEqual(result.clients.length, 3);
+});
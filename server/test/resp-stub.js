@@ -0,0 +1,121 @@
+const net = require('node:net');
+const { parseReply, CLAIM_SCRIPT, RELEASE_SCRIPT } = require('../pubsub');
+
+// ─── RESP Stub ──────────────────────────────────────────
+// Just enough of a Redis server for the pub/sub adapter: AUTH, GET, SET (NX,
+// XX, PX), DEL, PUBLISH, SUBSCRIBE, and EVAL of the adapter's own lease
+// scripts (run here as JS, in one step like Redis would). Tests can also cut
+// every connection, or answer the next command with bytes that aren't RESP.
+function bulk(value) {
+    return value === null ? '$-1\r\n' : `$${Buffer.byteLength(value)}\r\n${value}\r\n`;
+}
+
+function array(items) {
+    return `*${items.length}\r\n${items.map(bulk).join('')}`;
+}
+
+async function startRespStub() {
+    const keys = new Map();        // key → { value, expiresAt }
+    const channels = new Map();    // channel → Set<socket>
+    const sockets = new Set();
+    let garbleNext = false;
+
+    function get(key) {
+        const entry = keys.get(key);
+        if (entry && entry.expiresAt <= Date.now()) keys.delete(key);
+        return keys.has(key) ? keys.get(key).value : null;
+    }
+
+    function run(socket, [name, ...args]) {
+        if (garbleNext) {
+            garbleNext = false;
+            return '?not resp\r\n';
+        }
+        switch (name.toUpperCase()) {
+            case 'AUTH':
+                return '+OK\r\n';
+            case 'GET':
+                return bulk(get(args[0]));
+            case 'SET': {
+                const [key, value, ...flags] = args;
+                const upper = flags.map(f => f.toUpperCase());
+                const exists = get(key) !== null;
+                if ((upper.includes('NX') && exists) || (upper.includes('XX') && !exists)) return bulk(null);
+                const px = upper.indexOf('PX');
+                keys.set(key, { value, expiresAt: px === -1 ? Infinity : Date.now() + Number(flags[px + 1]) });
+                return '+OK\r\n';
+            }
+            case 'DEL':
+                return `:${keys.delete(args[0]) ? 1 : 0}\r\n`;
+            case 'EVAL': {
+                const [script, , key, value, ttlMs] = args;
+                if (script === CLAIM_SCRIPT) {
+                    const current = get(key);
+                    if (current !== null && current !== value) return ':0\r\n';
+                    keys.set(key, { value, expiresAt: Date.now() + Number(ttlMs) });
+                    return ':1\r\n';
+                }
+                if (script === RELEASE_SCRIPT) {
+                    if (get(key) !== value) return ':0\r\n';
+                    keys.delete(key);
+                    return ':1\r\n';
+                }
+                return '-NOSCRIPT stub only runs the adapter\'s scripts\r\n';
+            }
+            case 'PUBLISH': {
+                const subs = channels.get(args[0]) || new Set();
+                for (const sub of subs) sub.write(array(['message', args[0], args[1]]));
+                return `:${subs.size}\r\n`;
+            }
+            case 'SUBSCRIBE':
+                return args.map((channel, i) => {
+                    if (!channels.has(channel)) channels.set(channel, new Set());
+                    channels.get(channel).add(socket);
+                    return `*3\r\n${bulk('subscribe')}${bulk(channel)}:${i + 1}\r\n`;
+                }).join('');
+            default:
+                return `-ERR unknown command '${name}'\r\n`;
+        }
+    }
+
+    const server = net.createServer((socket) => {
+        sockets.add(socket);
+        let buffer = Buffer.alloc(0);
+        socket.on('data', (chunk) => {
+            buffer = Buffer.concat([buffer, chunk]);
+            let parsed;
+            while ((parsed = parseReply(buffer, 0))) {
+                buffer = buffer.subarray(parsed[1]);
+                socket.write(run(socket, parsed[0]));
+            }
+        });
+        socket.on('close', () => {
+            sockets.delete(socket);
+            for (const subs of channels.values()) subs.delete(socket);
+        });
+        socket.on('error', () => {});
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    return {
+        url: `redis://127.0.0.1:${server.address().port}`,
+        keys,
+        connections: () => sockets.size,
+        subscribers: (channel) => (channels.get(channel) || new Set()).size,
+        // Forgets them at once, so connections() and subscribers() only count new ones
+        dropConnections() {
+            for (const socket of sockets) socket.destroy();
+            sockets.clear();
+            channels.clear();
+        },
+        garbleNextReply() {
+            garbleNext = true;
+        },
+        close() {
+            for (const socket of sockets) socket.destroy();
+            return new Promise(resolve => server.close(resolve));
+        }
+    };
+}
+
+module.exports = { startRespStub };
@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createTracer } = require('../trace');
+
+test('only rooms being traced are recorded', () => {
+    let now = 1000;
+    const tracer = createTracer({ now: () => now });
+    tracer.record('ABC123', 'in', { clientId: 'c1' }, { type: 'CHAT', message: 'early' });
+    tracer.start('ABC123');
+    now += 250;
+    tracer.record('ABC123', 'in', { clientId: 'c1', userId: 'u1' }, { type: 'CHAT', message: 'hi' });
+    tracer.record('XYZ789', 'in', { clientId: 'c2' }, { type: 'CHAT', message: 'elsewhere' });
+
+    assert.deepStrictEqual(tracer.get('ABC123').events, [
+        { t: 250, dir: 'in', clientId: 'c1', userId: 'u1', msg: { type: 'CHAT', message: 'hi' } }
+    ]);
+    assert.strictEqual(tracer.get('XYZ789'), null);
+});
+
+test('messages are copied, with each distinct password and resume token masked', () => {
+    const tracer = createTracer();
+    tracer.start('ABC123');
+    const msg = { type: 'UPDATE', roomInfo: { queue: [] } };
+    tracer.record('ABC123', 'out', { clientId: 'c1' }, msg);
+    msg.roomInfo.queue.push('later');
+    for (const password of ['hunter2', 'wrong', 'hunter2']) {
+        tracer.record('ABC123', 'in', { clientId: 'c2' }, { type: 'JOIN_ROOM', password });
+    }
+
+    const [sent, ...joins] = tracer.get('ABC123').events.map(e => e.msg);
+    assert.deepStrictEqual(sent, { type: 'UPDATE', roomInfo: { queue: [] } });
+    const masked = joins.map(j => j.password);
+    assert.ok(!masked.includes('hunter2') && !masked.includes('wrong'));
+    assert.notStrictEqual(masked[0], masked[1]);
+    assert.strictEqual(masked[0], masked[2]);
+
+    // Tokens too — the one handed out and the one resumed with share a placeholder
+    tracer.record('ABC123', 'out', { clientId: 'c2' }, { type: 'ROOM_JOINED', resumeToken: 'tok-1' });
+    tracer.record('ABC123', 'in', { clientId: 'c3' }, { type: 'RESUME', resumeToken: 'tok-1' });
+    tracer.record('ABC123', 'in', { clientId: 'c4' }, { type: 'RESUME', resumeToken: 'tok-2' });
+    const tokens = tracer.get('ABC123').events.slice(4).map(e => e.msg.resumeToken);
+    assert.ok(!tokens.includes('tok-1') && !tokens.includes('tok-2'));
+    assert.strictEqual(tokens[0], tokens[1]);
+    assert.notStrictEqual(tokens[1], tokens[2]);
+    assert.ok(!masked.includes(tokens[0]) && !masked.includes(tokens[2]));
+});
+
+test('stopped traces are kept for download, oldest dropped first', () => {
+    const tracer = createTracer({ maxTraces: 2 });
+    tracer.start('ROOM01');
+    tracer.stop('ROOM01');
+    tracer.start('ROOM02');
+    tracer.record('ROOM01', 'in', { clientId: 'c1' }, { type: 'PING' });
+    assert.strictEqual(tracer.get('ROOM01').events.length, 0);
+    assert.strictEqual(tracer.isTracing('ROOM01'), false);
+
+    tracer.start('ROOM03');
+    assert.deepStrictEqual(tracer.list().map(t => [t.roomCode, t.active]), [['ROOM02', true], ['ROOM03', true]]);
+});
+
+test('events past the cap are counted, not kept', () => {
+    const tracer = createTracer({ maxEvents: 2 });
+    tracer.start('ABC123');
+    for (let i = 0; i < 5; i++) tracer.record('ABC123', 'out', { clientId: 'c1' }, { type: 'PONG' });
+    assert.strictEqual(tracer.get('ABC123').events.length, 2);
+    assert.strictEqual(tracer.get('ABC123').dropped, 3);
+});
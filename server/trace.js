@@ -0,0 +1,99 @@
+// ─── Protocol Tracing ───────────────────────────────────
+// Opt-in and per room: every JSON message to or from the room's members is
+// recorded with its direction, time and connection, so a bug report can be
+// downloaded and replayed against a test server (replay.js).
+// Relay audio frames aren't recorded. Passwords and resume tokens are masked,
+// each distinct one with its own placeholder: a replayed join still fails or
+// succeeds as it did, and a RESUME still names the session it was handed.
+// A trace outlives its room — the room closing is often the bug — until
+// `maxTraces` newer ones push it out.
+
+const SECRET_KEYS = new Set(['password', 'resumeToken']);
+const mask = (n) => `********${n}`;
+
+// A frozen copy: the server keeps mutating objects it has already sent.
+// `secrets` maps each secret seen in the trace to its placeholder.
+function snapshot(msg, secrets) {
+    return JSON.parse(JSON.stringify(msg, (key, value) => {
+        if (!SECRET_KEYS.has(key) || typeof value !== 'string') return value;
+        if (!secrets.has(value)) secrets.set(value, mask(secrets.size + 1));
+        return secrets.get(value);
+    }));
+}
+
+function createTracer({ maxEvents = 5000, maxTraces = 20, traceNewRooms = false, now = Date.now } = {}) {
+    const traces = new Map(); // roomCode → { roomCode, startedAt, stoppedAt, dropped, events }
+    const secrets = new Map(); // roomCode → Map<secret, placeholder> — kept out of the downloads
+
+    function summary(trace) {
+        const { events, ...rest } = trace;
+        return { ...rest, active: !trace.stoppedAt, events: events.length };
+    }
+
+    // Restarting a room's trace throws the old one away
+    function start(roomCode) {
+        traces.delete(roomCode);
+        secrets.set(roomCode, new Map());
+        const trace = { roomCode, startedAt: now(), stoppedAt: null, dropped: 0, events: [] };
+        traces.set(roomCode, trace);
+
+        // Oldest finished traces go first; live ones are never dropped
+        for (const [code, old] of traces) {
+            if (traces.size <= maxTraces) break;
+            if (old.stoppedAt) {
+                traces.delete(code);
+                secrets.delete(code);
+            }
+        }
+        return summary(trace);
+    }
+
+    function stop(roomCode) {
+        const trace = traces.get(roomCode);
+        if (!trace) return null;
+        if (!trace.stoppedAt) trace.stoppedAt = now();
+        secrets.delete(roomCode);
+        return summary(trace);
+    }
+
+    function isTracing(roomCode) {
+        const trace = roomCode && traces.get(roomCode);
+        return !!trace && !trace.stoppedAt;
+    }
+
+    // `dir` is 'in' (client → server), 'out', or 'close' (the socket went away,
+    // `msg` null); `from` is { clientId, userId }
+    function record(roomCode, dir, { clientId, userId }, msg) {
+        if (!isTracing(roomCode)) return;
+        const trace = traces.get(roomCode);
+        if (trace.events.length >= maxEvents) {
+            trace.dropped++;
+            return;
+        }
+        trace.events.push({ t: now() - trace.startedAt, dir, clientId, userId, msg: snapshot(msg, secrets.get(roomCode)) });
+    }
+
+    return {
+        start,
+        stop,
+        isTracing,
+        record,
+        // Called for every new room; starts tracing it when traceNewRooms is on
+        roomCreated: (roomCode) => { if (traceNewRooms) start(roomCode); },
+        get: (roomCode) => traces.get(roomCode) || null,
+        list: () => Array.from(traces.values(), summary)
+    };
+}
+
+// TRACE_NEW_ROOMS (trace every room from creation — test servers only),
+// TRACE_MAX_EVENTS (per trace, default 5000), TRACE_MAX_KEPT (default 20)
+function createTracerFromEnv(env = process.env) {
+    const number = (name, fallback) => (Number(env[name]) > 0 ? Number(env[name]) : fallback);
+    return createTracer({
+        maxEvents: number('TRACE_MAX_EVENTS', 5000),
+        maxTraces: number('TRACE_MAX_KEPT', 20),
+        traceNewRooms: !!env.TRACE_NEW_ROOMS
+    });
+}
+
+module.exports = { createTracer, createTracerFromEnv };